@@ -0,0 +1,84 @@
+/**
+ * Saved Airfoil Presets
+ * Custom airfoil shapes the user has saved by name, kept in localStorage
+ * so they survive page reloads. Shapes are stored as BezierAirfoil codes.
+ */
+
+const AirfoilPresets = {
+  storageKey: 'airplane-flight-edu.airfoil-presets',
+
+  // Longest preset name accepted
+  maxNameLength: 32,
+
+  /**
+   * Saved presets, sorted by name: [{ name, shape }]
+   * Unreadable storage (private browsing, corrupt data) counts as empty
+   */
+  load() {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(this.storageKey) || '[]');
+      if (!Array.isArray(saved)) return [];
+
+      return saved
+        .filter(preset => preset && typeof preset.name === 'string' && BezierAirfoil.decode(preset.shape))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.warn('Could not read saved airfoils:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Write the preset list back
+   * Returns false if the browser refused (e.g. storage full or disabled)
+   */
+  store(presets) {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(presets));
+      return true;
+    } catch (error) {
+      console.warn('Could not save airfoils:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Tidy a user-typed name; returns '' if nothing usable is left
+   */
+  cleanName(name) {
+    return String(name).trim().replace(/\s+/g, ' ').slice(0, this.maxNameLength);
+  },
+
+  /**
+   * Save a shape under a name, replacing any preset with the same name
+   * Returns the saved name, or null if the name is empty or storage failed
+   */
+  save(name, shape) {
+    const cleaned = this.cleanName(name);
+    if (!cleaned || !BezierAirfoil.decode(shape)) return null;
+
+    const presets = this.load().filter(preset => preset.name !== cleaned);
+    presets.push({ name: cleaned, shape });
+
+    return this.store(presets) ? cleaned : null;
+  },
+
+  /**
+   * Delete a preset by name
+   */
+  remove(name) {
+    return this.store(this.load().filter(preset => preset.name !== name));
+  },
+
+  /**
+   * Look up a preset by name
+   */
+  find(name) {
+    return this.load().find(preset => preset.name === name) || null;
+  }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AirfoilPresets;
+}
@@ -5,7 +5,9 @@
 
 // Application state
 const App = {
+  state: new StateStore(APP_STATE_SCHEMA),
   visualizations: {},
+  visibleCanvases: new Set(),
   isInitialized: false,
 
   /**
@@ -19,57 +21,155 @@ const App = {
 
     console.log('Initializing Airplane Flight Physics app...');
 
-    this.setupCanvasElements();
+    // Apply any configuration shared through the URL before anything reads state
+    if (typeof UrlState !== 'undefined') {
+      UrlState.bind(this.state);
+    }
+
     this.setupInteractiveControls();
     this.initializeVisualizations();
+    this.setupCanvasResizing();
+    this.setupVisibilityScheduling();
     this.isInitialized = true;
 
     console.log('App initialized successfully');
   },
 
   /**
-   * Set up canvas elements with responsive sizing
+   * Keep every canvas matched to its displayed size
+   * Uses a ResizeObserver per canvas so layout changes (not just window
+   * resizes) are picked up; falls back to the window resize event
    */
-  setupCanvasElements() {
+  setupCanvasResizing() {
     const canvases = document.querySelectorAll('canvas');
 
     canvases.forEach(canvas => {
-      this.makeCanvasResponsive(canvas);
+      this.resizeCanvas(canvas);
     });
 
-    // Resize canvases on window resize
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(entries => {
+        entries.forEach(entry => this.resizeCanvas(entry.target));
+      });
+      canvases.forEach(canvas => this.resizeObserver.observe(canvas));
+    }
+
+    // Pixel ratio can change without a size change (zoom, moving between screens)
     let resizeTimer;
     window.addEventListener('resize', () => {
       clearTimeout(resizeTimer);
       resizeTimer = setTimeout(() => {
         canvases.forEach(canvas => {
-          this.makeCanvasResponsive(canvas);
+          this.resizeCanvas(canvas);
         });
       }, 250);
     });
   },
 
   /**
-   * Make canvas responsive and handle high-DPI displays
+   * Only run animation loops for visualizations that can actually be seen
+   * Loops pause when their canvas scrolls out of view or the tab is hidden
+   */
+  setupVisibilityScheduling() {
+    const visualizations = Object.values(this.visualizations);
+
+    if (typeof IntersectionObserver === 'undefined') {
+      visualizations.forEach(visualization => this.visibleCanvases.add(visualization.canvas));
+    } else {
+      this.visibilityObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            this.visibleCanvases.add(entry.target);
+          } else {
+            this.visibleCanvases.delete(entry.target);
+          }
+        });
+        this.updateScheduling();
+      }, {
+        rootMargin: '100px 0px' // Start just before the canvas scrolls into view
+      });
+
+      visualizations.forEach(visualization => {
+        this.visibilityObserver.observe(visualization.canvas);
+      });
+    }
+
+    document.addEventListener('visibilitychange', () => {
+      this.updateScheduling();
+    });
+
+    this.updateScheduling();
+  },
+
+  /**
+   * Pause or resume each visualization based on current visibility
+   */
+  updateScheduling() {
+    const pageVisible = document.visibilityState !== 'hidden';
+
+    Object.values(this.visualizations).forEach(visualization => {
+      if (pageVisible && this.visibleCanvases.has(visualization.canvas)) {
+        visualization.resume();
+      } else {
+        visualization.pause();
+      }
+    });
+  },
+
+  /**
+   * Names of visualizations whose animation loop is currently running
+   * (for debugging: AirplaneApp.runningVisualizations)
+   */
+  get runningVisualizations() {
+    return new Set(
+      Object.keys(this.visualizations).filter(name => this.visualizations[name].isAnimating)
+    );
+  },
+
+  /**
+   * Resize a canvas and re-lay-out the visualization drawing into it
+   */
+  resizeCanvas(canvas) {
+    const visualization = this.getVisualizationForCanvas(canvas);
+
+    if (visualization) {
+      visualization.resize();
+    } else {
+      this.makeCanvasResponsive(canvas);
+    }
+  },
+
+  /**
+   * Find the visualization instance that owns a canvas
+   */
+  getVisualizationForCanvas(canvas) {
+    return Object.values(this.visualizations).find(visualization => visualization.canvas === canvas);
+  },
+
+  /**
+   * Size a canvas that has no visualization and handle high-DPI displays
    */
   makeCanvasResponsive(canvas) {
     const ctx = canvas.getContext('2d');
     const dpr = window.devicePixelRatio || 1;
-    const rect = canvas.getBoundingClientRect();
+    const displayWidth = canvas.clientWidth;
 
-    // Set display size (CSS pixels)
-    canvas.style.width = '100%';
-    canvas.style.height = 'auto';
+    if (!displayWidth) {
+      return;
+    }
 
-    // Set actual size (device pixels)
-    const displayWidth = rect.width || canvas.width;
-    const displayHeight = rect.height || canvas.height;
+    // Preserve the aspect ratio from the HTML attributes
+    if (!canvas.dataset.aspectRatio) {
+      canvas.dataset.aspectRatio = canvas.height / canvas.width;
+    }
+    const displayHeight = displayWidth * parseFloat(canvas.dataset.aspectRatio);
 
-    canvas.width = displayWidth * dpr;
-    canvas.height = displayHeight * dpr;
+    // Set actual size (device pixels)
+    canvas.width = Math.round(displayWidth * dpr);
+    canvas.height = Math.round(displayHeight * dpr);
 
-    // Scale context to account for pixel ratio
-    ctx.scale(dpr, dpr);
+    // Reset (rather than compound) the pixel ratio scaling
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
 
     // Draw placeholder content
     this.drawPlaceholder(canvas, ctx);
@@ -108,24 +208,54 @@ const App = {
 
   /**
    * Set up interactive controls (sliders, buttons)
+   * Every control is bound two-way to App.state
    */
   setupInteractiveControls() {
     // Airspeed slider (Bernoulli section)
-    this.setupSlider('airspeed-slider', 'airspeed-value');
+    this.setupSlider('airspeed-slider', 'airspeed-value', 'airspeed');
+    this.setupSelect('flow-model-select', 'flowModel');
+    this.setupSelect('flow-losses-select', 'flowLosses');
+    this.setupSelect('particle-color-select', 'particleColor');
+    this.setupVenturiShape();
+    this.setupSelect('pressure-gauge-select', 'pressureGauge');
+    this.setupSelect('pitot-select', 'pitotProbe');
+
+    // Atmosphere sliders (shared by all modules)
+    this.setupSlider('altitude-slider', 'altitude-value', 'altitude');
+    this.setupSlider('isa-deviation-slider', 'isa-deviation-value', 'isaDeviation');
 
     // Four forces sliders
-    this.setupSlider('lift-slider', 'lift-value');
-    this.setupSlider('weight-slider', 'weight-value');
-    this.setupSlider('thrust-slider', 'thrust-value');
-    this.setupSlider('drag-slider', 'drag-value');
-
-    // Angle of attack slider
-    this.setupSlider('angle-slider', 'angle-value');
+    this.setupSlider('lift-slider', 'lift-value', 'lift');
+    this.setupSlider('weight-slider', 'weight-value', 'weight');
+    this.setupSlider('thrust-slider', 'thrust-value', 'thrust');
+    this.setupSlider('drag-slider', 'drag-value', 'drag');
+
+    // Angle of attack slider and airfoil selector
+    this.setupSlider('angle-slider', 'angle-value', 'angleOfAttack');
+    this.setupSelect('airfoil-select', 'airfoilType');
+    this.setupNacaInput();
+    this.setupCustomAirfoil();
+    this.setupAirfoilFiles();
+    this.setupSlider('wing-airspeed-slider', 'wing-airspeed-value', 'wingAirspeed');
+    this.setupSlider('wing-area-slider', 'wing-area-value', 'wingArea');
+    this.setupSlider('chord-slider', 'chord-value', 'chord');
+    this.setupSelect('flap-select', 'flapType');
+    this.setupSlider('flap-slider', 'flap-value', 'flapDeflection');
+    this.setupSlider('slat-slider', 'slat-value', 'slatDeflection');
+    this.setupSelect('wing-mode-select', 'wingMode');
+    this.setupSlider('span-slider', 'span-value', 'span');
+    this.setupSlider('taper-slider', 'taper-value', 'taperRatio');
+    this.setupSlider('sweep-slider', 'sweep-value', 'sweep');
+    this.setupSlider('oswald-slider', 'oswald-value', 'oswald');
+    this.setupWingMode();
+    this.setupSelect('compare-a-select', 'compareA');
+    this.setupSelect('compare-b-select', 'compareB');
+    this.setupComparison();
 
     // Control surface sliders
-    this.setupSlider('aileron-slider', 'aileron-value');
-    this.setupSlider('elevator-slider', 'elevator-value');
-    this.setupSlider('rudder-slider', 'rudder-value');
+    this.setupSlider('aileron-slider', 'aileron-value', 'aileron');
+    this.setupSlider('elevator-slider', 'elevator-value', 'elevator');
+    this.setupSlider('rudder-slider', 'rudder-value', 'rudder');
 
     // Reset buttons
     this.setupResetButton('reset-forces');
@@ -139,41 +269,419 @@ const App = {
   },
 
   /**
-   * Set up a slider with live value display
+   * Bind a slider and its value display to a state key
    */
-  setupSlider(sliderId, valueId) {
+  setupSlider(sliderId, valueId, stateKey) {
     const slider = document.getElementById(sliderId);
     const valueDisplay = document.getElementById(valueId);
 
-    if (!slider || !valueDisplay) {
+    if (!slider) {
       return;
     }
 
     slider.addEventListener('input', (event) => {
-      valueDisplay.textContent = event.target.value;
-      // Trigger update event for visualizations
-      this.handleSliderChange(sliderId, parseFloat(event.target.value));
+      this.state.set(stateKey, parseFloat(event.target.value));
+    });
+
+    const render = () => {
+      const value = this.state.get(stateKey);
+      slider.value = value;
+      if (valueDisplay) {
+        valueDisplay.textContent = value;
+      }
+    };
+
+    this.state.subscribe([stateKey], render);
+    render();
+  },
+
+  /**
+   * Bind a select element to a state key
+   */
+  setupSelect(selectId, stateKey) {
+    const select = document.getElementById(selectId);
+
+    if (!select) {
+      return;
+    }
+
+    select.addEventListener('change', (event) => {
+      this.state.set(stateKey, event.target.value);
+    });
+
+    const render = () => {
+      select.value = this.state.get(stateKey);
+    };
+
+    this.state.subscribe([stateKey], render);
+    render();
+  },
+
+  /**
+   * Bind the NACA designation field
+   * Only complete, valid designations reach the state; typing one also selects the NACA airfoil
+   */
+  setupNacaInput() {
+    const input = document.getElementById('naca-input');
+
+    if (!input) {
+      return;
+    }
+
+    const setValidity = (valid) => {
+      input.classList.toggle('invalid', !valid);
+      input.setAttribute('aria-invalid', String(!valid));
+    };
+
+    input.addEventListener('input', (event) => {
+      const code = event.target.value.trim();
+      const valid = this.state.normalize('nacaCode', code) !== undefined;
+
+      setValidity(valid);
+
+      if (valid) {
+        this.state.set({ airfoilType: 'naca', nacaCode: code });
+      }
+    });
+
+    const render = () => {
+      input.value = this.state.get('nacaCode');
+      setValidity(true);
+    };
+
+    // Leaving the field with a half-typed designation restores the current one
+    input.addEventListener('change', render);
+
+    this.state.subscribe(['nacaCode'], () => {
+      if (document.activeElement !== input) {
+        render();
+      }
     });
+    render();
   },
 
   /**
-   * Handle slider value changes
+   * Venturi tube controls: preset shapes, and a toggle for editing the walls on the canvas
    */
-  handleSliderChange(sliderId, value) {
-    // This will be expanded when visualizations are implemented
-    console.log(`Slider ${sliderId} changed to ${value}`);
+  setupVenturiShape() {
+    const presetSelect = document.getElementById('venturi-preset-select');
+    const editButton = document.getElementById('venturi-edit-button');
 
-    // Example: Update force balance display
-    if (sliderId.includes('slider')) {
-      this.updateForceBalance();
+    if (!presetSelect || typeof VenturiGeometry === 'undefined') {
+      return;
     }
+
+    presetSelect.addEventListener('change', () => {
+      const shape = VenturiGeometry.PRESETS[presetSelect.value];
+      if (shape) this.state.set('venturiShape', shape);
+    });
+
+    if (editButton) {
+      editButton.addEventListener('click', () => {
+        const editing = editButton.getAttribute('aria-pressed') !== 'true';
+
+        editButton.setAttribute('aria-pressed', String(editing));
+        editButton.textContent = editing ? 'Done Editing' : 'Edit Shape';
+        if (this.visualizations.bernoulli) this.visualizations.bernoulli.setEditing(editing);
+      });
+    }
+
+    // Dragged shapes that match no preset show as "Custom"
+    const render = () => {
+      presetSelect.value = VenturiGeometry.presetFor(this.state.get('venturiShape')) || 'custom';
+    };
+
+    this.state.subscribe(['venturiShape'], render);
+    render();
   },
 
   /**
-   * Update force balance calculations (placeholder)
+   * Add and remove manometer ports
+   * A new port goes in the middle of the widest gap between the existing ones,
+   * within the limits the visualization places on its ports
    */
-  updateForceBalance() {
-    // Will be implemented with actual physics calculations
+  setupManometerPorts(bernoulli) {
+    const addButton = document.getElementById('add-port-button');
+    const removeButton = document.getElementById('remove-port-button');
+
+    if (!addButton || !removeButton) {
+      return;
+    }
+
+    const { maxPorts } = bernoulli;
+    const range = { // Thousandths of the tube length, as in the port code
+      min: Math.round(bernoulli.instrumentRange.min * 1000),
+      max: Math.round(bernoulli.instrumentRange.max * 1000)
+    };
+    const getPorts = () => this.state.get('manometerPorts').split('_').map(Number);
+
+    addButton.addEventListener('click', () => {
+      const ports = getPorts();
+      const edges = [range.min, ...ports.slice().sort((a, b) => a - b), range.max];
+
+      let widest = 0;
+      for (let i = 1; i < edges.length; i++) {
+        if (edges[i] - edges[i - 1] > edges[widest + 1] - edges[widest]) widest = i - 1;
+      }
+
+      ports.push(Math.round((edges[widest] + edges[widest + 1]) / 2));
+      this.state.set('manometerPorts', ports.join('_'));
+    });
+
+    removeButton.addEventListener('click', () => {
+      this.state.set('manometerPorts', getPorts().slice(0, -1).join('_'));
+    });
+
+    // The port buttons only matter with manometers shown
+    const render = () => {
+      const count = getPorts().length;
+      const manometers = this.state.get('pressureGauge') !== 'bars';
+
+      addButton.disabled = !manometers || count >= maxPorts;
+      removeButton.disabled = !manometers || count <= 1;
+    };
+
+    this.state.subscribe(['manometerPorts', 'pressureGauge'], render);
+    render();
+  },
+
+  /**
+   * Custom airfoil controls: load, save and delete named presets, or reset the shape
+   * The shape itself is edited by dragging its control points on the airfoil canvas
+   */
+  setupCustomAirfoil() {
+    const controls = document.getElementById('custom-airfoil-controls');
+    const presetSelect = document.getElementById('custom-preset-select');
+    const nameInput = document.getElementById('custom-preset-name');
+    const saveButton = document.getElementById('save-preset-button');
+    const deleteButton = document.getElementById('delete-preset-button');
+    const resetButton = document.getElementById('reset-shape-button');
+    const hint = document.getElementById('custom-preset-hint');
+
+    if (!controls || typeof AirfoilPresets === 'undefined') {
+      return;
+    }
+
+    const defaultHint = hint ? hint.textContent : '';
+    const showHint = (message) => {
+      if (hint) hint.textContent = message || defaultHint;
+    };
+
+    // Rebuild the preset list, selecting the preset that matches the current shape (if any)
+    const renderPresets = () => {
+      const shape = this.state.get('customShape');
+      const presets = AirfoilPresets.load();
+      const match = presets.find(preset => preset.shape === shape);
+
+      presetSelect.length = 1; // Keep the "Choose a saved shape" placeholder
+      presets.forEach(preset => presetSelect.add(new Option(preset.name, preset.name)));
+      presetSelect.value = match ? match.name : '';
+      deleteButton.disabled = !match;
+    };
+
+    presetSelect.addEventListener('change', () => {
+      const preset = AirfoilPresets.find(presetSelect.value);
+
+      if (preset) {
+        this.state.set({ airfoilType: 'custom', customShape: preset.shape });
+        nameInput.value = preset.name;
+        showHint();
+      }
+    });
+
+    saveButton.addEventListener('click', () => {
+      const name = AirfoilPresets.save(nameInput.value, this.state.get('customShape'));
+
+      if (name) {
+        nameInput.value = name;
+        showHint(`Saved "${name}"`);
+      } else {
+        showHint(AirfoilPresets.cleanName(nameInput.value) ? 'This browser could not save the shape' : 'Enter a name first');
+      }
+      renderPresets();
+    });
+
+    deleteButton.addEventListener('click', () => {
+      if (!presetSelect.value) return;
+
+      AirfoilPresets.remove(presetSelect.value);
+      showHint(`Deleted "${presetSelect.value}"`);
+      renderPresets();
+    });
+
+    resetButton.addEventListener('click', () => {
+      this.state.reset(['customShape']);
+    });
+
+    const render = () => {
+      controls.hidden = this.state.get('airfoilType') !== 'custom';
+    };
+
+    this.state.subscribe(['airfoilType'], render);
+    this.state.subscribe(['customShape'], renderPresets);
+    render();
+    renderPresets();
+  },
+
+  /**
+   * Import and export airfoil coordinates as .dat files
+   * Files come from the file picker or are dropped onto the airfoil canvas
+   */
+  setupAirfoilFiles() {
+    const fileInput = document.getElementById('dat-file-input');
+    const importButton = document.getElementById('import-dat-button');
+    const exportButton = document.getElementById('export-dat-button');
+    const canvas = document.getElementById('airfoil-canvas');
+    const hint = document.getElementById('dat-hint');
+
+    if (!fileInput || typeof AirfoilDat === 'undefined') {
+      return;
+    }
+
+    // An imported shape lives only in memory, so a shared link can't bring it back
+    if (this.state.get('airfoilType') === 'imported') {
+      this.state.reset(['airfoilType']);
+    }
+
+    const showHint = (message, isError = false) => {
+      if (!hint) return;
+      hint.textContent = message;
+      hint.classList.toggle('error', isError);
+    };
+
+    importButton.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) {
+        this.importAirfoilFile(fileInput.files[0], showHint);
+      }
+      fileInput.value = ''; // Picking the same file again should still import it
+    });
+
+    exportButton.addEventListener('click', () => {
+      const airfoil = this.visualizations.airfoil;
+      if (!airfoil) return;
+
+      this.exportAirfoilFile(airfoil.geometry);
+      showHint(`Exported ${AirfoilDat.fileName(airfoil.geometry)}`);
+    });
+
+    if (!canvas) {
+      return;
+    }
+
+    // Drag and drop onto the airfoil
+    canvas.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+      canvas.classList.add('drop-target');
+    });
+
+    canvas.addEventListener('dragleave', () => {
+      canvas.classList.remove('drop-target');
+    });
+
+    canvas.addEventListener('drop', (event) => {
+      event.preventDefault();
+      canvas.classList.remove('drop-target');
+
+      if (event.dataTransfer.files.length > 0) {
+        this.importAirfoilFile(event.dataTransfer.files[0], showHint);
+      }
+    });
+  },
+
+  /**
+   * Read a .dat file and switch the Wing Design module to it
+   */
+  importAirfoilFile(file, showHint) {
+    const airfoil = this.visualizations.airfoil;
+    if (!airfoil) return;
+
+    const fallbackName = file.name.replace(/\.[^.]*$/, '');
+
+    file.text()
+      .then(text => {
+        const geometry = AirfoilDat.toGeometry(text, fallbackName);
+        const option = document.getElementById('imported-airfoil-option');
+        const alreadyImported = this.state.get('airfoilType') === 'imported';
+
+        airfoil.setImportedGeometry(geometry);
+
+        if (option) {
+          option.disabled = false;
+          option.textContent = `Imported: ${geometry.name}`;
+        }
+
+        // Switching type refreshes everything; a second import onto 'imported' has to do it by hand
+        if (alreadyImported) {
+          if (this.visualizations.polars) this.visualizations.polars.refresh();
+          if (this.visualizations.planform) this.visualizations.planform.refresh();
+          if (this.visualizations.comparison) this.visualizations.comparison.redraw();
+        } else {
+          this.state.set('airfoilType', 'imported');
+        }
+
+        showHint(`Loaded ${geometry.name} (${geometry.format} format, ${Math.round(geometry.maxThickness * 100)}% thick)`);
+      })
+      .catch(error => {
+        showHint(`Couldn't read ${file.name}: ${error.message}`, true);
+      });
+  },
+
+  /**
+   * Download a section geometry as a Selig-format .dat file
+   */
+  exportAirfoilFile(geometry) {
+    const blob = new Blob([AirfoilDat.format(geometry)], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = AirfoilDat.fileName(geometry);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  },
+
+  /**
+   * Show the controls that apply to the current wing mode
+   * A finite wing's area comes from its span and chords, and the chord slider sets the root chord
+   */
+  setupWingMode() {
+    const finiteControls = document.getElementById('finite-wing-controls');
+    const areaGroup = document.getElementById('wing-area-group');
+    const chordLabel = document.getElementById('chord-label');
+    const planformCanvas = document.getElementById('planform-canvas');
+
+    const render = () => {
+      const finite = this.state.get('wingMode') === 'finite';
+
+      if (finiteControls) finiteControls.hidden = !finite;
+      if (areaGroup) areaGroup.hidden = finite;
+      if (chordLabel) chordLabel.textContent = finite ? 'Root Chord:' : 'Chord:';
+      if (planformCanvas) planformCanvas.hidden = !finite;
+    };
+
+    this.state.subscribe(['wingMode'], render);
+    render();
+  },
+
+  /**
+   * Show the comparison canvas only while there's something to compare
+   */
+  setupComparison() {
+    const comparisonCanvas = document.getElementById('comparison-canvas');
+
+    const render = () => {
+      const comparing = this.state.get('compareA') !== 'none' || this.state.get('compareB') !== 'none';
+
+      if (comparisonCanvas) comparisonCanvas.hidden = !comparing;
+    };
+
+    this.state.subscribe(['compareA', 'compareB'], render);
+    render();
   },
 
   /**
@@ -199,17 +707,7 @@ const App = {
    * Reset all force sliders to balanced flight
    */
   resetForces() {
-    const forceSliders = ['lift-slider', 'weight-slider', 'thrust-slider', 'drag-slider'];
-
-    forceSliders.forEach(sliderId => {
-      const slider = document.getElementById(sliderId);
-      const valueDisplay = document.getElementById(sliderId.replace('-slider', '-value'));
-
-      if (slider && valueDisplay) {
-        slider.value = 50;
-        valueDisplay.textContent = '50';
-      }
-    });
+    this.state.reset(['lift', 'weight', 'thrust', 'drag']);
 
     // Reset the visualization itself (position and velocity)
     if (this.visualizations.forces) {
@@ -223,22 +721,7 @@ const App = {
    * Reset all control surface sliders to neutral
    */
   resetControls() {
-    const controlSliders = ['aileron-slider', 'elevator-slider', 'rudder-slider'];
-
-    controlSliders.forEach(sliderId => {
-      const slider = document.getElementById(sliderId);
-      const valueDisplay = document.getElementById(sliderId.replace('-slider', '-value'));
-
-      if (slider && valueDisplay) {
-        slider.value = 0;
-        valueDisplay.textContent = '0';
-      }
-    });
-
-    // Reset the visualization itself
-    if (this.visualizations.controls) {
-      this.visualizations.controls.setControls(0, 0, 0);
-    }
+    this.state.reset(['aileron', 'elevator', 'rudder']);
 
     console.log('Control surfaces reset to neutral');
   },
@@ -252,26 +735,29 @@ const App = {
 
     phaseButtons.forEach(button => {
       button.addEventListener('click', () => {
-        // Remove active class from all buttons
-        phaseButtons.forEach(btn => btn.classList.remove('active'));
-
-        // Add active class to clicked button
-        button.classList.add('active');
-
-        // Update phase display
         const phase = button.getAttribute('data-phase');
-        if (currentPhaseDisplay && phase) {
-          currentPhaseDisplay.textContent = phase.charAt(0).toUpperCase() + phase.slice(1);
-        }
-
-        // Update visualization
-        if (this.visualizations.phases) {
-          this.visualizations.phases.setPhase(phase);
-        }
+        this.state.set('phase', phase);
 
         console.log(`Phase changed to: ${phase}`);
       });
     });
+
+    const render = () => {
+      const phase = this.state.get('phase');
+
+      // Highlight the button for the current phase
+      phaseButtons.forEach(btn => {
+        btn.classList.toggle('active', btn.getAttribute('data-phase') === phase);
+      });
+
+      // Update phase display
+      if (currentPhaseDisplay) {
+        currentPhaseDisplay.textContent = phase.charAt(0).toUpperCase() + phase.slice(1);
+      }
+    };
+
+    this.state.subscribe(['phase'], render);
+    render();
   },
 
   /**
@@ -280,7 +766,6 @@ const App = {
   setupAnimationControls() {
     const playButton = document.getElementById('play-animation');
     const pauseButton = document.getElementById('pause-animation');
-    const currentPhaseDisplay = document.getElementById('current-phase');
 
     if (playButton) {
       playButton.addEventListener('click', () => {
@@ -311,20 +796,15 @@ const App = {
         console.log('Animation paused');
       });
     }
-
-    // Update phase display periodically when auto-playing
-    setInterval(() => {
-      if (this.visualizations.phases && this.visualizations.phases.autoPlayEnabled && currentPhaseDisplay) {
-        const phase = this.visualizations.phases.currentPhase;
-        currentPhaseDisplay.textContent = phase.charAt(0).toUpperCase() + phase.slice(1);
-      }
-    }, 100);
   },
 
   /**
    * Initialize visualization modules
+   * Each module subscribes to the state keys it depends on
    */
   initializeVisualizations() {
+    const state = this.state;
+
     // Initialize Introduction visualization
     if (typeof IntroVisualization !== 'undefined') {
       const introCanvas = document.getElementById('intro-canvas');
@@ -342,24 +822,78 @@ const App = {
     if (typeof BernoulliVisualization !== 'undefined') {
       const bernoulliCanvas = document.getElementById('bernoulli-canvas');
       if (bernoulliCanvas) {
-        this.visualizations.bernoulli = new BernoulliVisualization('bernoulli-canvas', {
-          baseVelocity: 50,
-          particleCount: 150
+        const bernoulli = new BernoulliVisualization('bernoulli-canvas', {
+          baseVelocity: state.get('airspeed'),
+          particleCount: 150,
+          particleColor: state.get('particleColor'),
+          flowModel: state.get('flowModel'),
+          losses: state.get('flowLosses'),
+          shape: state.get('venturiShape'),
+          onShapeChange: shape => state.set('venturiShape', shape),
+          pressureGauge: state.get('pressureGauge'),
+          ports: state.get('manometerPorts'),
+          onPortsChange: ports => state.set('manometerPorts', ports),
+          pitotProbe: state.get('pitotProbe') === 'on',
+          pitotPosition: state.get('pitotPosition'),
+          onPitotMove: position => state.set('pitotPosition', position),
+          altitude: state.get('altitude'),
+          isaDeviation: state.get('isaDeviation')
         });
+        this.visualizations.bernoulli = bernoulli;
+        this.setupManometerPorts(bernoulli);
 
         // Start the animation
-        this.visualizations.bernoulli.start();
-
-        // Connect airspeed slider
-        const airspeedSlider = document.getElementById('airspeed-slider');
-        if (airspeedSlider) {
-          airspeedSlider.addEventListener('input', (event) => {
-            const velocity = parseFloat(event.target.value);
-            this.visualizations.bernoulli.setVelocity(velocity);
-          });
-        }
+        bernoulli.start();
+
+        state.subscribe(['airspeed'], values => {
+          bernoulli.setVelocity(values.airspeed);
+        });
+
+        state.subscribe(['flowModel'], values => {
+          bernoulli.setFlowModel(values.flowModel);
+        });
+
+        state.subscribe(['particleColor'], values => {
+          bernoulli.setParticleColor(values.particleColor);
+        });
+
+        state.subscribe(['flowLosses'], values => {
+          bernoulli.setLosses(values.flowLosses);
+        });
+
+        state.subscribe(['venturiShape'], values => {
+          bernoulli.setShape(values.venturiShape);
+        });
+
+        state.subscribe(['pressureGauge'], values => {
+          bernoulli.setPressureGauge(values.pressureGauge);
+        });
+
+        state.subscribe(['manometerPorts'], values => {
+          bernoulli.setPorts(values.manometerPorts);
+        });
+
+        state.subscribe(['pitotProbe', 'pitotPosition'], values => {
+          bernoulli.setPitot(values.pitotProbe === 'on', values.pitotPosition);
+        });
+
+        state.subscribe(['altitude', 'isaDeviation'], values => {
+          bernoulli.setAtmosphere(values.altitude, values.isaDeviation);
+        });
 
         console.log('Bernoulli visualization initialized');
+
+        // Pressure and velocity plot, read from the tube's flow, so it subscribes after it
+        if (typeof VenturiPlotVisualization !== 'undefined' && document.getElementById('venturi-plot-canvas')) {
+          const venturiPlot = new VenturiPlotVisualization('venturi-plot-canvas', { venturi: bernoulli });
+          this.visualizations.venturiPlot = venturiPlot;
+
+          state.subscribe(['airspeed', 'flowModel', 'flowLosses', 'venturiShape', 'altitude', 'isaDeviation'], () => {
+            venturiPlot.refresh();
+          });
+
+          console.log('Venturi plot initialized');
+        }
       }
     }
 
@@ -367,25 +901,19 @@ const App = {
     if (typeof ForcesVisualization !== 'undefined') {
       const forcesCanvas = document.getElementById('forces-canvas');
       if (forcesCanvas) {
-        this.visualizations.forces = new ForcesVisualization('forces-canvas', {
-          lift: 50,
-          weight: 50,
-          thrust: 50,
-          drag: 50
+        const forces = new ForcesVisualization('forces-canvas', {
+          lift: state.get('lift'),
+          weight: state.get('weight'),
+          thrust: state.get('thrust'),
+          drag: state.get('drag')
         });
+        this.visualizations.forces = forces;
 
         // Start the animation
-        this.visualizations.forces.start();
-
-        // Connect force sliders
-        const forceSliders = ['lift', 'weight', 'thrust', 'drag'];
-        forceSliders.forEach(force => {
-          const slider = document.getElementById(`${force}-slider`);
-          if (slider) {
-            slider.addEventListener('input', () => {
-              this.updateForces();
-            });
-          }
+        forces.start();
+
+        state.subscribe(['lift', 'weight', 'thrust', 'drag'], values => {
+          forces.setForces(values.lift, values.weight, values.thrust, values.drag);
         });
 
         console.log('Four Forces visualization initialized');
@@ -396,32 +924,150 @@ const App = {
     if (typeof AirfoilVisualization !== 'undefined') {
       const airfoilCanvas = document.getElementById('airfoil-canvas');
       if (airfoilCanvas) {
-        this.visualizations.airfoil = new AirfoilVisualization('airfoil-canvas', {
-          angleOfAttack: 5,
-          airfoilType: 'cambered'
+        const airfoil = new AirfoilVisualization('airfoil-canvas', {
+          angleOfAttack: state.get('angleOfAttack'),
+          airfoilType: state.get('airfoilType'),
+          nacaCode: state.get('nacaCode'),
+          customShape: state.get('customShape'),
+          onShapeChange: shape => state.set('customShape', shape),
+          airspeed: state.get('wingAirspeed'),
+          wingArea: state.get('wingArea'),
+          chord: state.get('chord'),
+          wingMode: state.get('wingMode'),
+          span: state.get('span'),
+          taperRatio: state.get('taperRatio'),
+          sweep: state.get('sweep'),
+          oswald: state.get('oswald'),
+          flapType: state.get('flapType'),
+          flapDeflection: state.get('flapDeflection'),
+          slatDeflection: state.get('slatDeflection'),
+          altitude: state.get('altitude'),
+          isaDeviation: state.get('isaDeviation')
         });
+        this.visualizations.airfoil = airfoil;
 
         // Start the animation
-        this.visualizations.airfoil.start();
-
-        // Connect angle slider
-        const angleSlider = document.getElementById('angle-slider');
-        if (angleSlider) {
-          angleSlider.addEventListener('input', (event) => {
-            const angle = parseFloat(event.target.value);
-            this.visualizations.airfoil.setAngleOfAttack(angle);
+        airfoil.start();
+
+        state.subscribe(['angleOfAttack'], values => {
+          airfoil.setAngleOfAttack(values.angleOfAttack);
+        });
+
+        state.subscribe(['airfoilType'], values => {
+          airfoil.setAirfoilType(values.airfoilType);
+        });
+
+        state.subscribe(['nacaCode'], values => {
+          airfoil.setNacaCode(values.nacaCode);
+        });
+
+        state.subscribe(['customShape'], values => {
+          airfoil.setCustomShape(values.customShape);
+        });
+
+        state.subscribe(['wingAirspeed', 'wingArea', 'chord'], values => {
+          airfoil.setFlightConditions(values.wingAirspeed, values.wingArea, values.chord);
+        });
+
+        state.subscribe(['wingMode', 'span', 'taperRatio', 'sweep', 'oswald'], values => {
+          airfoil.setWing(values.wingMode, values.span, values.taperRatio, values.sweep, values.oswald);
+        });
+
+        state.subscribe(['flapType', 'flapDeflection', 'slatDeflection'], values => {
+          airfoil.setHighLift(values.flapType, values.flapDeflection, values.slatDeflection);
+        });
+
+        state.subscribe(['altitude', 'isaDeviation'], values => {
+          airfoil.setAtmosphere(values.altitude, values.isaDeviation);
+        });
+
+        console.log('Airfoil visualization initialized');
+
+        // Polar charts read their coefficients from the airfoil, so they
+        // subscribe after it and see its updated shape
+        if (typeof PolarChartsVisualization !== 'undefined' && document.getElementById('polar-canvas')) {
+          const polars = new PolarChartsVisualization('polar-canvas', {
+            airfoil,
+            angleOfAttack: state.get('angleOfAttack')
+          });
+          this.visualizations.polars = polars;
+
+          state.subscribe(['angleOfAttack'], values => {
+            polars.setAngleOfAttack(values.angleOfAttack);
+          });
+
+          // Shape, Reynolds number (speed, size, air), planform and high-lift devices all change the polar
+          state.subscribe([
+            'airfoilType', 'nacaCode', 'customShape', 'wingAirspeed', 'chord', 'altitude', 'isaDeviation',
+            'wingMode', 'span', 'taperRatio', 'sweep', 'oswald',
+            'flapType', 'flapDeflection', 'slatDeflection'
+          ], () => {
+            polars.refresh();
           });
+
+          console.log('Polar charts initialized');
         }
 
-        // Connect airfoil type selector
-        const airfoilSelect = document.getElementById('airfoil-select');
-        if (airfoilSelect) {
-          airfoilSelect.addEventListener('change', (event) => {
-            this.visualizations.airfoil.setAirfoilType(event.target.value);
+        // Finite wing planform, also drawn from the airfoil's lifting-line solution
+        if (typeof WingPlanformVisualization !== 'undefined' && document.getElementById('planform-canvas')) {
+          const planform = new WingPlanformVisualization('planform-canvas', { airfoil });
+          this.visualizations.planform = planform;
+
+          // Start the animation (paused while the canvas is hidden in section mode)
+          planform.start();
+
+          state.subscribe([
+            'angleOfAttack', 'airfoilType', 'nacaCode', 'customShape',
+            'wingAirspeed', 'chord', 'altitude', 'isaDeviation',
+            'wingMode', 'span', 'taperRatio', 'sweep', 'oswald',
+            'flapType', 'flapDeflection', 'slatDeflection'
+          ], () => {
+            planform.refresh();
           });
+
+          console.log('Wing planform visualization initialized');
         }
 
-        console.log('Airfoil visualization initialized');
+        // Other airfoils side by side with this one, built as variants of it
+        if (typeof AirfoilComparisonVisualization !== 'undefined' && document.getElementById('comparison-canvas')) {
+          const comparison = new AirfoilComparisonVisualization('comparison-canvas', {
+            airfoil,
+            comparisonTypes: [state.get('compareA'), state.get('compareB')]
+          });
+          this.visualizations.comparison = comparison;
+
+          state.subscribe(['compareA', 'compareB'], values => {
+            comparison.setComparisons([values.compareA, values.compareB]);
+          });
+
+          state.subscribe(['angleOfAttack'], () => {
+            comparison.setAngleOfAttack();
+          });
+
+          // The NACA and Custom choices follow the designation and shape set for the main airfoil
+          state.subscribe(['nacaCode'], () => {
+            comparison.refreshShapes(['naca']);
+          });
+
+          state.subscribe(['customShape'], () => {
+            comparison.refreshShapes(['custom']);
+          });
+
+          // The main airfoil is drawn from the live visualization
+          state.subscribe(['airfoilType'], () => {
+            comparison.redraw();
+          });
+
+          state.subscribe([
+            'wingAirspeed', 'wingArea', 'chord', 'altitude', 'isaDeviation',
+            'wingMode', 'span', 'taperRatio', 'sweep', 'oswald',
+            'flapType', 'flapDeflection', 'slatDeflection'
+          ], () => {
+            comparison.refresh();
+          });
+
+          console.log('Airfoil comparison initialized');
+        }
       }
     }
 
@@ -429,33 +1075,16 @@ const App = {
     if (typeof ControlSurfacesVisualization !== 'undefined') {
       const controlsCanvas = document.getElementById('controls-canvas');
       if (controlsCanvas) {
-        this.visualizations.controls = new ControlSurfacesVisualization('controls-canvas', {
-          aileronDeflection: 0,
-          elevatorDeflection: 0,
-          rudderDeflection: 0
+        const controls = new ControlSurfacesVisualization('controls-canvas', {
+          aileronDeflection: state.get('aileron'),
+          elevatorDeflection: state.get('elevator'),
+          rudderDeflection: state.get('rudder')
         });
+        this.visualizations.controls = controls;
 
-        // Connect control surface sliders
-        const aileronSlider = document.getElementById('aileron-slider');
-        const elevatorSlider = document.getElementById('elevator-slider');
-        const rudderSlider = document.getElementById('rudder-slider');
-
-        const updateControls = () => {
-          const aileron = aileronSlider ? parseFloat(aileronSlider.value) : 0;
-          const elevator = elevatorSlider ? parseFloat(elevatorSlider.value) : 0;
-          const rudder = rudderSlider ? parseFloat(rudderSlider.value) : 0;
-          this.visualizations.controls.setControls(aileron, elevator, rudder);
-        };
-
-        if (aileronSlider) {
-          aileronSlider.addEventListener('input', updateControls);
-        }
-        if (elevatorSlider) {
-          elevatorSlider.addEventListener('input', updateControls);
-        }
-        if (rudderSlider) {
-          rudderSlider.addEventListener('input', updateControls);
-        }
+        state.subscribe(['aileron', 'elevator', 'rudder'], values => {
+          controls.setControls(values.aileron, values.elevator, values.rudder);
+        });
 
         console.log('Control Surfaces visualization initialized');
       }
@@ -465,28 +1094,32 @@ const App = {
     if (typeof FlightPhasesVisualization !== 'undefined') {
       const phasesCanvas = document.getElementById('phases-canvas');
       if (phasesCanvas) {
-        this.visualizations.phases = new FlightPhasesVisualization('phases-canvas');
+        const phases = new FlightPhasesVisualization('phases-canvas', {
+          phase: state.get('phase'),
+          // Auto-play advances phases inside the visualization; mirror them into state
+          onPhaseChange: phase => state.set('phase', phase),
+          altitude: state.get('altitude'),
+          isaDeviation: state.get('isaDeviation')
+        });
+        this.visualizations.phases = phases;
 
         // Start the animation
-        this.visualizations.phases.start();
+        phases.start();
+
+        state.subscribe(['phase'], values => {
+          // Auto-play already moved the visualization to this phase
+          if (phases.currentPhase !== values.phase) {
+            phases.setPhase(values.phase);
+          }
+        });
+
+        state.subscribe(['altitude', 'isaDeviation'], values => {
+          phases.setAtmosphere(values.altitude, values.isaDeviation);
+        });
 
         console.log('Flight Phases visualization initialized');
       }
     }
-  },
-
-  /**
-   * Update forces visualization with current slider values
-   */
-  updateForces() {
-    if (!this.visualizations.forces) return;
-
-    const lift = parseFloat(document.getElementById('lift-slider').value);
-    const weight = parseFloat(document.getElementById('weight-slider').value);
-    const thrust = parseFloat(document.getElementById('thrust-slider').value);
-    const drag = parseFloat(document.getElementById('drag-slider').value);
-
-    this.visualizations.forces.setForces(lift, weight, thrust, drag);
   }
 };
 
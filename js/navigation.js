@@ -99,9 +99,14 @@ function initSmoothScrolling() {
           behavior: 'smooth'
         });
 
-        // Update URL without jumping
+        // Update URL without jumping (keep the query string, which holds shared settings)
+        // Entries are marked as sections, including the one left behind, so going back
+        // to them moves between sections without restoring the settings in their query
         if (history.pushState) {
-          history.pushState(null, null, targetId);
+          if (!history.state) {
+            history.replaceState({ section: window.location.hash }, '');
+          }
+          history.pushState({ section: targetId }, '', `${window.location.pathname}${window.location.search}${targetId}`);
         }
 
         // Focus target for accessibility
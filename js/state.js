@@ -0,0 +1,226 @@
+/**
+ * Application State Store
+ * Single observable source of truth for every slider and module parameter
+ */
+
+/**
+ * Parameter definitions
+ * Numbers are clamped to [min, max]; strings must be one of `options` or match `pattern`,
+ * and pass `validate` when the pattern alone can't tell a usable value
+ */
+const APP_STATE_SCHEMA = {
+  // Atmosphere (shared by all modules)
+  altitude: { default: 0, min: 0, max: 20000 }, // m
+  isaDeviation: { default: 0, min: -30, max: 40 }, // °C from standard day
+
+  // Bernoulli's Principle
+  airspeed: { default: 50, min: 10, max: 200 }, // m/s
+  flowModel: { default: 'incompressible', options: ['incompressible', 'compressible'] },
+  flowLosses: { default: 'ideal', options: ['ideal', 'viscous'] },
+  particleColor: { default: 'speed', options: ['speed', 'pressure'] },
+  // Venturi wall control points, see VenturiGeometry.encode()
+  venturiShape: {
+    default: '0_200_350_100_650_100_1000_200',
+    pattern: /^\d{1,4}(_\d{1,4}){3,17}$/,
+    validate: code => VenturiGeometry.decode(code) !== null
+  },
+  pressureGauge: { default: 'bars', options: ['bars', 'water', 'mercury'] },
+  // Manometer port positions in thousandths of the tube length (1 to 5 ports)
+  manometerPorts: { default: '150_500_850', pattern: /^\d{1,4}(_\d{1,4}){0,4}$/ },
+  pitotProbe: { default: 'off', options: ['off', 'on'] },
+  pitotPosition: { default: 0.25, min: 0.05, max: 0.9 }, // Fraction of the tube length
+
+  // Four Forces
+  lift: { default: 50, min: 0, max: 100 },
+  weight: { default: 50, min: 0, max: 100 },
+  thrust: { default: 50, min: 0, max: 100 },
+  drag: { default: 50, min: 0, max: 100 },
+
+  // Wing Design
+  angleOfAttack: { default: 5, min: -10, max: 25 },
+  // 'imported' only has a shape once a .dat file has been loaded in this session
+  airfoilType: { default: 'cambered', options: ['cambered', 'symmetric', 'flat', 'naca', 'custom', 'imported'] },
+  // 4-digit (camber position required when cambered) or 5-digit (P 1-5, reflex only from P 2)
+  nacaCode: { default: '2412', pattern: /^((00|[1-9][1-9])\d{2}|[1-9]([1-5]0|[2-5]1)\d{2})$/ },
+  // Custom airfoil control points, see BezierAirfoil.encode()
+  customShape: {
+    default: '50_300_120_700_50_-30_300_-40_700_0',
+    pattern: /^-?\d{1,4}(_-?\d{1,4}){9}$/,
+    validate: code => {
+      const shape = BezierAirfoil.decode(code);
+      return !!shape && !BezierAirfoil.validate(shape);
+    }
+  },
+  wingAirspeed: { default: 50, min: 10, max: 100 }, // m/s
+  wingArea: { default: 16, min: 1, max: 100 }, // m²
+  chord: { default: 1.5, min: 0.1, max: 8 }, // m, root chord of a finite wing
+  wingMode: { default: 'section', options: ['section', 'finite'] },
+  span: { default: 11, min: 1, max: 80 }, // m
+  taperRatio: { default: 1, min: 0.2, max: 1 }, // tip chord / root chord
+  sweep: { default: 0, min: 0, max: 45 }, // degrees, quarter-chord line
+  oswald: { default: 0.8, min: 0.5, max: 1 },
+  flapType: { default: 'none', options: ['none', 'plain', 'split', 'slotted', 'fowler'] },
+  flapDeflection: { default: 0, min: 0, max: 40 }, // degrees
+  slatDeflection: { default: 0, min: 0, max: 25 }, // degrees
+  // Airfoils drawn next to the current one ('naca' and 'custom' use the designation and shape above)
+  compareA: { default: 'none', options: ['none', 'cambered', 'symmetric', 'flat', 'naca', 'custom'] },
+  compareB: { default: 'none', options: ['none', 'cambered', 'symmetric', 'flat', 'naca', 'custom'] },
+
+  // Control Surfaces
+  aileron: { default: 0, min: -30, max: 30 },
+  elevator: { default: 0, min: -30, max: 30 },
+  rudder: { default: 0, min: -30, max: 30 },
+
+  // Flight Phases
+  phase: { default: 'cruise', options: ['takeoff', 'climb', 'cruise', 'descent', 'landing'] }
+};
+
+class StateStore {
+  constructor(schema) {
+    this.schema = schema;
+    this.values = {};
+    this.listeners = [];
+
+    Object.keys(schema).forEach(key => {
+      this.values[key] = schema[key].default;
+    });
+  }
+
+  /**
+   * Get a single value
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * Get a copy of all values
+   */
+  getAll() {
+    return { ...this.values };
+  }
+
+  /**
+   * Validate a value against the schema
+   * Returns the accepted value, or undefined if it can't be used
+   */
+  normalize(key, value) {
+    const definition = this.schema[key];
+    if (!definition) return undefined;
+
+    if (definition.options) {
+      return definition.options.includes(value) ? value : undefined;
+    }
+
+    if (definition.pattern) {
+      const text = String(value).trim();
+      if (!definition.pattern.test(text)) return undefined;
+      return !definition.validate || definition.validate(text) ? text : undefined;
+    }
+
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(number)) return undefined;
+
+    return Math.min(definition.max, Math.max(definition.min, number));
+  }
+
+  /**
+   * Update one value (set('lift', 70)) or several at once (set({ lift: 70, weight: 40 }))
+   * Listeners are notified once, and only if something actually changed
+   */
+  set(keyOrChanges, value) {
+    const updates = typeof keyOrChanges === 'string' ? { [keyOrChanges]: value } : keyOrChanges;
+    const changed = {};
+
+    Object.keys(updates).forEach(key => {
+      const normalized = this.normalize(key, updates[key]);
+
+      if (normalized === undefined) {
+        console.warn(`Ignoring invalid value for "${key}":`, updates[key]);
+        return;
+      }
+
+      if (normalized !== this.values[key]) {
+        this.values[key] = normalized;
+        changed[key] = normalized;
+      }
+    });
+
+    if (Object.keys(changed).length > 0) {
+      this.notify(changed);
+    }
+
+    return changed;
+  }
+
+  /**
+   * Listen for changes to the given keys (or to everything if keys is null)
+   * The listener receives (allValues, changedValues); returns an unsubscribe function
+   */
+  subscribe(keys, listener) {
+    const subscription = {
+      keys: keys ? new Set(keys) : null,
+      listener
+    };
+
+    this.listeners.push(subscription);
+
+    return () => {
+      this.listeners = this.listeners.filter(entry => entry !== subscription);
+    };
+  }
+
+  /**
+   * Call every listener interested in the changed keys
+   */
+  notify(changed) {
+    const changedKeys = Object.keys(changed);
+    const values = this.getAll();
+
+    this.listeners.slice().forEach(({ keys, listener }) => {
+      if (!keys || changedKeys.some(key => keys.has(key))) {
+        listener(values, changed);
+      }
+    });
+  }
+
+  /**
+   * Plain copy of the current state (for presets, undo, sharing)
+   */
+  snapshot() {
+    return this.getAll();
+  }
+
+  /**
+   * Apply a snapshot taken earlier; unknown or invalid entries are ignored
+   */
+  restore(snapshot) {
+    const known = {};
+
+    Object.keys(snapshot).forEach(key => {
+      if (this.schema[key]) {
+        known[key] = snapshot[key];
+      }
+    });
+
+    return this.set(known);
+  }
+
+  /**
+   * Reset the given keys (default: all) to their schema defaults
+   */
+  reset(keys = Object.keys(this.schema)) {
+    const defaults = {};
+
+    keys.forEach(key => {
+      defaults[key] = this.schema[key].default;
+    });
+
+    return this.set(defaults);
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { StateStore, APP_STATE_SCHEMA };
+}
@@ -0,0 +1,141 @@
+/**
+ * Shareable URL State
+ * Mirrors App.state into the query string so any configuration can be linked to,
+ * e.g. index.html?aoa=17&airfoil=symmetric#wing-design
+ */
+
+const UrlState = {
+  // State key -> query parameter name (short names keep links readable)
+  params: {
+    altitude: 'alt',
+    isaDeviation: 'isa',
+    airspeed: 'speed',
+    flowModel: 'flow',
+    flowLosses: 'losses',
+    particleColor: 'pcolor',
+    venturiShape: 'tube',
+    pressureGauge: 'gauge',
+    manometerPorts: 'ports',
+    pitotProbe: 'pitot',
+    pitotPosition: 'pitotx',
+    lift: 'lift',
+    weight: 'weight',
+    thrust: 'thrust',
+    drag: 'drag',
+    angleOfAttack: 'aoa',
+    airfoilType: 'airfoil',
+    nacaCode: 'naca',
+    customShape: 'shape',
+    wingAirspeed: 'wspeed',
+    wingArea: 'area',
+    chord: 'chord',
+    wingMode: 'wing',
+    span: 'span',
+    taperRatio: 'taper',
+    sweep: 'sweep',
+    oswald: 'e',
+    flapType: 'flap',
+    flapDeflection: 'flapdeg',
+    slatDeflection: 'slat',
+    compareA: 'cmp1',
+    compareB: 'cmp2',
+    aileron: 'aileron',
+    elevator: 'elevator',
+    rudder: 'rudder',
+    phase: 'phase'
+  },
+
+  // Browsers rate-limit history updates, so batch rapid slider changes
+  updateDelay: 300,
+  updateTimer: null,
+
+  /**
+   * Build a query string from the values that differ from their defaults
+   */
+  encode(store) {
+    const query = new URLSearchParams();
+
+    Object.keys(this.params).forEach(key => {
+      const definition = store.schema[key];
+      const value = store.get(key);
+
+      if (definition && value !== definition.default) {
+        query.set(this.params[key], value);
+      }
+    });
+
+    const search = query.toString();
+    return search ? `?${search}` : '';
+  },
+
+  /**
+   * Read state values from a query string
+   * Missing parameters fall back to their defaults; the store validates the rest
+   */
+  decode(store, search) {
+    const query = new URLSearchParams(search);
+    const values = {};
+
+    Object.keys(this.params).forEach(key => {
+      const definition = store.schema[key];
+      const raw = query.get(this.params[key]);
+
+      if (!definition) return;
+
+      if (raw === null) {
+        values[key] = definition.default;
+      } else {
+        values[key] = typeof definition.default === 'number' ? parseFloat(raw) : raw;
+      }
+    });
+
+    return values;
+  },
+
+  /**
+   * Current page URL with the given query string, keeping the section hash
+   */
+  buildUrl(search) {
+    return `${window.location.pathname}${search}${window.location.hash}`;
+  },
+
+  /**
+   * Restore state from the URL, then keep the URL updated as state changes
+   */
+  bind(store) {
+    store.restore(this.decode(store, window.location.search));
+
+    store.subscribe(null, () => {
+      clearTimeout(this.updateTimer);
+      this.updateTimer = setTimeout(() => this.replace(store), this.updateDelay);
+    });
+
+    // Back/forward between shared links
+    // Entries from section navigation (see navigation.js) belong to this page's settings and may
+    // carry an older query, so they keep the current state and just have their URL brought up to date
+    window.addEventListener('popstate', event => {
+      if (event.state && event.state.section !== undefined) {
+        this.replace(store);
+        return;
+      }
+
+      store.restore(this.decode(store, window.location.search));
+    });
+  },
+
+  /**
+   * Rewrite the current history entry (no new entry per slider movement)
+   */
+  replace(store) {
+    const search = this.encode(store);
+
+    if (search !== window.location.search && history.replaceState) {
+      history.replaceState(history.state, '', this.buildUrl(search));
+    }
+  }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UrlState;
+}
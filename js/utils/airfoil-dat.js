@@ -0,0 +1,234 @@
+/**
+ * Airfoil Coordinate Files (.dat)
+ * Reads and writes the two plain-text layouts used by the UIUC Airfoil Coordinates Database:
+ *
+ * Selig:     name line, then one loop of points from the trailing edge over the
+ *            upper surface to the leading edge and back under the lower surface
+ * Lednicer:  name line, a line with the upper and lower point counts (e.g. "61. 61."),
+ *            then each surface from leading edge to trailing edge, separated by blank lines
+ *
+ * Imported points are normalized to a unit chord along x and resampled to a fixed count.
+ */
+
+const AirfoilDat = {
+  // Fewest points per surface that still describe a shape
+  MIN_SURFACE_POINTS: 4,
+
+  /**
+   * Read the raw points from a file
+   * Returns { name, format, upper, lower } with both surfaces running leading edge to trailing edge
+   * Throws an Error with a readable message if the file isn't a coordinate file
+   */
+  parse(text, fallbackName = 'Imported airfoil') {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim());
+    const readPoint = line => {
+      const values = line.split(/[\s,]+/).map(Number);
+      return values.length === 2 && values.every(Number.isFinite) ? { x: values[0], y: values[1] } : null;
+    };
+
+    // Name line (optional: some files start straight with coordinates)
+    const firstLine = lines.findIndex(line => line !== '');
+    if (firstLine === -1) throw new Error('The file is empty');
+
+    const named = readPoint(lines[firstLine]) === null;
+    const name = named ? lines[firstLine] : fallbackName;
+    const rows = lines.slice(named ? firstLine + 1 : firstLine);
+
+    // Coordinate rows (blank and comment lines are skipped)
+    const points = rows.map(readPoint).filter(point => point !== null);
+    if (points.length === 0) throw new Error('No coordinates found in the file');
+
+    // Lednicer's header line holds point counts, which are always larger than a chord-unit coordinate
+    const header = points[0];
+    if (header.x > 1.5 && header.y > 1.5) {
+      return { name, format: 'Lednicer', ...this.readLednicer(points.slice(1), header) };
+    }
+
+    return { name, format: 'Selig', ...this.readSelig(points) };
+  },
+
+  /**
+   * Upper then lower surface, each listed leading edge to trailing edge
+   */
+  readLednicer(points, header) {
+    const upperCount = Math.round(header.x);
+    const lowerCount = Math.round(header.y);
+
+    if (points.length < upperCount + lowerCount) {
+      throw new Error(`Expected ${upperCount + lowerCount} points but found ${points.length}`);
+    }
+
+    return {
+      upper: points.slice(0, upperCount),
+      lower: points.slice(upperCount, upperCount + lowerCount)
+    };
+  },
+
+  /**
+   * One loop around the section, split at the leading edge (the point furthest forward)
+   */
+  readSelig(points) {
+    const leadingEdge = points.reduce((front, point, i) => (point.x < points[front].x ? i : front), 0);
+
+    let upper = points.slice(0, leadingEdge + 1).reverse();
+    let lower = points.slice(leadingEdge);
+
+    // A few files run the loop the other way round (under first)
+    const meanHeight = surface => surface.reduce((sum, point) => sum + point.y, 0) / surface.length;
+    if (meanHeight(upper) < meanHeight(lower)) {
+      [upper, lower] = [lower, upper];
+    }
+
+    return { upper, lower };
+  },
+
+  /**
+   * Shift and scale both surfaces so the section runs from x = 0 at its most forward point
+   * to x = 1 at the middle of the trailing edge, which sits at y = 0
+   * Coordinate files are already in chord axes, so nothing is rotated: rotating would move
+   * the angle of attack reference
+   */
+  normalize(upper, lower) {
+    const front = Math.min(...upper.map(point => point.x), ...lower.map(point => point.x));
+    const trailingEdge = {
+      x: (upper[upper.length - 1].x + lower[lower.length - 1].x) / 2,
+      y: (upper[upper.length - 1].y + lower[lower.length - 1].y) / 2
+    };
+
+    const chord = trailingEdge.x - front;
+    if (chord <= 0) throw new Error('The trailing edge must be behind the leading edge');
+
+    const transform = point => ({
+      x: (point.x - front) / chord,
+      y: (point.y - trailingEdge.y) / chord
+    });
+
+    return { upper: upper.map(transform), lower: lower.map(transform) };
+  },
+
+  /**
+   * Height of a surface at x, interpolating between its points (sorted by x)
+   */
+  heightAt(surface, x) {
+    for (let i = 1; i < surface.length; i++) {
+      const a = surface[i - 1];
+      const b = surface[i];
+
+      if (x <= b.x) {
+        const t = b.x > a.x ? (x - a.x) / (b.x - a.x) : 0;
+        return a.y + t * (b.y - a.y);
+      }
+    }
+
+    return surface[surface.length - 1].y;
+  },
+
+  /**
+   * Respace a surface's points along its length, clustered at both ends like cosine spacing
+   * Working along the curve (not in x) keeps noses that reach forward of the leading edge point
+   */
+  resample(surface, pointCount) {
+    const lengths = [0];
+    for (let i = 1; i < surface.length; i++) {
+      const a = surface[i - 1];
+      const b = surface[i];
+      lengths.push(lengths[i - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+    }
+
+    const total = lengths[lengths.length - 1];
+    const points = [];
+    let segment = 1;
+
+    for (let i = 0; i < pointCount; i++) {
+      const target = (total * (1 - Math.cos((Math.PI * i) / (pointCount - 1)))) / 2;
+
+      while (segment < surface.length - 1 && lengths[segment] < target) segment++;
+
+      const a = surface[segment - 1];
+      const b = surface[segment];
+      const span = lengths[segment] - lengths[segment - 1];
+      const t = span > 0 ? (target - lengths[segment - 1]) / span : 0;
+
+      points.push({ x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) });
+    }
+
+    return points;
+  },
+
+  /**
+   * Build a section geometry from a .dat file's text
+   * Returns { name, format, upper, lower, camber, maxThickness, maxCamber, maxCamberPosition }
+   */
+  toGeometry(text, fallbackName, pointCount = NACA.POINT_COUNT) {
+    const parsed = this.parse(text, fallbackName);
+
+    if (parsed.upper.length < this.MIN_SURFACE_POINTS || parsed.lower.length < this.MIN_SURFACE_POINTS) {
+      throw new Error('Each surface needs at least 4 points');
+    }
+
+    const normalized = this.normalize(parsed.upper, parsed.lower);
+    const upper = this.resample(normalized.upper, pointCount);
+    const lower = this.resample(normalized.lower, pointCount);
+
+    // Camber line and thickness at cosine-spaced stations along the chord
+    const byChord = (a, b) => a.x - b.x;
+    const upperByChord = normalized.upper.slice().sort(byChord);
+    const lowerByChord = normalized.lower.slice().sort(byChord);
+    const camber = [];
+    const thickness = [];
+
+    for (let i = 0; i < pointCount; i++) {
+      const x = (1 - Math.cos((Math.PI * i) / (pointCount - 1))) / 2;
+      const upperY = this.heightAt(upperByChord, x);
+      const lowerY = this.heightAt(lowerByChord, x);
+
+      camber.push({ x, y: (upperY + lowerY) / 2 });
+      thickness.push(upperY - lowerY);
+    }
+
+    if (thickness.some(value => value < -1e-6)) {
+      throw new Error('The upper and lower surfaces cross');
+    }
+
+    const peak = camber.reduce((highest, point) => (point.y > highest.y ? point : highest), camber[0]);
+
+    return {
+      name: parsed.name,
+      format: parsed.format,
+      upper,
+      lower,
+      camber,
+      maxThickness: Math.max(...thickness),
+      maxCamber: peak.y,
+      maxCamberPosition: peak.y > 0 ? peak.x : 0
+    };
+  },
+
+  /**
+   * Write a section geometry as a Selig-format .dat file
+   */
+  format(geometry) {
+    const { name, upper, lower } = geometry;
+    const number = value => (Math.abs(value) < 5e-7 ? 0 : value).toFixed(6); // No "-0.000000"
+    const row = point => `${number(point.x).padStart(10)}${number(point.y).padStart(11)}`;
+
+    // The loop shares the leading edge point between the surfaces
+    const sharedNose = upper[0].x === lower[0].x && upper[0].y === lower[0].y;
+    const loop = [...upper.slice().reverse(), ...lower.slice(sharedNose ? 1 : 0)];
+
+    return `${name}\n${loop.map(row).join('\n')}\n`;
+  },
+
+  /**
+   * File name for an exported section, e.g. 'naca-2412.dat'
+   */
+  fileName(geometry) {
+    const slug = geometry.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'airfoil'}.dat`;
+  }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AirfoilDat;
+}
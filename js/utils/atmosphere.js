@@ -0,0 +1,151 @@
+/**
+ * International Standard Atmosphere (ISA)
+ * Air properties vs. altitude for the troposphere (0-11 km) and
+ * lower stratosphere (11-20 km), with an optional ISA temperature deviation
+ */
+
+const Atmosphere = {
+  // Sea-level standard conditions
+  SEA_LEVEL_TEMPERATURE: 288.15, // K (15°C)
+  SEA_LEVEL_PRESSURE: 101325, // Pa
+  SEA_LEVEL_DENSITY: 1.225, // kg/m³
+
+  // Physical constants
+  GAS_CONSTANT: 287.05287, // J/(kg·K), specific gas constant for dry air
+  GAMMA: 1.4, // Ratio of specific heats for air
+  GRAVITY: 9.80665, // m/s²
+
+  // Layer boundaries
+  LAPSE_RATE: 0.0065, // K/m, temperature drop per metre in the troposphere
+  TROPOPAUSE_ALTITUDE: 11000, // m
+  MAX_ALTITUDE: 20000, // m, top of the isothermal lower stratosphere
+
+  // Sutherland's law for viscosity
+  SUTHERLAND_REFERENCE_VISCOSITY: 1.716e-5, // Pa·s at 273.15 K
+  SUTHERLAND_REFERENCE_TEMPERATURE: 273.15, // K
+  SUTHERLAND_CONSTANT: 110.4, // K
+
+  /**
+   * Keep altitude inside the modelled layers
+   */
+  clampAltitude(altitude) {
+    return Math.max(0, Math.min(this.MAX_ALTITUDE, altitude));
+  },
+
+  /**
+   * Standard (ISA) temperature in kelvin
+   * Troposphere: T = T0 - L·h; stratosphere: constant 216.65 K
+   */
+  standardTemperatureAt(altitude) {
+    const h = Math.min(this.clampAltitude(altitude), this.TROPOPAUSE_ALTITUDE);
+    return this.SEA_LEVEL_TEMPERATURE - this.LAPSE_RATE * h;
+  },
+
+  /**
+   * Actual temperature in kelvin for a given ISA deviation (°C / K)
+   */
+  temperatureAt(altitude, isaDeviation = 0) {
+    return this.standardTemperatureAt(altitude) + isaDeviation;
+  },
+
+  /**
+   * Static pressure in pascals
+   * Troposphere: p = p0·(T/T0)^(g/(R·L))
+   * Stratosphere: p = p11·exp(-g·(h - 11000)/(R·T11))
+   * (Pressure is defined by altitude alone; ISA deviation changes density instead)
+   */
+  pressureAt(altitude) {
+    const h = this.clampAltitude(altitude);
+    const exponent = this.GRAVITY / (this.GAS_CONSTANT * this.LAPSE_RATE);
+
+    if (h <= this.TROPOPAUSE_ALTITUDE) {
+      const temperatureRatio = this.standardTemperatureAt(h) / this.SEA_LEVEL_TEMPERATURE;
+      return this.SEA_LEVEL_PRESSURE * Math.pow(temperatureRatio, exponent);
+    }
+
+    const tropopauseTemperature = this.standardTemperatureAt(this.TROPOPAUSE_ALTITUDE);
+    const tropopausePressure = this.SEA_LEVEL_PRESSURE *
+      Math.pow(tropopauseTemperature / this.SEA_LEVEL_TEMPERATURE, exponent);
+
+    return tropopausePressure * Math.exp(
+      -this.GRAVITY * (h - this.TROPOPAUSE_ALTITUDE) / (this.GAS_CONSTANT * tropopauseTemperature)
+    );
+  },
+
+  /**
+   * Density in kg/m³ from the ideal gas law: ρ = p / (R·T)
+   */
+  densityAt(altitude, isaDeviation = 0) {
+    return this.pressureAt(altitude) / (this.GAS_CONSTANT * this.temperatureAt(altitude, isaDeviation));
+  },
+
+  /**
+   * Speed of sound in m/s: a = √(γ·R·T)
+   */
+  speedOfSoundAt(altitude, isaDeviation = 0) {
+    return Math.sqrt(this.GAMMA * this.GAS_CONSTANT * this.temperatureAt(altitude, isaDeviation));
+  },
+
+  /**
+   * Dynamic viscosity in Pa·s (Sutherland's law)
+   * μ = μ_ref · (T/T_ref)^1.5 · (T_ref + S) / (T + S)
+   */
+  viscosityAt(altitude, isaDeviation = 0) {
+    const temperature = this.temperatureAt(altitude, isaDeviation);
+    const referenceTemperature = this.SUTHERLAND_REFERENCE_TEMPERATURE;
+
+    return this.SUTHERLAND_REFERENCE_VISCOSITY *
+      Math.pow(temperature / referenceTemperature, 1.5) *
+      (referenceTemperature + this.SUTHERLAND_CONSTANT) / (temperature + this.SUTHERLAND_CONSTANT);
+  },
+
+  /**
+   * Density altitude: the standard-day altitude with the same air density
+   * (what the aircraft "feels" on a hot-and-high day)
+   */
+  densityAltitudeFor(density) {
+    const ratio = density / this.SEA_LEVEL_DENSITY;
+    const exponent = this.GRAVITY / (this.GAS_CONSTANT * this.LAPSE_RATE) - 1;
+
+    // Troposphere: ρ/ρ0 = (T/T0)^(g/(R·L) - 1)
+    const tropopauseDensity = this.densityAt(this.TROPOPAUSE_ALTITUDE);
+    if (density >= tropopauseDensity) {
+      const temperatureRatio = Math.pow(ratio, 1 / exponent);
+      return (this.SEA_LEVEL_TEMPERATURE / this.LAPSE_RATE) * (1 - temperatureRatio);
+    }
+
+    // Stratosphere: isothermal, so density falls exponentially
+    const tropopauseTemperature = this.standardTemperatureAt(this.TROPOPAUSE_ALTITUDE);
+    return this.TROPOPAUSE_ALTITUDE -
+      (this.GAS_CONSTANT * tropopauseTemperature / this.GRAVITY) * Math.log(density / tropopauseDensity);
+  },
+
+  /**
+   * All air properties at once
+   */
+  conditionsAt(altitude, isaDeviation = 0) {
+    const temperature = this.temperatureAt(altitude, isaDeviation);
+    const pressure = this.pressureAt(altitude);
+    const density = this.densityAt(altitude, isaDeviation);
+    const dynamicViscosity = this.viscosityAt(altitude, isaDeviation);
+
+    return {
+      altitude: this.clampAltitude(altitude),
+      isaDeviation,
+      temperature, // K
+      temperatureCelsius: temperature - 273.15,
+      pressure, // Pa
+      density, // kg/m³
+      densityRatio: density / this.SEA_LEVEL_DENSITY,
+      densityAltitude: this.densityAltitudeFor(density), // m
+      speedOfSound: this.speedOfSoundAt(altitude, isaDeviation), // m/s
+      dynamicViscosity, // Pa·s
+      kinematicViscosity: dynamicViscosity / density // m²/s
+    };
+  }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Atmosphere;
+}
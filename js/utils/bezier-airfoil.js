@@ -0,0 +1,191 @@
+/**
+ * Bezier Airfoil
+ * A custom section drawn as two Bezier curves, one per surface, each running from the
+ * leading edge (0, 0) to the trailing edge (1, 0) through three movable control points.
+ * The first control point sits straight above (or below) the leading edge, which keeps
+ * the nose round; its height sets the nose radius.
+ */
+
+const BezierAirfoil = {
+  // Points per surface in the generated geometry
+  POINT_COUNT: 81,
+
+  // Thinner sections can't be solved by the panel method
+  MIN_THICKNESS: 0.01,
+
+  // Control point limits, chord units
+  MAX_HEIGHT: 0.3,
+
+  // Shape code of the starting shape (see encode()), also the customShape default in APP_STATE_SCHEMA
+  DEFAULT_CODE: '50_300_120_700_50_-30_300_-40_700_0',
+
+  /**
+   * Shape to compact text, for the app state and URL
+   * Each surface: nose height, then x and y of the two aft points, in thousandths of the chord
+   * e.g. '50_300_120_700_50_-30_300_-40_700_0'
+   */
+  encode(shape) {
+    const toMillis = value => Math.round(value * 1000);
+
+    return ['upper', 'lower']
+      .map(surface => {
+        const [nose, middle, aft] = shape[surface];
+        return [nose.y, middle.x, middle.y, aft.x, aft.y].map(toMillis).join('_');
+      })
+      .join('_');
+  },
+
+  /**
+   * Read a shape code
+   * Returns { upper, lower } control points (leading and trailing edge excluded), or null if malformed
+   */
+  decode(code) {
+    const values = String(code).split('_').map(Number);
+    if (values.length !== 10 || values.some(value => !Number.isInteger(value))) return null;
+
+    const surface = offset => {
+      const [noseY, middleX, middleY, aftX, aftY] = values.slice(offset, offset + 5).map(value => value / 1000);
+
+      return [
+        { x: 0, y: noseY },
+        { x: middleX, y: middleY },
+        { x: aftX, y: aftY }
+      ];
+    };
+
+    return { upper: surface(0), lower: surface(5) };
+  },
+
+  /**
+   * Full control polygon of one surface, leading edge to trailing edge
+   */
+  controlPolygon(points) {
+    return [{ x: 0, y: 0 }, ...points, { x: 1, y: 0 }];
+  },
+
+  /**
+   * Point on a Bezier curve at parameter t (de Casteljau's algorithm)
+   */
+  pointAt(polygon, t) {
+    let points = polygon;
+
+    while (points.length > 1) {
+      const next = [];
+      for (let i = 0; i < points.length - 1; i++) {
+        next.push({
+          x: points[i].x + t * (points[i + 1].x - points[i].x),
+          y: points[i].y + t * (points[i + 1].y - points[i].y)
+        });
+      }
+      points = next;
+    }
+
+    return points[0];
+  },
+
+  /**
+   * Densely sampled surface curve, leading edge to trailing edge
+   */
+  sampleCurve(points, sampleCount = 400) {
+    const polygon = this.controlPolygon(points);
+    const samples = [];
+
+    for (let i = 0; i <= sampleCount; i++) {
+      samples.push(this.pointAt(polygon, i / sampleCount));
+    }
+
+    return samples;
+  },
+
+  /**
+   * Height of a sampled curve at x (the curve must run forward in x)
+   */
+  heightAt(samples, x) {
+    for (let i = 1; i < samples.length; i++) {
+      const a = samples[i - 1];
+      const b = samples[i];
+
+      if (x <= b.x) {
+        const t = b.x > a.x ? (x - a.x) / (b.x - a.x) : 0;
+        return a.y + t * (b.y - a.y);
+      }
+    }
+
+    return samples[samples.length - 1].y;
+  },
+
+  /**
+   * Check a shape can be used as an airfoil
+   * Returns null if it's fine, otherwise a short reason
+   */
+  validate(shape) {
+    const points = [...shape.upper, ...shape.lower];
+    const outOfRange = points.some(point =>
+      point.x < 0 || point.x > 1 || Math.abs(point.y) > this.MAX_HEIGHT
+    );
+    if (outOfRange) return 'Control points must stay over the chord';
+
+    const upper = this.sampleCurve(shape.upper);
+    const lower = this.sampleCurve(shape.lower);
+
+    // A surface that runs backward in x loops over itself
+    const foldsBack = samples => samples.some((point, i) => i > 0 && point.x < samples[i - 1].x - 1e-9);
+    if (foldsBack(upper) || foldsBack(lower)) return 'A surface would loop back on itself';
+
+    // The surfaces may only meet at the leading and trailing edges
+    let maxThickness = 0;
+    for (let i = 1; i < 100; i++) {
+      const x = i / 100;
+      const thickness = this.heightAt(upper, x) - this.heightAt(lower, x);
+
+      if (thickness <= 0) return 'The upper and lower surfaces would cross';
+      maxThickness = Math.max(maxThickness, thickness);
+    }
+
+    if (maxThickness < this.MIN_THICKNESS) return 'The section would be too thin';
+
+    return null;
+  },
+
+  /**
+   * Build the section geometry, cosine-spaced like the NACA sections
+   * Returns { name, upper, lower, camber, maxThickness, maxCamber, maxCamberPosition }, or null if invalid
+   */
+  generate(shape, pointCount = this.POINT_COUNT) {
+    if (!shape || this.validate(shape)) return null;
+
+    const upperCurve = this.sampleCurve(shape.upper);
+    const lowerCurve = this.sampleCurve(shape.lower);
+    const upper = [];
+    const lower = [];
+    const camber = [];
+
+    for (let i = 0; i < pointCount; i++) {
+      const x = (1 - Math.cos((Math.PI * i) / (pointCount - 1))) / 2;
+      const upperY = this.heightAt(upperCurve, x);
+      const lowerY = this.heightAt(lowerCurve, x);
+
+      upper.push({ x, y: upperY });
+      lower.push({ x, y: lowerY });
+      camber.push({ x, y: (upperY + lowerY) / 2 });
+    }
+
+    const thickness = upper.map((point, i) => point.y - lower[i].y);
+    const peak = camber.reduce((highest, point) => (point.y > highest.y ? point : highest), camber[0]);
+
+    return {
+      name: 'Custom',
+      upper,
+      lower,
+      camber,
+      maxThickness: Math.max(...thickness),
+      maxCamber: peak.y,
+      maxCamberPosition: peak.y > 0 ? peak.x : 0
+    };
+  }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BezierAirfoil;
+}
@@ -0,0 +1,94 @@
+/**
+ * High-Lift Devices
+ * Trailing-edge flaps and leading-edge slats, as increments on the clean section's lift curve.
+ * Flaps add camber (lowering the zero-lift angle) and raise CLmax; slats delay the
+ * leading-edge stall, raising CLmax and the stall angle without adding camber.
+ * ΔCLmax values follow Raymer, "Aircraft Design: A Conceptual Approach", Table 12.2.
+ */
+
+const HighLift = {
+  // Trailing-edge flap types
+  // chordRatio: flap chord / wing chord
+  // saturation: deflection (degrees) beyond which extra deflection mostly separates the flow
+  // effectiveness: fraction of the thin airfoil camber effect the flap achieves
+  // maxLiftIncrement: ΔCLmax at full deflection
+  // chordExtension: extra chord at full deflection (Fowler flaps slide back as they deploy)
+  // dragFactor: Raymer's F_flap, ΔCD0 per degree past 10°
+  FLAPS: {
+    none: { name: 'None', chordRatio: 0, saturation: 1, effectiveness: 0, maxLiftIncrement: 0, chordExtension: 0, dragFactor: 0 },
+    plain: { name: 'Plain', chordRatio: 0.25, saturation: 20, effectiveness: 0.7, maxLiftIncrement: 0.9, chordExtension: 0, dragFactor: 0.0144 },
+    split: { name: 'Split', chordRatio: 0.25, saturation: 25, effectiveness: 0.7, maxLiftIncrement: 0.9, chordExtension: 0, dragFactor: 0.02 },
+    slotted: { name: 'Slotted', chordRatio: 0.3, saturation: 30, effectiveness: 0.85, maxLiftIncrement: 1.3, chordExtension: 0, dragFactor: 0.0074 },
+    fowler: { name: 'Fowler', chordRatio: 0.3, saturation: 30, effectiveness: 0.85, maxLiftIncrement: 1.3, chordExtension: 0.3, dragFactor: 0.0074 }
+  },
+
+  // Deflection range of the flap and slat sliders, degrees
+  MAX_FLAP_DEFLECTION: 40,
+  MAX_SLAT_DEFLECTION: 25,
+
+  // Leading-edge slat
+  SLAT: { chordRatio: 0.15, maxLiftIncrement: 0.4, chordExtension: 0.1, drag: 0.002 },
+
+  /**
+   * Thin airfoil flap effectiveness τ = dα0/dδ for a flap hinged at (1 − E) of the chord
+   * τ = 1 − (θh − sin θh) / π, with cos θh = 2E − 1
+   */
+  flapEffectiveness(chordRatio) {
+    if (chordRatio <= 0) return 0;
+
+    const hingeAngle = Math.acos(2 * chordRatio - 1);
+    return 1 - (hingeAngle - Math.sin(hingeAngle)) / Math.PI;
+  },
+
+  /**
+   * Effective deflection: linear for small angles, levelling off past the saturation angle
+   */
+  effectiveDeflection(deflection, saturation) {
+    return saturation * Math.tanh(deflection / saturation);
+  },
+
+  /**
+   * Combined effect of a flap and slat setting
+   * Returns { zeroLiftShift (degrees), maxLiftIncrement, chordFactor, dragIncrement }
+   */
+  effects(flapType, flapDeflection, slatDeflection) {
+    const flap = this.FLAPS[flapType] || this.FLAPS.none;
+    const flapFraction = flapDeflection / this.MAX_FLAP_DEFLECTION;
+    const slatFraction = slatDeflection / this.MAX_SLAT_DEFLECTION;
+
+    // Fowler flaps add wing area; coefficients stay based on the clean chord
+    const chordFactor = 1 + flap.chordExtension * flapFraction;
+
+    const deflection = this.effectiveDeflection(flapDeflection, flap.saturation);
+    const fullDeflection = this.effectiveDeflection(this.MAX_FLAP_DEFLECTION, flap.saturation);
+    const zeroLiftShift = -this.flapEffectiveness(flap.chordRatio) * flap.effectiveness * deflection;
+
+    const flapLift = fullDeflection > 0 ? flap.maxLiftIncrement * chordFactor * (deflection / fullDeflection) : 0;
+    const slatLift = this.SLAT.maxLiftIncrement * (1 + this.SLAT.chordExtension * slatFraction) * slatFraction;
+
+    // Raymer: ΔCD0 = F_flap (cf/c)(δ − 10°), with the whole span flapped
+    const flapDrag = flap.dragFactor * flap.chordRatio * Math.max(0, flapDeflection - 10);
+    const slatDrag = this.SLAT.drag * slatFraction;
+
+    return {
+      zeroLiftShift,
+      maxLiftIncrement: flapLift + slatLift,
+      flapLiftIncrement: flapLift,
+      slatLiftIncrement: slatLift,
+      chordFactor,
+      dragIncrement: flapDrag + slatDrag
+    };
+  },
+
+  /**
+   * Is anything deployed?
+   */
+  isDeployed(flapType, flapDeflection, slatDeflection) {
+    return (flapType !== 'none' && flapDeflection > 0) || slatDeflection > 0;
+  }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HighLift;
+}
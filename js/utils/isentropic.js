@@ -0,0 +1,80 @@
+/**
+ * Isentropic Flow
+ * Compressible, frictionless, adiabatic flow of air through a duct: how pressure, density and
+ * temperature fall from their stagnation (at-rest) values as the Mach number rises, and how
+ * the Mach number follows the duct area
+ */
+
+const Isentropic = {
+  /**
+   * Stagnation-to-static temperature ratio: T₀/T = 1 + (γ − 1)/2 · M²
+   */
+  stagnationTemperatureRatio(mach, gamma = Atmosphere.GAMMA) {
+    return 1 + ((gamma - 1) / 2) * mach * mach;
+  },
+
+  /**
+   * Static-to-stagnation ratios at a Mach number
+   * T/T₀, p/p₀ = (T/T₀)^(γ/(γ − 1)) and ρ/ρ₀ = (T/T₀)^(1/(γ − 1))
+   */
+  ratios(mach, gamma = Atmosphere.GAMMA) {
+    const temperature = 1 / this.stagnationTemperatureRatio(mach, gamma);
+
+    return {
+      temperature,
+      pressure: Math.pow(temperature, gamma / (gamma - 1)),
+      density: Math.pow(temperature, 1 / (gamma - 1))
+    };
+  },
+
+  /**
+   * Duct area over the sonic (choking) area for a Mach number:
+   * A/A* = (1/M) · [(2/(γ + 1)) · (1 + (γ − 1)/2 · M²)]^((γ + 1)/(2(γ − 1)))
+   */
+  areaRatio(mach, gamma = Atmosphere.GAMMA) {
+    const exponent = (gamma + 1) / (2 * (gamma - 1));
+    return Math.pow((2 / (gamma + 1)) * this.stagnationTemperatureRatio(mach, gamma), exponent) / mach;
+  },
+
+  /**
+   * Calibrated airspeed from a Pitot-static probe's impact pressure q_c = p_total − p_static
+   * (subsonic), the compressible calibration of a real airspeed indicator at sea-level conditions:
+   * V = a₀ · √(2/(γ − 1) · [(q_c/p₀ + 1)^((γ − 1)/γ) − 1])
+   */
+  calibratedAirspeed(impactPressure, gamma = Atmosphere.GAMMA) {
+    const soundSpeed = Math.sqrt(gamma * Atmosphere.GAS_CONSTANT * Atmosphere.SEA_LEVEL_TEMPERATURE);
+    const ratio = Math.max(0, impactPressure) / Atmosphere.SEA_LEVEL_PRESSURE + 1;
+
+    return soundSpeed * Math.sqrt((2 / (gamma - 1)) * (Math.pow(ratio, (gamma - 1) / gamma) - 1));
+  },
+
+  /**
+   * Mach number for an area ratio A/A* (≥ 1), on the subsonic or supersonic branch
+   * A/A* falls to 1 at Mach 1 from both sides, so each branch is solved by bisection
+   */
+  machFromAreaRatio(areaRatio, supersonic = false, gamma = Atmosphere.GAMMA) {
+    if (areaRatio <= 1) return 1;
+
+    let low = supersonic ? 1 : 1e-6;
+    let high = supersonic ? 50 : 1;
+
+    for (let i = 0; i < 60; i++) {
+      const mach = (low + high) / 2;
+      const ratioTooLarge = this.areaRatio(mach, gamma) > areaRatio;
+
+      // Subsonic: A/A* falls as M rises; supersonic: it grows
+      if (ratioTooLarge !== supersonic) {
+        low = mach;
+      } else {
+        high = mach;
+      }
+    }
+
+    return (low + high) / 2;
+  }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Isentropic;
+}
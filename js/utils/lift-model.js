@@ -0,0 +1,244 @@
+/**
+ * Section Lift Model
+ * Thin airfoil theory for the attached-flow lift curve, blended smoothly into
+ * separated (flat-plate) flow past the stall. Works on any geometry with a
+ * `camber` line in chord units (see NACA.generate()). A better attached-flow
+ * solution (e.g. PanelMethod) can supply its own slope and zero-lift angle.
+ */
+
+const LiftModel = {
+  // Thin airfoil theory: CL = 2π (α − α0)
+  LIFT_CURVE_SLOPE: 2 * Math.PI, // per radian
+
+  // Number of steps for the camber line integral
+  INTEGRATION_STEPS: 400,
+
+  // Reynolds number of the wind tunnel data the CLmax fit is based on
+  REFERENCE_REYNOLDS: 6e6,
+
+  /**
+   * Camber line slope dyc/dx at x, from the piecewise-linear camber points
+   */
+  camberSlopeAt(camber, x) {
+    for (let i = 1; i < camber.length; i++) {
+      if (x <= camber[i].x || i === camber.length - 1) {
+        const dx = camber[i].x - camber[i - 1].x;
+        return dx > 0 ? (camber[i].y - camber[i - 1].y) / dx : 0;
+      }
+    }
+
+    return 0;
+  },
+
+  /**
+   * Zero-lift angle in degrees
+   * α0 = −(1/π) ∫₀^π (dyc/dx)(cos θ − 1) dθ, with x = (1 − cos θ)/2
+   */
+  zeroLiftAngle(camber) {
+    const steps = this.INTEGRATION_STEPS;
+    const dTheta = Math.PI / steps;
+    let integral = 0;
+
+    for (let i = 0; i < steps; i++) {
+      const theta = (i + 0.5) * dTheta;
+      const x = (1 - Math.cos(theta)) / 2;
+      integral += this.camberSlopeAt(camber, x) * (Math.cos(theta) - 1) * dTheta;
+    }
+
+    return (-integral / Math.PI) * 180 / Math.PI;
+  },
+
+  /**
+   * Empirical maximum lift coefficient from thickness, camber and Reynolds number
+   * Fits smooth-surface NACA data at Re = 6 million: thin sections stall early from the
+   * leading edge, ~12-15% thick sections do best, camber adds a little on the positive side.
+   */
+  maxLiftCoefficient(thickness, maxCamber, reynolds = this.REFERENCE_REYNOLDS) {
+    const bestThickness = 0.13;
+    const penalty = thickness < bestThickness ? 150 : 40;
+    const base = Math.max(0.7, 1.6 - penalty * Math.pow(thickness - bestThickness, 2));
+    const scale = this.reynoldsFactor(reynolds);
+
+    return {
+      positive: scale * (base + Math.min(0.4, 8 * maxCamber)),
+      negative: -scale * Math.max(0.6, base - Math.min(0.4, 8 * maxCamber))
+    };
+  },
+
+  /**
+   * CLmax relative to the reference Reynolds number
+   * A thin, mostly laminar boundary layer separates sooner, so small, slow wings
+   * (models, insects) stall at lower CL: about 0.7× at Re = 100,000
+   */
+  reynoldsFactor(reynolds) {
+    const factor = 1 + 0.17 * Math.log10(reynolds / this.REFERENCE_REYNOLDS);
+    return Math.max(0.6, Math.min(1.08, factor));
+  },
+
+  /**
+   * Width (degrees) of the attached-to-separated transition
+   * Thin sections stall abruptly from the leading edge, thick ones progressively from the trailing edge
+   */
+  stallWidth(thickness) {
+    return 0.6 + 10 * thickness;
+  },
+
+  /**
+   * Stall hysteresis (degrees): once stalled, the flow only reattaches this far below the stall angle
+   * Thin sections with leading-edge stall have a large separation bubble to close and the widest
+   * loop; thick sections stalling gradually from the trailing edge have almost none
+   */
+  stallHysteresis(thickness) {
+    return Math.max(1, Math.min(6, 2 + 40 * (0.15 - thickness)));
+  },
+
+  /**
+   * Fraction of the flow that has separated (0 = attached, 1 = fully stalled)
+   * `offset` is the angle past zero lift, measured toward the stall being checked
+   */
+  separationAt(offset, breakAngle, width) {
+    return 1 / (1 + Math.exp(-(offset - breakAngle) / width));
+  },
+
+  /**
+   * Lift at `offset` degrees past zero lift
+   * Attached: CLα·Δα (or a supplied attached-flow value). Separated: flat plate, 2·sin Δα·cos Δα.
+   */
+  blendedLift(offset, breakAngle, width, slope, attachedLift) {
+    const radians = offset * Math.PI / 180;
+    const attached = attachedLift !== undefined ? attachedLift : slope * radians;
+    const separated = 2 * Math.sin(radians) * Math.cos(radians);
+    const sigma = this.separationAt(offset, breakAngle, width);
+
+    return (1 - sigma) * attached + sigma * separated;
+  },
+
+  /**
+   * Peak of the blended curve: { offset, lift }
+   */
+  findPeak(breakAngle, width, slope) {
+    let peak = { offset: 0, lift: 0 };
+
+    for (let offset = 0; offset <= breakAngle + 10 * width; offset += 0.05) {
+      const lift = this.blendedLift(offset, breakAngle, width, slope);
+      if (lift > peak.lift) {
+        peak = { offset, lift };
+      }
+    }
+
+    return peak;
+  },
+
+  /**
+   * Find the break angle (past zero lift) whose peak lift equals the target CLmax
+   */
+  solveBreakAngle(targetLift, width, slope) {
+    let low = 0;
+    let high = 40;
+
+    for (let i = 0; i < 25; i++) {
+      const middle = (low + high) / 2;
+      if (this.findPeak(middle, width, slope).lift < targetLift) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    return (low + high) / 2;
+  },
+
+  /**
+   * Everything the lift curve needs for one airfoil
+   * `attached` may override { zeroLiftAngle, liftCurveSlope (per radian) }.
+   * `highLift` adds flaps and slats: { zeroLiftShift (degrees), maxLiftIncrement, chordFactor }
+   * (see HighLift.effects()).
+   * Compute once per geometry or Reynolds number change, then call liftCoefficient() per angle.
+   */
+  analyze(geometry, attached = {}, reynolds = this.REFERENCE_REYNOLDS, highLift = {}) {
+    const cleanZeroLift = attached.zeroLiftAngle !== undefined
+      ? attached.zeroLiftAngle
+      : this.zeroLiftAngle(geometry.camber);
+    const zeroLiftAngle = cleanZeroLift + (highLift.zeroLiftShift || 0);
+    const slope = (attached.liftCurveSlope || this.LIFT_CURVE_SLOPE) * (highLift.chordFactor || 1);
+    const clMax = this.maxLiftCoefficient(geometry.maxThickness, geometry.maxCamber, reynolds);
+    clMax.positive += highLift.maxLiftIncrement || 0;
+    const width = this.stallWidth(geometry.maxThickness);
+
+    const positiveBreak = this.solveBreakAngle(clMax.positive, width, slope);
+    const negativeBreak = this.solveBreakAngle(-clMax.negative, width, slope);
+    const stallAngle = zeroLiftAngle + this.findPeak(positiveBreak, width, slope).offset;
+    const negativeStallAngle = zeroLiftAngle - this.findPeak(negativeBreak, width, slope).offset;
+    const hysteresis = this.stallHysteresis(geometry.maxThickness);
+
+    return {
+      reynolds,
+      cleanZeroLiftAngle: cleanZeroLift, // degrees, without flaps
+      zeroLiftAngle, // degrees
+      liftCurveSlope: slope * Math.PI / 180, // per degree
+      maxLiftCoefficient: clMax.positive,
+      minLiftCoefficient: clMax.negative,
+      stallAngle,
+      negativeStallAngle,
+      reattachAngle: stallAngle - hysteresis,
+      negativeReattachAngle: negativeStallAngle + hysteresis,
+      positiveBreak,
+      negativeBreak,
+      width,
+      hysteresis
+    };
+  },
+
+  /**
+   * Break angle on the side of zero lift that alpha is on
+   * On the stalled branch (coming back down after a stall) separation persists to lower angles
+   */
+  breakAngleFor(offset, model, stalledBranch) {
+    const breakAngle = offset >= 0 ? model.positiveBreak : model.negativeBreak;
+    return stalledBranch ? breakAngle - model.hysteresis : breakAngle;
+  },
+
+  /**
+   * Lift coefficient at angle of attack alpha (degrees)
+   * Pass `attachedLift` to blend a separately computed attached-flow CL into the stall,
+   * and `stalledBranch` for the lower branch of the hysteresis loop
+   */
+  liftCoefficient(alpha, model, attachedLift, stalledBranch = false) {
+    const offset = alpha - model.zeroLiftAngle;
+    const slope = model.liftCurveSlope * 180 / Math.PI;
+    const breakAngle = this.breakAngleFor(offset, model, stalledBranch);
+
+    if (offset >= 0) {
+      return this.blendedLift(offset, breakAngle, model.width, slope, attachedLift);
+    }
+
+    const mirrored = attachedLift !== undefined ? -attachedLift : undefined;
+    return -this.blendedLift(-offset, breakAngle, model.width, slope, mirrored);
+  },
+
+  /**
+   * Separated fraction of the flow at alpha (degrees)
+   */
+  separatedFraction(alpha, model, stalledBranch = false) {
+    const offset = alpha - model.zeroLiftAngle;
+
+    return this.separationAt(Math.abs(offset), this.breakAngleFor(offset, model, stalledBranch), model.width);
+  },
+
+  /**
+   * Past the lift peak on either side?
+   * On the stalled branch the flow stays stalled down to the reattachment angles
+   */
+  isStalled(alpha, model, stalledBranch = false) {
+    if (stalledBranch) {
+      return alpha > model.reattachAngle || alpha < model.negativeReattachAngle;
+    }
+
+    return alpha > model.stallAngle || alpha < model.negativeStallAngle;
+  }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LiftModel;
+}
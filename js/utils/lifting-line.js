@@ -0,0 +1,113 @@
+/**
+ * Prandtl Lifting-Line Theory
+ * Lift slope, span efficiency and spanwise lift distribution of a straight-tapered,
+ * swept wing, using Glauert's Fourier series solution of the monoplane equation.
+ */
+
+const LiftingLine = {
+  // Fourier terms (odd only, since the wing is symmetric)
+  TERM_COUNT: 20,
+
+  /**
+   * Planform properties
+   * wing = { span (m), rootChord (m), taperRatio (tip/root), sweep (degrees, quarter chord) }
+   */
+  planform({ span, rootChord, taperRatio }) {
+    const tipChord = rootChord * taperRatio;
+    const area = span * (rootChord + tipChord) / 2;
+
+    return {
+      tipChord,
+      area,
+      aspectRatio: (span * span) / area,
+      meanChord: area / span
+    };
+  },
+
+  /**
+   * Local chord at spanwise station y (0 at the root, ±span/2 at the tips)
+   */
+  chordAt(y, { span, rootChord, taperRatio }) {
+    return rootChord * (1 - (1 - taperRatio) * Math.abs((2 * y) / span));
+  },
+
+  /**
+   * Solve the lifting line for a section lift slope (per radian)
+   * Simple sweep theory: only the velocity normal to the quarter-chord line
+   * counts, so each section's slope drops by cos Λ.
+   *
+   * Circulation Γ(θ) = 2bV Σ Aₙ sin(nθ), with y = −(b/2) cos θ
+   * Collocation: Σ Aₙ sin(nθᵢ)(sin θᵢ + n μᵢ) = μᵢ (α − α0) sin θᵢ,  μᵢ = cᵢ a₀ / (4b)
+   */
+  solve(wing, sectionLiftSlope) {
+    const { span, sweep } = wing;
+    const { area, aspectRatio } = this.planform(wing);
+    const slope = sectionLiftSlope * Math.cos((sweep * Math.PI) / 180);
+    const count = this.TERM_COUNT;
+    const orders = Array.from({ length: count }, (_, k) => 2 * k + 1);
+
+    // Collocation points across the half span (root at θ = π/2)
+    const thetas = Array.from({ length: count }, (_, i) => ((i + 1) * Math.PI) / (2 * count));
+
+    const matrix = thetas.map(theta => {
+      const y = -(span / 2) * Math.cos(theta);
+      const mu = (this.chordAt(y, wing) * slope) / (4 * span);
+
+      return orders.map(n => Math.sin(n * theta) * (Math.sin(theta) + n * mu));
+    });
+
+    // Unit angle past zero lift (1 radian), so CL is the lift slope
+    const rhs = thetas.map(theta => {
+      const y = -(span / 2) * Math.cos(theta);
+      const mu = (this.chordAt(y, wing) * slope) / (4 * span);
+
+      return mu * Math.sin(theta);
+    });
+
+    const coefficients = LinearAlgebra.solve(matrix, rhs);
+    const a1 = coefficients[0];
+
+    // Induced drag factor δ = Σ n (Aₙ/A₁)² over n ≥ 3
+    const delta = orders.slice(1).reduce((sum, n, k) => sum + n * Math.pow(coefficients[k + 1] / a1, 2), 0);
+
+    return {
+      area,
+      aspectRatio,
+      sectionLiftSlope: slope, // per radian, after sweep
+      liftCurveSlope: Math.PI * aspectRatio * a1, // per radian
+      spanEfficiency: 1 / (1 + delta),
+      distribution: this.distribution(coefficients, orders)
+    };
+  },
+
+  /**
+   * Spanwise circulation Γ(y) relative to the root, for one half of the wing
+   * Returns [{ station (0 root to 1 tip), lift }]
+   */
+  distribution(coefficients, orders, pointCount = 41) {
+    const circulationAt = theta => orders.reduce((sum, n, k) => sum + coefficients[k] * Math.sin(n * theta), 0);
+    const root = circulationAt(Math.PI / 2);
+    const points = [];
+
+    for (let i = 0; i < pointCount; i++) {
+      const station = i / (pointCount - 1);
+      const theta = Math.acos(-station); // y = station · b/2 on the right wing
+
+      points.push({ station, lift: root !== 0 ? circulationAt(theta) / root : 0 });
+    }
+
+    return points;
+  },
+
+  /**
+   * Induced drag coefficient: CDi = CL² / (π e AR)
+   */
+  inducedDragCoefficient(liftCoefficient, aspectRatio, efficiency) {
+    return (liftCoefficient * liftCoefficient) / (Math.PI * efficiency * aspectRatio);
+  }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LiftingLine;
+}
@@ -0,0 +1,71 @@
+/**
+ * Linear Algebra
+ * Dense linear system solving for the flow solvers (panel method, lifting line)
+ */
+
+const LinearAlgebra = {
+  /**
+   * LU decomposition with partial pivoting (in place); returns the row permutation
+   */
+  luDecompose(matrix) {
+    const n = matrix.length;
+    const permutation = Array.from({ length: n }, (_, i) => i);
+
+    for (let k = 0; k < n; k++) {
+      let pivot = k;
+      for (let i = k + 1; i < n; i++) {
+        if (Math.abs(matrix[i][k]) > Math.abs(matrix[pivot][k])) pivot = i;
+      }
+
+      if (Math.abs(matrix[pivot][k]) < 1e-12) {
+        throw new Error('Matrix is singular');
+      }
+
+      [matrix[k], matrix[pivot]] = [matrix[pivot], matrix[k]];
+      [permutation[k], permutation[pivot]] = [permutation[pivot], permutation[k]];
+
+      for (let i = k + 1; i < n; i++) {
+        const factor = matrix[i][k] / matrix[k][k];
+        matrix[i][k] = factor;
+        for (let j = k + 1; j < n; j++) {
+          matrix[i][j] -= factor * matrix[k][j];
+        }
+      }
+    }
+
+    return permutation;
+  },
+
+  /**
+   * Solve LU·x = P·b
+   */
+  luSolve(lu, permutation, rhs) {
+    const n = lu.length;
+    const x = permutation.map(i => rhs[i]);
+
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < i; j++) x[i] -= lu[i][j] * x[j];
+    }
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = i + 1; j < n; j++) x[i] -= lu[i][j] * x[j];
+      x[i] /= lu[i][i];
+    }
+
+    return x;
+  },
+
+  /**
+   * Solve A·x = b in one call (A is left untouched)
+   */
+  solve(matrix, rhs) {
+    const lu = matrix.map(row => row.slice());
+    const permutation = this.luDecompose(lu);
+    return this.luSolve(lu, permutation, rhs);
+  }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LinearAlgebra;
+}
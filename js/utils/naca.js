@@ -0,0 +1,226 @@
+/**
+ * NACA Airfoil Generator
+ * Builds 4-digit and 5-digit NACA sections from their designation.
+ * Coordinates are in chord units: x runs 0 (leading edge) to 1 (trailing edge), y is up.
+ */
+
+const NACA = {
+  // Default number of points per surface
+  POINT_COUNT: 81,
+
+  // 5-digit mean line constants, keyed by the position digit P
+  // r = where the cubic meets the straight aft section, k1 scales camber for CL = 0.3
+  // (Abbott & von Doenhoff, "Theory of Wing Sections")
+  FIVE_DIGIT_MEAN_LINES: {
+    standard: {
+      1: { r: 0.0580, k1: 361.4 },
+      2: { r: 0.1260, k1: 51.640 },
+      3: { r: 0.2025, k1: 15.957 },
+      4: { r: 0.2900, k1: 6.643 },
+      5: { r: 0.3910, k1: 3.230 }
+    },
+    reflex: {
+      2: { r: 0.1300, k1: 51.990, k2k1: 0.000764 },
+      3: { r: 0.2170, k1: 15.793, k2k1: 0.00677 },
+      4: { r: 0.3180, k1: 6.520, k2k1: 0.0303 },
+      5: { r: 0.4410, k1: 3.191, k2k1: 0.1355 }
+    }
+  },
+
+  /**
+   * Read a designation such as '2412' or '23012'
+   * Returns the section parameters, or null if it isn't a valid NACA designation
+   */
+  parse(designation) {
+    const code = String(designation).trim();
+
+    if (/^\d{4}$/.test(code)) {
+      const maxCamber = parseInt(code[0], 10) / 100;
+      const maxCamberPosition = parseInt(code[1], 10) / 10;
+
+      // Camber needs a position to peak at (e.g. '2012' is meaningless)
+      if (maxCamber > 0 && maxCamberPosition === 0) return null;
+
+      return {
+        series: 4,
+        designation: code,
+        maxCamber,
+        maxCamberPosition: maxCamber > 0 ? maxCamberPosition : 0,
+        thickness: parseInt(code.slice(2), 10) / 100
+      };
+    }
+
+    if (/^\d{5}$/.test(code)) {
+      const designLift = parseInt(code[0], 10) * 0.15;
+      const position = parseInt(code[1], 10);
+      const reflex = code[2] === '1';
+      const table = this.FIVE_DIGIT_MEAN_LINES[reflex ? 'reflex' : 'standard'];
+
+      if (designLift === 0 || !['0', '1'].includes(code[2]) || !table[position]) return null;
+
+      return {
+        series: 5,
+        designation: code,
+        designLift,
+        maxCamberPosition: position * 0.05,
+        reflex,
+        meanLine: table[position],
+        thickness: parseInt(code.slice(3), 10) / 100
+      };
+    }
+
+    return null;
+  },
+
+  /**
+   * Check a designation without building the geometry
+   */
+  isValid(designation) {
+    return this.parse(designation) !== null;
+  },
+
+  /**
+   * Half-thickness at x (closed trailing edge variant, -0.1036 x⁴)
+   * yt = 5t · (0.2969√x − 0.1260x − 0.3516x² + 0.2843x³ − 0.1036x⁴)
+   */
+  thicknessAt(x, thickness) {
+    return 5 * thickness * (
+      0.2969 * Math.sqrt(x) -
+      0.1260 * x -
+      0.3516 * x * x +
+      0.2843 * x * x * x -
+      0.1036 * x * x * x * x
+    );
+  },
+
+  /**
+   * Mean camber line height and slope at x
+   */
+  camberAt(x, section) {
+    return section.series === 4 ? this.fourDigitCamberAt(x, section) : this.fiveDigitCamberAt(x, section);
+  },
+
+  /**
+   * 4-digit mean line: two parabolas meeting at the point of maximum camber
+   */
+  fourDigitCamberAt(x, { maxCamber: m, maxCamberPosition: p }) {
+    if (m === 0) {
+      return { y: 0, slope: 0 };
+    }
+
+    if (x < p) {
+      return {
+        y: (m / (p * p)) * (2 * p * x - x * x),
+        slope: (2 * m / (p * p)) * (p - x)
+      };
+    }
+
+    return {
+      y: (m / Math.pow(1 - p, 2)) * ((1 - 2 * p) + 2 * p * x - x * x),
+      slope: (2 * m / Math.pow(1 - p, 2)) * (p - x)
+    };
+  },
+
+  /**
+   * 5-digit mean line: a cubic ahead of r and a straight line behind it
+   * (or a second cubic for the reflexed 'S = 1' family), scaled to the design CL
+   */
+  fiveDigitCamberAt(x, { designLift, reflex, meanLine }) {
+    const { r, k1, k2k1 } = meanLine;
+    const scale = designLift / 0.3;
+
+    if (!reflex) {
+      if (x < r) {
+        return {
+          y: scale * (k1 / 6) * (x * x * x - 3 * r * x * x + r * r * (3 - r) * x),
+          slope: scale * (k1 / 6) * (3 * x * x - 6 * r * x + r * r * (3 - r))
+        };
+      }
+
+      return {
+        y: scale * (k1 * r * r * r / 6) * (1 - x),
+        slope: -scale * (k1 * r * r * r / 6)
+      };
+    }
+
+    const tail = k2k1 * Math.pow(1 - r, 3) + r * r * r;
+    const curve = x < r ? 1 : k2k1;
+
+    return {
+      y: scale * (k1 / 6) * (curve * Math.pow(x - r, 3) - tail * x + r * r * r),
+      slope: scale * (k1 / 6) * (3 * curve * Math.pow(x - r, 2) - tail)
+    };
+  },
+
+  /**
+   * Build the section geometry
+   * Points are cosine-spaced so the rounded leading edge gets more of them.
+   * Returns { name, upper, lower, camber, maxThickness, maxCamber, maxCamberPosition } or null
+   */
+  generate(designation, pointCount = this.POINT_COUNT) {
+    const section = this.parse(designation);
+    if (!section) return null;
+
+    const upper = [];
+    const lower = [];
+    const camber = [];
+
+    for (let i = 0; i < pointCount; i++) {
+      const beta = (Math.PI * i) / (pointCount - 1);
+      const x = (1 - Math.cos(beta)) / 2;
+
+      const halfThickness = this.thicknessAt(x, section.thickness);
+      const { y: yc, slope } = this.camberAt(x, section);
+      const theta = Math.atan(slope);
+
+      // Thickness is applied perpendicular to the mean line
+      upper.push({
+        x: x - halfThickness * Math.sin(theta),
+        y: yc + halfThickness * Math.cos(theta)
+      });
+      lower.push({
+        x: x + halfThickness * Math.sin(theta),
+        y: yc - halfThickness * Math.cos(theta)
+      });
+      camber.push({ x, y: yc });
+    }
+
+    const peak = camber.reduce((highest, point) => (point.y > highest.y ? point : highest), camber[0]);
+
+    return {
+      name: `NACA ${section.designation}`,
+      section,
+      upper,
+      lower,
+      camber,
+      maxThickness: section.thickness,
+      maxCamber: peak.y,
+      maxCamberPosition: peak.y > 0 ? peak.x : 0
+    };
+  },
+
+  /**
+   * Short plain-language description, e.g. "2% camber at 40% chord, 12% thick"
+   */
+  describe(designation) {
+    const geometry = this.generate(designation);
+    if (!geometry) return '';
+
+    const thickness = `${Math.round(geometry.maxThickness * 100)}% thick`;
+
+    if (geometry.maxCamber === 0) {
+      return `Symmetric, ${thickness}`;
+    }
+
+    const camber = `${(geometry.maxCamber * 100).toFixed(1).replace(/\.0$/, '')}% camber`;
+    const position = `${Math.round(geometry.maxCamberPosition * 100)}% chord`;
+    const designLift = geometry.section.series === 5 ? `, design CL ${geometry.section.designLift.toFixed(2)}` : '';
+
+    return `${camber} at ${position}, ${thickness}${designLift}`;
+  }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NACA;
+}
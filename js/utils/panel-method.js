@@ -0,0 +1,301 @@
+/**
+ * Vortex Panel Method
+ * 2D inviscid flow around an airfoil using linear-strength vortex panels
+ * (Kuethe & Chow, "Foundations of Aerodynamics", §5.10).
+ *
+ * The airfoil surface is split into straight panels whose vortex strength varies
+ * linearly from node to node. Requiring no flow through each panel's midpoint,
+ * plus the Kutta condition at the trailing edge, gives one linear system.
+ * Because the flow is linear in the freestream, it is solved once for a
+ * freestream along x and once along y; any angle of attack is then a cheap mix.
+ */
+
+const PanelMethod = {
+  // Sections thinner than this have coincident panels and can't be solved
+  MIN_THICKNESS: 0.005,
+
+  /**
+   * Panel nodes, clockwise from the trailing edge: lower surface to the
+   * leading edge, then upper surface back to the trailing edge
+   */
+  buildNodes(geometry) {
+    const nodes = [];
+    const lowerCount = geometry.lower.length;
+
+    for (let i = lowerCount - 1; i >= 0; i--) {
+      nodes.push(geometry.lower[i]);
+    }
+
+    geometry.upper.forEach(point => {
+      const last = nodes[nodes.length - 1];
+      if (Math.hypot(point.x - last.x, point.y - last.y) > 1e-9) {
+        nodes.push(point);
+      }
+    });
+
+    return nodes;
+  },
+
+  /**
+   * Panel midpoints, orientation and length
+   */
+  buildPanels(nodes) {
+    const panels = [];
+
+    for (let j = 0; j < nodes.length - 1; j++) {
+      const start = nodes[j];
+      const end = nodes[j + 1];
+
+      panels.push({
+        start,
+        end,
+        x: (start.x + end.x) / 2,
+        y: (start.y + end.y) / 2,
+        theta: Math.atan2(end.y - start.y, end.x - start.x),
+        length: Math.hypot(end.x - start.x, end.y - start.y)
+      });
+    }
+
+    return panels;
+  },
+
+  /**
+   * Normal and tangential velocity induced at panel i's midpoint by the two
+   * ends of panel j's linear vortex sheet
+   */
+  influence(target, source, isSelf) {
+    if (isSelf) {
+      return { cn1: -1, cn2: 1, ct1: Math.PI / 2, ct2: Math.PI / 2 };
+    }
+
+    const dx = target.x - source.start.x;
+    const dy = target.y - source.start.y;
+    const S = source.length;
+
+    const A = -dx * Math.cos(source.theta) - dy * Math.sin(source.theta);
+    const B = dx * dx + dy * dy;
+    const C = Math.sin(target.theta - source.theta);
+    const D = Math.cos(target.theta - source.theta);
+    const E = dx * Math.sin(source.theta) - dy * Math.cos(source.theta);
+    const F = Math.log(1 + (S * (S + 2 * A)) / B);
+    const G = Math.atan2(E * S, B + A * S);
+    const P = dx * Math.sin(target.theta - 2 * source.theta) + dy * Math.cos(target.theta - 2 * source.theta);
+    const Q = dx * Math.cos(target.theta - 2 * source.theta) - dy * Math.sin(target.theta - 2 * source.theta);
+
+    const cn2 = D + (0.5 * Q * F) / S - ((A * C + D * E) * G) / S;
+    const cn1 = 0.5 * D * F + C * G - cn2;
+    const ct2 = C + (0.5 * P * F) / S + ((A * D - C * E) * G) / S;
+    const ct1 = 0.5 * C * F - D * G - ct2;
+
+    return { cn1, cn2, ct1, ct2 };
+  },
+
+  /**
+   * Set up and factor the system for one airfoil
+   * Returns null for sections too thin to panel (e.g. NACA 0000)
+   */
+  prepare(geometry) {
+    if (geometry.maxThickness < this.MIN_THICKNESS) return null;
+
+    const nodes = this.buildNodes(geometry);
+    const panels = this.buildPanels(nodes);
+    const m = panels.length;
+
+    // Normal (no flow through the surface) and tangential (surface speed) coefficients
+    const normal = Array.from({ length: m + 1 }, () => new Array(m + 1).fill(0));
+    const tangent = Array.from({ length: m }, () => new Array(m + 1).fill(0));
+
+    for (let i = 0; i < m; i++) {
+      for (let j = 0; j < m; j++) {
+        const { cn1, cn2, ct1, ct2 } = this.influence(panels[i], panels[j], i === j);
+
+        normal[i][j] += cn1;
+        normal[i][j + 1] += cn2;
+        tangent[i][j] += ct1;
+        tangent[i][j + 1] += ct2;
+      }
+    }
+
+    // Kutta condition: vortex strength vanishes at the trailing edge
+    normal[m][0] = 1;
+    normal[m][m] = 1;
+
+    let permutation;
+    try {
+      permutation = LinearAlgebra.luDecompose(normal);
+    } catch (error) {
+      console.warn(`Panel method: ${error.message}`);
+      return null;
+    }
+
+    // Freestream along x (α = 0°) and along y (α = 90°)
+    const gammaX = LinearAlgebra.luSolve(normal, permutation, [...panels.map(p => Math.sin(p.theta)), 0]);
+    const gammaY = LinearAlgebra.luSolve(normal, permutation, [...panels.map(p => -Math.cos(p.theta)), 0]);
+
+    return {
+      panels,
+      tangent,
+      gammaX,
+      gammaY,
+      lowerPanelCount: geometry.lower.length - 1,
+      circulationX: this.circulation(panels, gammaX),
+      circulationY: this.circulation(panels, gammaY)
+    };
+  },
+
+  /**
+   * Total circulation for nondimensional strengths γ' = γ / (2π V∞)
+   */
+  circulation(panels, gamma) {
+    return panels.reduce((sum, panel, j) => sum + (gamma[j] + gamma[j + 1]) * panel.length, 0) * Math.PI;
+  },
+
+  /**
+   * Lift coefficient at alpha (degrees) from Kutta-Joukowski, CL = 2Γ / (V∞ c)
+   */
+  liftCoefficient(alpha, solution) {
+    const radians = (alpha * Math.PI) / 180;
+    return 2 * (Math.cos(radians) * solution.circulationX + Math.sin(radians) * solution.circulationY);
+  },
+
+  /**
+   * Lift curve implied by the solution
+   * CL = 2(Γx cos α + Γy sin α) = CLα · sin(α − α0)
+   */
+  liftCurve(solution) {
+    const { circulationX, circulationY } = solution;
+
+    return {
+      zeroLiftAngle: (Math.atan2(-circulationX, circulationY) * 180) / Math.PI, // degrees
+      liftCurveSlope: 2 * Math.hypot(circulationX, circulationY) // per radian
+    };
+  },
+
+  /**
+   * Combined vortex strengths for one angle of attack (degrees)
+   */
+  strengthsAt(alpha, solution) {
+    const radians = (alpha * Math.PI) / 180;
+    const cosAlpha = Math.cos(radians);
+    const sinAlpha = Math.sin(radians);
+
+    return solution.gammaX.map((gammaX, j) => cosAlpha * gammaX + sinAlpha * solution.gammaY[j]);
+  },
+
+  /**
+   * Velocity field around the airfoil at alpha (degrees)
+   * Returns (x, y) => { u, v } in chord units, normalized by V∞, in the airfoil's own axes
+   * (x along the chord from the leading edge, y up)
+   */
+  velocityField(alpha, solution) {
+    const radians = (alpha * Math.PI) / 180;
+    const freestreamU = Math.cos(radians);
+    const freestreamV = Math.sin(radians);
+    const gamma = this.strengthsAt(alpha, solution);
+    const { panels } = solution;
+
+    // Per-panel trig, so each evaluation only needs one log and one atan2 per panel
+    const cosines = panels.map(panel => Math.cos(panel.theta));
+    const sines = panels.map(panel => Math.sin(panel.theta));
+    const cosines2 = panels.map(panel => Math.cos(2 * panel.theta));
+    const sines2 = panels.map(panel => Math.sin(2 * panel.theta));
+
+    // Same coefficients as influence() for a horizontal target (θᵢ = 0), so the
+    // tangential and normal components are simply u and v
+    return (x, y) => {
+      let u = freestreamU;
+      let v = freestreamV;
+
+      for (let j = 0; j < panels.length; j++) {
+        const dx = x - panels[j].start.x;
+        const dy = y - panels[j].start.y;
+        const B = dx * dx + dy * dy;
+
+        // Skip the log singularity right on a panel node
+        if (B < 1e-10) continue;
+
+        const S = panels[j].length;
+        const c = cosines[j];
+        const s = sines[j];
+
+        const A = -dx * c - dy * s;
+        const E = dx * s - dy * c;
+        const F = Math.log(1 + (S * (S + 2 * A)) / B);
+        const G = Math.atan2(E * S, B + A * S);
+        const P = -dx * sines2[j] + dy * cosines2[j];
+        const Q = dx * cosines2[j] + dy * sines2[j];
+
+        // C = sin(0 − θj) = −s, D = cos(0 − θj) = c
+        const cn2 = c + (0.5 * Q * F) / S - ((-A * s + c * E) * G) / S;
+        const cn1 = 0.5 * c * F - s * G - cn2;
+        const ct2 = -s + (0.5 * P * F) / S + ((A * c + s * E) * G) / S;
+        const ct1 = -0.5 * s * F - c * G - ct2;
+
+        u += ct1 * gamma[j] + ct2 * gamma[j + 1];
+        v += cn1 * gamma[j] + cn2 * gamma[j + 1];
+      }
+
+      return { u, v };
+    };
+  },
+
+  /**
+   * Front stagnation point: where the surface velocity changes direction near the leading edge
+   * Returns { x, y } in chord units
+   */
+  stagnationPoint(surface) {
+    let best = null;
+
+    for (let i = 1; i < surface.length; i++) {
+      const before = surface[i - 1];
+      const after = surface[i];
+
+      if (Math.sign(before.velocity) !== Math.sign(after.velocity)) {
+        const t = before.velocity / (before.velocity - after.velocity);
+        const point = {
+          x: before.x + t * (after.x - before.x),
+          y: before.y + t * (after.y - before.y)
+        };
+
+        // The rear sign change sits on the trailing edge; keep the one furthest forward
+        if (!best || point.x < best.x) best = point;
+      }
+    }
+
+    return best;
+  },
+
+  /**
+   * Surface velocity and pressure coefficient on every panel at alpha (degrees)
+   * Cp = 1 − (V / V∞)²
+   */
+  surfacePressure(alpha, solution) {
+    const radians = (alpha * Math.PI) / 180;
+    const cosAlpha = Math.cos(radians);
+    const sinAlpha = Math.sin(radians);
+    const { panels, tangent, gammaX, gammaY, lowerPanelCount } = solution;
+
+    return panels.map((panel, i) => {
+      let velocity = Math.cos(panel.theta - radians);
+
+      for (let j = 0; j < gammaX.length; j++) {
+        velocity += tangent[i][j] * (cosAlpha * gammaX[j] + sinAlpha * gammaY[j]);
+      }
+
+      return {
+        x: panel.x,
+        y: panel.y,
+        start: panel.start,
+        end: panel.end,
+        velocity, // V / V∞, positive running clockwise around the section
+        cp: 1 - velocity * velocity,
+        surface: i < lowerPanelCount ? 'lower' : 'upper'
+      };
+    });
+  }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PanelMethod;
+}
@@ -0,0 +1,141 @@
+/**
+ * Physics Utilities
+ * Aerodynamic force calculations shared by the visualization modules
+ */
+
+const Physics = {
+  // Unit conversions
+  NEWTONS_TO_POUNDS: 0.224809, // lbf per N
+
+  // Boundary layer
+  TRANSITION_REYNOLDS: 5e5, // Flat-plate laminar-to-turbulent transition
+  TRANSITION_CORRECTION: 1700, // Laminar run ahead of transition (Prandtl-Schlichting, Re_crit = 5e5)
+  PIPE_TRANSITION_REYNOLDS: 2300, // Pipe flow laminar-to-turbulent transition (diameter based)
+  POWER_LAW_EXPONENT: 7, // Turbulent pipe velocity profile u/u_max = (1 − r/R)^(1/n)
+
+  /**
+   * Dynamic pressure
+   * q = 0.5 * ρ * v²
+   */
+  dynamicPressure(velocity, airDensity = Atmosphere.SEA_LEVEL_DENSITY) {
+    return 0.5 * airDensity * Math.pow(velocity, 2);
+  },
+
+  /**
+   * Calculate lift force
+   * L = 0.5 * ρ * v² * A * CL
+   */
+  calculateLift(velocity, wingArea, liftCoefficient, airDensity = Atmosphere.SEA_LEVEL_DENSITY) {
+    return this.dynamicPressure(velocity, airDensity) * wingArea * liftCoefficient;
+  },
+
+  /**
+   * Calculate drag force
+   * D = 0.5 * ρ * v² * A * CD
+   */
+  calculateDrag(velocity, referenceArea, dragCoefficient, airDensity = Atmosphere.SEA_LEVEL_DENSITY) {
+    return this.dynamicPressure(velocity, airDensity) * referenceArea * dragCoefficient;
+  },
+
+  /**
+   * Reynolds number: ratio of inertial to viscous forces
+   * Re = v * L / ν
+   */
+  reynoldsNumber(velocity, length, kinematicViscosity) {
+    return (velocity * length) / kinematicViscosity;
+  },
+
+  /**
+   * Boundary layer state along a surface of the given Reynolds number
+   */
+  flowRegime(reynolds) {
+    return reynolds < this.TRANSITION_REYNOLDS ? 'laminar' : 'turbulent';
+  },
+
+  /**
+   * Average skin friction coefficient of a flat plate
+   * Laminar (Blasius): Cf = 1.328 / √Re
+   * Turbulent with a laminar start: Cf = 0.455 / (log₁₀ Re)^2.58 − 1700 / Re
+   */
+  skinFrictionCoefficient(reynolds) {
+    if (this.flowRegime(reynolds) === 'laminar') {
+      return 1.328 / Math.sqrt(reynolds);
+    }
+
+    return 0.455 / Math.pow(Math.log10(reynolds), 2.58) - this.TRANSITION_CORRECTION / reynolds;
+  },
+
+  /**
+   * Zero-lift (profile) drag of an airfoil section: skin friction on both
+   * surfaces, raised by a thickness form factor FF = 1 + 2t + 100t⁴
+   */
+  profileDragCoefficient(reynolds, thickness) {
+    const formFactor = 1 + 2 * thickness + 100 * Math.pow(thickness, 4);
+    return 2 * this.skinFrictionCoefficient(reynolds) * formFactor;
+  },
+
+  /**
+   * Darcy friction factor of a smooth pipe, for the Darcy-Weisbach loss Δp = f · (L/D) · ½ρv²
+   * Laminar: f = 64 / Re
+   * Turbulent (Haaland, smooth wall): 1/√f = −1.8 · log₁₀(6.9 / Re)
+   */
+  darcyFrictionFactor(reynolds) {
+    if (reynolds < this.PIPE_TRANSITION_REYNOLDS) {
+      return 64 / Math.max(reynolds, 1);
+    }
+
+    return Math.pow(-1.8 * Math.log10(6.9 / reynolds), -2);
+  },
+
+  /**
+   * Velocity across a pipe relative to the mean velocity, at a fraction r of the way
+   * from the centerline (0) to the wall (1)
+   * Laminar: parabolic, 2 · (1 − r²)
+   * Turbulent: power law (1 − r)^(1/n), whose mean is 2n² / ((n + 1)(2n + 1)) of the peak
+   */
+  pipeVelocityProfile(r, reynolds) {
+    const distance = Math.min(1, Math.abs(r));
+
+    if (reynolds < this.PIPE_TRANSITION_REYNOLDS) {
+      return 2 * (1 - distance * distance);
+    }
+
+    const n = this.POWER_LAW_EXPONENT;
+    return (Math.pow(1 - distance, 1 / n) * (n + 1) * (2 * n + 1)) / (2 * n * n);
+  },
+
+  /**
+   * Manometer reading: height difference of a liquid column balancing a pressure difference
+   * Δh = Δp / (ρ_liquid · g)
+   */
+  manometerHeight(pressureDifference, liquidDensity) {
+    return pressureDifference / (liquidDensity * Atmosphere.GRAVITY);
+  },
+
+  /**
+   * Airspeed a Pitot-static indicator shows for a dynamic pressure, at low speed
+   * The instrument is calibrated for sea-level air: V = √(2q / ρ₀)
+   */
+  indicatedAirspeed(dynamicPressure) {
+    return Math.sqrt((2 * Math.max(0, dynamicPressure)) / Atmosphere.SEA_LEVEL_DENSITY);
+  },
+
+  /**
+   * Convert newtons to pounds-force
+   */
+  newtonsToPounds(newtons) {
+    return newtons * this.NEWTONS_TO_POUNDS;
+  },
+
+  /**
+   * Mass (kg) a vertical force can hold up against gravity
+   */
+  supportedMass(force) {
+    return force / Atmosphere.GRAVITY;
+  }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Physics;
+}
@@ -0,0 +1,127 @@
+/**
+ * Venturi Geometry
+ * The tube's wall as a few control points along its length, joined by a smooth spline.
+ * The tube is symmetric about its centerline, so each point is a position x (0 = entrance,
+ * 1 = exit) and a half-height h (fraction of the canvas height).
+ */
+
+const VenturiGeometry = {
+  // Half-height limits: narrower walls hide the particles, wider ones run into the labels
+  MIN_HALF_HEIGHT: 0.04,
+  MAX_HALF_HEIGHT: 0.2,
+
+  // Closest two control points may get along the tube
+  MIN_POINT_GAP: 0.05,
+
+  // Control point count limits (entrance and exit included)
+  MIN_POINTS: 2,
+  MAX_POINTS: 9,
+
+  // Preset shapes as shape codes (see encode())
+  PRESETS: {
+    venturi: '0_200_350_100_650_100_1000_200',
+    nozzle: '0_200_250_200_750_100_1000_100',
+    diffuser: '0_100_250_100_750_200_1000_200',
+    double: '0_200_200_110_320_110_500_170_680_80_800_80_1000_200'
+  },
+
+  // Also the venturiShape default in APP_STATE_SCHEMA
+  DEFAULT_CODE: '0_200_350_100_650_100_1000_200',
+
+  /**
+   * Control points to compact text, for the app state and URL
+   * x and h of each point in thousandths, e.g. '0_200_350_100_650_100_1000_200'
+   */
+  encode(points) {
+    return points.map(point => [point.x, point.h].map(value => Math.round(value * 1000)).join('_')).join('_');
+  },
+
+  /**
+   * Read a shape code
+   * Returns [{ x, h }], or null if malformed or invalid
+   */
+  decode(code) {
+    const values = String(code).split('_').map(Number);
+    if (values.length % 2 !== 0 || values.some(value => !Number.isInteger(value))) return null;
+
+    const points = [];
+    for (let i = 0; i < values.length; i += 2) {
+      points.push({ x: values[i] / 1000, h: values[i + 1] / 1000 });
+    }
+
+    return this.validate(points) ? null : points;
+  },
+
+  /**
+   * Check control points make a usable tube
+   * Returns null if they do, otherwise a short reason
+   */
+  validate(points) {
+    if (points.length < this.MIN_POINTS || points.length > this.MAX_POINTS) return 'Wrong number of control points';
+    if (points[0].x !== 0 || points[points.length - 1].x !== 1) return 'The tube must run the full width';
+
+    const tooClose = points.some((point, i) => i > 0 && point.x - points[i - 1].x < this.MIN_POINT_GAP - 1e-9);
+    if (tooClose) return 'Control points are too close together';
+
+    const outOfRange = points.some(point => point.h < this.MIN_HALF_HEIGHT || point.h > this.MAX_HALF_HEIGHT);
+    if (outOfRange) return 'The walls would be too narrow or too wide';
+
+    return null;
+  },
+
+  /**
+   * Monotone cubic spline through the control points (Fritsch-Butland slopes)
+   * It never overshoots, so a flat throat stays flat and the walls stay inside the limits
+   * Returns { points, slopes } for heightAt()
+   */
+  spline(points) {
+    const count = points.length;
+    const secants = [];
+    for (let i = 0; i < count - 1; i++) {
+      secants.push((points[i + 1].h - points[i].h) / (points[i + 1].x - points[i].x));
+    }
+
+    const slopes = points.map((point, i) => {
+      if (i === 0) return secants[0] || 0;
+      if (i === count - 1) return secants[count - 2];
+
+      // Flat at a local peak or dip, otherwise the harmonic mean of the neighbouring secants
+      const before = secants[i - 1];
+      const after = secants[i];
+      return before * after <= 0 ? 0 : (2 * before * after) / (before + after);
+    });
+
+    return { points, slopes };
+  },
+
+  /**
+   * Half-height of the tube at x (0 to 1) on a spline from spline()
+   */
+  heightAt({ points, slopes }, x) {
+    let i = 0;
+    while (i < points.length - 2 && x > points[i + 1].x) i++;
+
+    const a = points[i];
+    const b = points[i + 1];
+    const width = b.x - a.x;
+    const t = Math.max(0, Math.min(1, (x - a.x) / width));
+
+    // Cubic Hermite basis
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return (2 * t3 - 3 * t2 + 1) * a.h + (t3 - 2 * t2 + t) * width * slopes[i] +
+      (-2 * t3 + 3 * t2) * b.h + (t3 - t2) * width * slopes[i + 1];
+  },
+
+  /**
+   * Name of the preset matching a shape code, or null
+   */
+  presetFor(code) {
+    return Object.keys(this.PRESETS).find(name => this.PRESETS[name] === code) || null;
+  }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VenturiGeometry;
+}
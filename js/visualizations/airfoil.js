@@ -3,22 +3,44 @@
  * Demonstrates how airfoil shape and angle of attack affect lift and drag
  */
 
-class AirfoilVisualization {
+class AirfoilVisualization extends Visualization {
   constructor(canvasId, options = {}) {
-    this.canvas = document.getElementById(canvasId);
-    if (!this.canvas) {
-      console.error(`Canvas with id "${canvasId}" not found`);
-      return;
-    }
-
-    this.ctx = this.canvas.getContext('2d');
-    this.width = this.canvas.width;
-    this.height = this.canvas.height;
+    super(canvasId, options);
+    if (!this.canvas) return;
 
     // Airfoil parameters
-    this.angleOfAttack = options.angleOfAttack || 5; // degrees
+    this.angleOfAttack = options.angleOfAttack !== undefined ? options.angleOfAttack : 5; // degrees
     this.airfoilType = options.airfoilType || 'cambered';
-    this.airspeed = 50; // m/s
+    this.nacaCode = options.nacaCode || '2412';
+    this.customShape = BezierAirfoil.decode(BezierAirfoil.DEFAULT_CODE); // Control points, see setCustomShape()
+    this.importedGeometry = null; // Section read from a .dat file, see setImportedGeometry()
+    this.geometry = null; // Normalized section, see updateGeometry()
+    this.liftModel = null; // Lift curve parameters for the current section
+    this.panelSolution = null; // Vortex panel solution (null if the section can't be panelled)
+    this.pressure = null; // Surface Cp at the current angle, see getSurfacePressure()
+
+    // Flight conditions for converting coefficients to forces
+    this.airspeed = options.airspeed || 50; // m/s
+    this.wingArea = options.wingArea || 16; // m²
+    this.chord = options.chord || 1.5; // m, real-world chord for the Reynolds number
+    this.reynolds = 0; // See updateLiftModel()
+
+    // Finite wing: 'section' is a 2D slice of an infinitely long wing, 'finite' a real planform
+    this.wingMode = options.wingMode || 'section';
+    this.span = options.span || 11; // m
+    this.taperRatio = options.taperRatio !== undefined ? options.taperRatio : 1; // tip chord / root chord
+    this.sweep = options.sweep || 0; // degrees, quarter-chord line
+    this.oswald = options.oswald || 0.8; // Oswald efficiency factor for induced drag
+    this.wing = null; // Lifting-line solution in finite mode, see updateWing()
+
+    // High-lift devices
+    this.flapType = options.flapType || 'none';
+    this.flapDeflection = options.flapDeflection || 0; // degrees, trailing edge down
+    this.slatDeflection = options.slatDeflection || 0; // degrees, leading edge down
+    this.highLift = null; // Lift and drag increments, see updateLiftModel()
+
+    // Ambient air from the standard atmosphere
+    this.atmosphere = Atmosphere.conditionsAt(options.altitude || 0, options.isaDeviation || 0);
 
     // Airfoil position
     this.chordLength = 200; // pixels
@@ -27,19 +49,39 @@ class AirfoilVisualization {
 
     // Streamlines
     this.streamlines = [];
-    this.streamlineCount = 8;
-
-    // Animation
-    this.isRunning = false;
-    this.animationFrame = null;
-    this.time = 0;
+    this.streamlineCount = 12;
+    this.flow = null; // Traced streamline paths for the current angle, see getFlow()
+    this.particleSpacing = 0.6; // Flow time between particles on a streamline
+    this.flowRate = 0.8; // Chord lengths per second for freestream particles
+
+    // Flow separation and stall
+    this.stallState = null; // 'positive' or 'negative' once stalled, until the flow reattaches
+    this.separationThreshold = 0.05; // Separated fraction below which the flow counts as attached
+    this.wakeVortices = []; // Vortices shed into the wake, in wind axes
+    this.sheddingTimer = 0;
+    this.shedFromSeparation = true; // Vortices alternate between the separation point and trailing edge
+    this.strouhalNumber = 0.2; // Shedding frequency × wake width ÷ airspeed for bluff bodies
+
+    // Shape editor (custom airfoil): control points are dragged on the canvas
+    this.onShapeChange = options.onShapeChange || null; // Called with the new shape code at the end of a drag
+    this.dragHandle = null; // { surface, index } being dragged
+    this.dragStartCode = null; // Shape code when the drag started
+    this.shapeFrame = null; // Pending animation frame that re-solves the dragged shape
+    this.shapeError = null; // Why the last drag was refused
+    this.handleRadius = 7; // pixels
+
+    if (options.customShape) {
+      this.setCustomShapeCode(options.customShape);
+    }
 
     this.init();
   }
 
   init() {
+    this.updateGeometry();
     this.resetPosition();
     this.createStreamlines();
+    this.setupShapeEditor();
     this.draw();
   }
 
@@ -47,38 +89,154 @@ class AirfoilVisualization {
    * Reset airfoil position to center
    */
   resetPosition() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     this.centerX = pixelWidth / 2;
     this.centerY = pixelHeight / 2;
   }
 
   /**
-   * Create streamlines for airflow visualization
+   * Re-lay-out after a canvas resize
+   */
+  layout() {
+    this.resetPosition();
+    this.createStreamlines();
+    this.flow = null;
+  }
+
+  /**
+   * Create streamline starting heights for airflow visualization
    */
   createStreamlines() {
     this.streamlines = [];
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelHeight } = this;
 
     const spacing = pixelHeight / (this.streamlineCount + 1);
 
     for (let i = 1; i <= this.streamlineCount; i++) {
-      this.streamlines.push({
-        y: spacing * i,
-        offset: Math.random() * 100
-      });
+      this.streamlines.push({ y: spacing * i });
     }
   }
 
+  /**
+   * Streamline paths and stagnation point for the current angle of attack
+   * Tracing is expensive, so it is cached until the angle, airfoil or canvas changes
+   */
+  getFlow() {
+    if (!this.flow || this.flow.alpha !== this.angleOfAttack) {
+      this.flow = this.traceFlow();
+    }
+
+    return this.flow;
+  }
+
+  /**
+   * Trace every streamline through the panel method velocity field
+   * Paths are in "wind" axes: chord units from mid-chord, x downstream, y up.
+   * Each point also records the flow time to reach it, so particles can move at the local speed.
+   */
+  traceFlow() {
+    const { pixelWidth } = this;
+    const alpha = this.angleOfAttack;
+    const radians = (alpha * Math.PI) / 180;
+    const cosAlpha = Math.cos(radians);
+    const sinAlpha = Math.sin(radians);
+
+    const xMin = -this.centerX / this.chordLength;
+    const xMax = (pixelWidth - this.centerX) / this.chordLength;
+
+    // Without a panel solution (e.g. a zero-thickness section) fall back to uniform flow
+    const field = this.panelSolution ? PanelMethod.velocityField(alpha, this.panelSolution) : null;
+
+    // Velocity in wind axes: rotate the point into airfoil axes, then the velocity back
+    const velocityAt = (x, y) => {
+      if (!field) return { u: 1, v: 0 };
+
+      const bodyX = x * cosAlpha - y * sinAlpha + 0.5;
+      const bodyY = x * sinAlpha + y * cosAlpha;
+      const { u, v } = field(bodyX, bodyY);
+
+      return { u: u * cosAlpha + v * sinAlpha, v: -u * sinAlpha + v * cosAlpha };
+    };
+
+    const paths = this.streamlines.map(seed => {
+      let x = xMin;
+      let y = (this.centerY - seed.y) / this.chordLength;
+      let time = 0;
+      const points = [{ x, y, time }];
+
+      for (let step = 0; step < 800 && x < xMax; step++) {
+        // Small steps near the airfoil, larger ones in the far field
+        const ds = Math.hypot(x, y) < 0.75 ? 0.02 : 0.06;
+
+        // Midpoint (RK2) step along the flow direction
+        const start = velocityAt(x, y);
+        const startSpeed = Math.hypot(start.u, start.v);
+        if (startSpeed < 0.01) break; // Stagnation point or inside the section
+
+        const midX = x + 0.5 * ds * (start.u / startSpeed);
+        const midY = y + 0.5 * ds * (start.v / startSpeed);
+        const middle = velocityAt(midX, midY);
+        const speed = Math.hypot(middle.u, middle.v);
+        if (speed < 0.01) break;
+
+        x += ds * (middle.u / speed);
+        y += ds * (middle.v / speed);
+        time += ds / speed;
+        points.push({ x, y, time });
+      }
+
+      return points;
+    });
+
+    // Front stagnation point (airfoil axes)
+    const surface = this.getSurfacePressure();
+    const stagnation = surface ? PanelMethod.stagnationPoint(surface) : null;
+
+    return { alpha, paths, stagnation };
+  }
+
+  /**
+   * Position a given flow time along a traced path (binary search + interpolation)
+   */
+  getPathPosition(points, time) {
+    let low = 0;
+    let high = points.length - 1;
+
+    while (high - low > 1) {
+      const middle = (low + high) >> 1;
+      if (points[middle].time < time) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    const a = points[low];
+    const b = points[high];
+    const t = b.time > a.time ? (time - a.time) / (b.time - a.time) : 0;
+
+    return { x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) };
+  }
+
+  /**
+   * Wind-axes chord units to canvas pixels
+   */
+  toCanvas(point) {
+    return {
+      x: this.centerX + point.x * this.chordLength,
+      y: this.centerY - point.y * this.chordLength
+    };
+  }
+
   /**
    * Set angle of attack
    */
   setAngleOfAttack(angle) {
     this.angleOfAttack = angle;
-    if (!this.isRunning) {
-      this.draw();
-    }
+    this.flow = null;
+    this.updateStallState();
+    this.redraw();
   }
 
   /**
@@ -86,41 +244,415 @@ class AirfoilVisualization {
    */
   setAirfoilType(type) {
     this.airfoilType = type;
-    if (!this.isRunning) {
-      this.draw();
+    this.updateGeometry();
+    this.updateShapeEditor();
+    this.redraw();
+  }
+
+  /**
+   * Set NACA designation (used when the airfoil type is 'naca')
+   */
+  setNacaCode(code) {
+    this.nacaCode = code;
+    this.updateGeometry();
+    this.redraw();
+  }
+
+  /**
+   * Set the custom airfoil's control points from a shape code (see BezierAirfoil.encode)
+   */
+  setCustomShape(code) {
+    if (!this.setCustomShapeCode(code)) return;
+
+    this.updateGeometry();
+    this.redraw();
+  }
+
+  /**
+   * Use a section read from a coordinate file (see AirfoilDat.toGeometry) as the 'imported' airfoil
+   */
+  setImportedGeometry(geometry) {
+    this.importedGeometry = geometry;
+
+    if (this.airfoilType === 'imported') {
+      this.updateGeometry();
+      this.redraw();
+    }
+  }
+
+  /**
+   * Adopt a shape code if it's a valid, different shape
+   * Returns true if the shape changed
+   */
+  setCustomShapeCode(code) {
+    const shape = BezierAirfoil.decode(code);
+    if (!shape || BezierAirfoil.validate(shape) || code === BezierAirfoil.encode(this.customShape)) return false;
+
+    this.customShape = shape;
+    return true;
+  }
+
+  /**
+   * Set airspeed, wing area and chord
+   */
+  setFlightConditions(airspeed, wingArea, chord) {
+    this.airspeed = airspeed;
+    this.wingArea = wingArea;
+    this.chord = chord;
+    this.updateLiftModel();
+    this.redraw();
+  }
+
+  /**
+   * Set the wing mode and planform
+   */
+  setWing(mode, span, taperRatio, sweep, oswald) {
+    this.wingMode = mode;
+    this.span = span;
+    this.taperRatio = taperRatio;
+    this.sweep = sweep;
+    this.oswald = oswald;
+    this.updateLiftModel();
+    this.redraw();
+  }
+
+  /**
+   * Set the flap type and flap and slat deflections
+   */
+  setHighLift(flapType, flapDeflection, slatDeflection) {
+    this.flapType = flapType;
+    this.flapDeflection = flapDeflection;
+    this.slatDeflection = slatDeflection;
+    this.updateLiftModel();
+    this.redraw();
+  }
+
+  /**
+   * Set ambient conditions from the standard atmosphere
+   */
+  setAtmosphere(altitude, isaDeviation) {
+    this.atmosphere = Atmosphere.conditionsAt(altitude, isaDeviation);
+    this.updateLiftModel();
+    this.redraw();
+  }
+
+  /**
+   * A copy of this wing with a different airfoil, for side-by-side comparisons
+   * It shares everything else (angle, airspeed, planform, flaps, air) with this one live
+   * through its prototype, and keeps only its own section, lift model and stall state.
+   * Call updateLiftModel() on it after the flight conditions change, updateStallState()
+   * after the angle changes. Never draw it: it shares this visualization's canvas.
+   */
+  createVariant(airfoilType) {
+    const variant = Object.create(this);
+
+    variant.airfoilType = airfoilType;
+    variant.stallState = null;
+    variant.updateGeometry();
+
+    return variant;
+  }
+
+  /**
+   * Rebuild the section geometry after the airfoil changes
+   * Shapes are cached here so drawing doesn't regenerate them every frame
+   */
+  updateGeometry() {
+    let generated = null;
+    if (this.airfoilType === 'naca') generated = NACA.generate(this.nacaCode);
+    if (this.airfoilType === 'custom') generated = BezierAirfoil.generate(this.customShape);
+    if (this.airfoilType === 'imported') generated = this.importedGeometry;
+
+    this.geometry = generated || this.getPresetGeometry(this.airfoilType);
+    this.panelSolution = PanelMethod.prepare(this.geometry);
+    this.pressure = null;
+    this.flow = null;
+
+    this.updateLiftModel();
+  }
+
+  /**
+   * Recompute the Reynolds number and the lift curve that depends on it
+   */
+  updateLiftModel() {
+    if (!this.geometry) return;
+
+    // A tapered wing's sections see the Reynolds number of its mean chord
+    const chord = this.isFiniteWing() ? LiftingLine.planform(this.getPlanform()).meanChord : this.chord;
+    this.reynolds = Physics.reynoldsNumber(this.airspeed, chord, this.atmosphere.kinematicViscosity);
+
+    // The panel solution gives a more exact attached-flow slope and zero-lift angle
+    const attached = this.panelSolution ? PanelMethod.liftCurve(this.panelSolution) : {};
+    this.highLift = HighLift.effects(this.flapType, this.flapDeflection, this.slatDeflection);
+    this.liftModel = LiftModel.analyze(this.geometry, attached, this.reynolds, this.highLift);
+    this.pressure = null;
+
+    this.updateWing();
+    this.updateStallState();
+  }
+
+  /**
+   * Track whether the flow is on the stalled branch of the hysteresis loop
+   * It separates past the stall angle, but only reattaches once the angle drops below the
+   * (lower) reattachment angle
+   */
+  updateStallState() {
+    const angle = this.getSectionAngle(this.angleOfAttack);
+    const { stallAngle, negativeStallAngle, reattachAngle, negativeReattachAngle } = this.liftModel;
+
+    if (angle > stallAngle) {
+      this.stallState = 'positive';
+    } else if (angle < negativeStallAngle) {
+      this.stallState = 'negative';
+    } else if (this.stallState === 'positive' && angle < reattachAngle) {
+      this.stallState = null;
+    } else if (this.stallState === 'negative' && angle > negativeReattachAngle) {
+      this.stallState = null;
+    }
+  }
+
+  /**
+   * Is alpha on the stalled branch? (the side of zero lift the wing last stalled on)
+   */
+  isStalledBranch(alpha) {
+    if (!this.stallState) return false;
+
+    const positiveSide = this.getSectionAngle(alpha) >= this.liftModel.zeroLiftAngle;
+    return positiveSide === (this.stallState === 'positive');
+  }
+
+  /**
+   * Solve the lifting line for the current planform (finite wing mode only)
+   * The wing's lift curve is the section's, stretched along α by liftSlopeRatio and
+   * scaled by cos Λ, so CLα drops to the 3D value and swept wings reach a lower CLmax.
+   */
+  updateWing() {
+    if (!this.isFiniteWing()) {
+      this.wing = null;
+      return;
     }
+
+    const sectionSlope = this.liftModel.liftCurveSlope * 180 / Math.PI;
+    const solution = LiftingLine.solve(this.getPlanform(), sectionSlope);
+
+    this.wing = {
+      ...solution,
+      sweepFactor: Math.cos((this.sweep * Math.PI) / 180),
+      liftSlopeRatio: solution.liftCurveSlope / solution.sectionLiftSlope
+    };
+  }
+
+  /**
+   * Is the Wing Design module showing a finite wing rather than a 2D section?
+   */
+  isFiniteWing() {
+    return this.wingMode === 'finite';
+  }
+
+  /**
+   * Planform for LiftingLine, with the chord slider as the root chord
+   */
+  getPlanform() {
+    return {
+      span: this.span,
+      rootChord: this.chord,
+      taperRatio: this.taperRatio,
+      sweep: this.sweep
+    };
+  }
+
+  /**
+   * Area that the coefficients are based on: the planform area of a finite wing,
+   * or the wing area slider for a section
+   */
+  getReferenceArea() {
+    return this.wing ? this.wing.area : this.wingArea;
+  }
+
+  /**
+   * Section angle of attack that gives the wing's lift at alpha (degrees)
+   */
+  getSectionAngle(alpha) {
+    if (!this.wing) return alpha;
+
+    const { zeroLiftAngle } = this.liftModel;
+    return zeroLiftAngle + (alpha - zeroLiftAngle) * this.wing.liftSlopeRatio;
+  }
+
+  /**
+   * Stall angles and lift limits for the section or whole wing
+   */
+  getLiftLimits() {
+    const {
+      zeroLiftAngle, stallAngle, negativeStallAngle, reattachAngle, negativeReattachAngle,
+      maxLiftCoefficient, minLiftCoefficient
+    } = this.liftModel;
+
+    if (!this.wing) {
+      return {
+        stallAngle, negativeStallAngle, reattachAngle, negativeReattachAngle, maxLiftCoefficient, minLiftCoefficient
+      };
+    }
+
+    const { liftSlopeRatio, sweepFactor } = this.wing;
+    const toWingAngle = angle => zeroLiftAngle + (angle - zeroLiftAngle) / liftSlopeRatio;
+
+    return {
+      stallAngle: toWingAngle(stallAngle),
+      negativeStallAngle: toWingAngle(negativeStallAngle),
+      reattachAngle: toWingAngle(reattachAngle),
+      negativeReattachAngle: toWingAngle(negativeReattachAngle),
+      maxLiftCoefficient: maxLiftCoefficient * sweepFactor,
+      minLiftCoefficient: minLiftCoefficient * sweepFactor
+    };
+  }
+
+  /**
+   * Surface pressure distribution at the current angle of attack
+   * Cached because draw() runs every frame but the angle rarely changes
+   */
+  getSurfacePressure() {
+    if (!this.panelSolution) return null;
+
+    const stalledBranch = this.isStalledBranch(this.angleOfAttack);
+
+    if (!this.pressure || this.pressure.alpha !== this.angleOfAttack || this.pressure.stalledBranch !== stalledBranch) {
+      const panels = PanelMethod.surfacePressure(this.angleOfAttack, this.panelSolution);
+
+      this.pressure = {
+        alpha: this.angleOfAttack,
+        stalledBranch,
+        panels: this.applySeparatedPressure(panels)
+      };
+    }
+
+    return this.pressure.panels;
+  }
+
+  /**
+   * Separated flow can't recover pressure, so behind the separation point
+   * Cp stays flat (the familiar "pressure plateau")
+   */
+  applySeparatedPressure(panels) {
+    const separation = this.getSeparation();
+    if (!separation) return panels;
+
+    const separated = panels.filter(panel => panel.surface === separation.surface && panel.x >= separation.point.x);
+    if (!separated.length) return panels;
+
+    // Starts at the local Cp, tending to a typical stalled base pressure as the separation grows
+    const separationCp = separated.reduce((front, panel) => (panel.x < front.x ? panel : front), separated[0]).cp;
+    const basePressure = -0.6;
+    const plateau = separationCp + (basePressure - separationCp) * separation.fraction;
+
+    return panels.map(panel => (separated.includes(panel) ? { ...panel, cp: plateau } : panel));
+  }
+
+  /**
+   * Where and how far the flow has separated at the current angle
+   * The separation point creeps forward from the trailing edge as the separated fraction grows.
+   * Returns null while the flow is attached, otherwise
+   * { fraction, surface, point (chord units), wind: { separation, trailingEdge } }
+   */
+  getSeparation() {
+    const alpha = this.angleOfAttack;
+    const sectionAngle = this.getSectionAngle(alpha);
+    const fraction = LiftModel.separatedFraction(sectionAngle, this.liftModel, this.isStalledBranch(alpha));
+
+    if (fraction < this.separationThreshold) return null;
+
+    // Positive stall separates the upper surface, negative stall the lower one
+    const surface = sectionAngle >= this.liftModel.zeroLiftAngle ? 'upper' : 'lower';
+    const points = this.geometry[surface];
+    const x = 1 - 0.95 * fraction;
+    const point = { x, y: this.surfaceHeightAt(points, x) };
+
+    return {
+      fraction,
+      surface,
+      point,
+      wind: {
+        separation: this.toWindAxes(point),
+        trailingEdge: this.toWindAxes(points[points.length - 1])
+      }
+    };
+  }
+
+  /**
+   * Chord-unit section point to wind axes (chord units from mid-chord, x downstream, y up)
+   */
+  toWindAxes(point) {
+    const radians = (this.angleOfAttack * Math.PI) / 180;
+    const x = point.x - 0.5;
+
+    return {
+      x: x * Math.cos(radians) + point.y * Math.sin(radians),
+      y: -x * Math.sin(radians) + point.y * Math.cos(radians)
+    };
+  }
+
+  /**
+   * Edges of the separated wake at wind-axes x: the shear layer leaving the separation point
+   * and the one leaving the trailing edge, both spreading downstream
+   * Returns null ahead of the separation point
+   */
+  getWakeBounds(separation, x) {
+    const { separation: start, trailingEdge } = separation.wind;
+    if (x < start.x) return null;
+
+    const side = separation.surface === 'upper' ? 1 : -1;
+    const spread = 0.08 + 0.1 * separation.fraction;
+
+    return {
+      outer: start.y + side * spread * (x - start.x),
+      inner: trailingEdge.y - side * 0.5 * spread * Math.max(0, x - trailingEdge.x),
+      side
+    };
+  }
+
+  /**
+   * Is a wind-axes point inside the separated wake?
+   */
+  isInWake(separation, point) {
+    const bounds = this.getWakeBounds(separation, point.x);
+    if (!bounds) return false;
+
+    const { outer, inner, side } = bounds;
+    return (point.y - inner) * side > 0 && (outer - point.y) * side > 0;
   }
 
   /**
-   * Get airfoil points based on type
+   * Geometry for the simple built-in shapes, in the same chord units as NACA.generate()
    */
-  getAirfoilPoints() {
-    const points = [];
+  getPresetGeometry(type) {
+    const upper = [];
+    const lower = [];
+    const camber = [];
     const numPoints = 50;
 
     for (let i = 0; i <= numPoints; i++) {
-      const x = (i / numPoints) * this.chordLength - this.chordLength / 2;
-      const normalizedX = i / numPoints; // 0 to 1
+      const x = i / numPoints; // 0 to 1
+      const bump = Math.sin(Math.PI * x);
 
       let upperY, lowerY;
 
-      switch (this.airfoilType) {
+      switch (type) {
         case 'cambered':
           // Cambered airfoil (curved on top, flatter bottom)
-          upperY = -15 * Math.sin(Math.PI * normalizedX) - 5 * normalizedX;
-          lowerY = 8 * Math.sin(Math.PI * normalizedX) - 3 * normalizedX;
+          upperY = 0.075 * bump + 0.025 * x;
+          lowerY = -0.04 * bump + 0.015 * x;
           break;
 
         case 'symmetric':
           // Symmetric airfoil (same curve top and bottom)
-          upperY = -12 * Math.sin(Math.PI * normalizedX);
-          lowerY = 12 * Math.sin(Math.PI * normalizedX);
+          upperY = 0.06 * bump;
+          lowerY = -0.06 * bump;
           break;
 
         case 'flat':
           // Flat bottom airfoil
-          upperY = -12 * Math.sin(Math.PI * normalizedX);
-          lowerY = 2;
+          upperY = 0.06 * bump;
+          lowerY = -0.01;
           break;
 
         default:
@@ -128,82 +660,314 @@ class AirfoilVisualization {
           lowerY = 0;
       }
 
-      points.push({
-        x: x,
-        upperY: upperY,
-        lowerY: lowerY
+      upper.push({ x, y: upperY });
+      lower.push({ x, y: lowerY });
+      camber.push({ x, y: (upperY + lowerY) / 2 });
+    }
+
+    const thickness = upper.map((point, i) => point.y - lower[i].y);
+    const peak = camber.reduce((highest, point) => (point.y > highest.y ? point : highest), camber[0]);
+    const names = { cambered: 'Cambered', symmetric: 'Symmetric', flat: 'Flat Bottom' };
+
+    return {
+      name: names[type] || type,
+      upper,
+      lower,
+      camber,
+      maxThickness: Math.max(...thickness),
+      maxCamber: peak.y,
+      maxCamberPosition: peak.y > 0 ? peak.x : 0
+    };
+  }
+
+  /**
+   * Convert a chord-unit point to canvas units relative to the airfoil center
+   * The same scale on both axes keeps the section's proportions true
+   */
+  toSectionCoordinates(point) {
+    return {
+      x: (point.x - 0.5) * this.chordLength,
+      y: -point.y * this.chordLength
+    };
+  }
+
+  /**
+   * Listen for control point drags on the canvas (only active for the custom airfoil)
+   */
+  setupShapeEditor() {
+    this.editorListeners = {
+      pointerdown: event => this.handlePointerDown(event),
+      pointermove: event => this.handlePointerMove(event),
+      pointerup: event => this.handlePointerUp(event),
+      pointercancel: event => this.handlePointerUp(event)
+    };
+
+    Object.keys(this.editorListeners).forEach(type => {
+      this.canvas.addEventListener(type, this.editorListeners[type]);
+    });
+
+    this.updateShapeEditor();
+  }
+
+  /**
+   * While editing, touch drags move control points instead of scrolling the page
+   */
+  updateShapeEditor() {
+    this.canvas.style.touchAction = this.isEditingShape() ? 'none' : '';
+    this.canvas.style.cursor = '';
+    this.dragHandle = null;
+    this.shapeError = null;
+  }
+
+  /**
+   * Is the custom airfoil (and so the shape editor) active?
+   */
+  isEditingShape() {
+    return this.airfoilType === 'custom';
+  }
+
+  /**
+   * Pointer position in chord units, undoing the angle of attack rotation
+   */
+  eventToSection(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const canvasX = ((event.clientX - rect.left) * this.pixelWidth) / rect.width - this.centerX;
+    const canvasY = ((event.clientY - rect.top) * this.pixelHeight) / rect.height - this.centerY;
+    const radians = (this.angleOfAttack * Math.PI) / 180;
+
+    const x = canvasX * Math.cos(radians) + canvasY * Math.sin(radians);
+    const y = -canvasX * Math.sin(radians) + canvasY * Math.cos(radians);
+
+    return { x: x / this.chordLength + 0.5, y: -y / this.chordLength };
+  }
+
+  /**
+   * Control point under a section point, or null
+   * Returns { surface, index }
+   */
+  findHandle(point) {
+    let nearest = null;
+    let nearestDistance = (1.5 * this.handleRadius) / this.chordLength;
+
+    ['upper', 'lower'].forEach(surface => {
+      this.customShape[surface].forEach((handle, index) => {
+        const distance = Math.hypot(handle.x - point.x, handle.y - point.y);
+
+        if (distance < nearestDistance) {
+          nearest = { surface, index };
+          nearestDistance = distance;
+        }
       });
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Start dragging a control point
+   */
+  handlePointerDown(event) {
+    if (!this.isEditingShape()) return;
+
+    const handle = this.findHandle(this.eventToSection(event));
+    if (!handle) return;
+
+    this.dragHandle = handle;
+    this.dragStartCode = BezierAirfoil.encode(this.customShape);
+    this.canvas.style.cursor = 'grabbing';
+    this.canvas.setPointerCapture(event.pointerId);
+    event.preventDefault();
+    this.redraw();
+  }
+
+  /**
+   * Drag the active control point, or show a grab cursor over one
+   */
+  handlePointerMove(event) {
+    if (!this.isEditingShape()) return;
+
+    const point = this.eventToSection(event);
+
+    if (!this.dragHandle) {
+      this.canvas.style.cursor = this.findHandle(point) ? 'grab' : '';
+      return;
     }
 
-    return points;
+    this.moveHandle(this.dragHandle, point);
   }
 
   /**
-   * Calculate lift coefficient based on angle of attack
+   * Finish a drag: solve the final shape now, and report it once
    */
-  calculateLiftCoefficient() {
-    const alpha = this.angleOfAttack;
+  handlePointerUp(event) {
+    if (!this.dragHandle) return;
+
+    this.dragHandle = null;
+    this.shapeError = null;
+    this.canvas.style.cursor = '';
 
-    // Base coefficient depending on airfoil type
-    let baseOffset = 0;
-    if (this.airfoilType === 'cambered') {
-      baseOffset = 0.2; // Cambered airfoils generate lift at 0°
+    if (this.canvas.hasPointerCapture(event.pointerId)) {
+      this.canvas.releasePointerCapture(event.pointerId);
     }
 
-    // Stall angle
-    const stallAngle = 15;
-
-    if (alpha < -10) {
-      return -0.5;
-    } else if (alpha >= -10 && alpha <= stallAngle) {
-      // Linear region: CL increases with angle
-      return baseOffset + 0.1 * alpha;
-    } else if (alpha > stallAngle && alpha <= 20) {
-      // Stall region: gradual decrease
-      const maxCL = baseOffset + 0.1 * stallAngle;
-      const reduction = (alpha - stallAngle) / 5;
-      return maxCL - (reduction * 0.8);
-    } else {
-      // Deep stall
-      return 0.5;
+    if (this.shapeFrame !== null) {
+      cancelAnimationFrame(this.shapeFrame);
+      this.shapeFrame = null;
+      this.updateGeometry();
     }
+
+    const code = BezierAirfoil.encode(this.customShape);
+    if (code !== this.dragStartCode && this.onShapeChange) {
+      this.onShapeChange(code);
+    }
+
+    this.redraw();
   }
 
   /**
-   * Calculate drag coefficient
+   * Move one control point, refusing positions that make an invalid section
+   * The nose point only moves vertically, which keeps the leading edge round
+   * Only the control polygon follows the pointer straight away: the section is re-solved
+   * at most once per frame, and the rest of the page hears of the shape when the drag ends
    */
-  calculateDragCoefficient() {
-    const CL = this.calculateLiftCoefficient();
-    const alpha = this.angleOfAttack;
+  moveHandle({ surface, index }, point) {
+    const limit = BezierAirfoil.MAX_HEIGHT;
+    const round = value => Math.round(value * 1000) / 1000; // The precision of a shape code
+    const moved = {
+      x: index === 0 ? 0 : round(Math.min(1, Math.max(0, point.x))),
+      y: round(Math.min(limit, Math.max(-limit, point.y)))
+    };
+
+    const shape = { upper: [...this.customShape.upper], lower: [...this.customShape.lower] };
+    shape[surface][index] = moved;
+
+    this.shapeError = BezierAirfoil.validate(shape);
+
+    if (!this.shapeError) {
+      this.customShape = shape;
+      this.scheduleShapeSolve();
+    }
 
-    // Parasitic drag (always present)
-    const CD0 = 0.02;
+    this.redraw();
+  }
 
-    // Induced drag (increases with lift)
-    const CDi = Math.pow(CL, 2) / (Math.PI * 6); // Simplified
+  /**
+   * Re-solve the custom section on the next animation frame (once, however many moves come first)
+   */
+  scheduleShapeSolve() {
+    if (this.shapeFrame !== null) return;
 
-    // Extra drag at high angles (stall)
-    let stallDrag = 0;
-    if (Math.abs(alpha) > 15) {
-      stallDrag = 0.3;
-    }
+    this.shapeFrame = requestAnimationFrame(() => {
+      this.shapeFrame = null;
+      this.updateGeometry();
+      this.redraw();
+    });
+  }
+
+  /**
+   * Calculate lift coefficient at an angle of attack (default: current)
+   * Panel method lift (thin airfoil theory if unavailable) with a smooth stall, see LiftModel
+   */
+  calculateLiftCoefficient(alpha = this.angleOfAttack, stalledBranch = this.isStalledBranch(alpha)) {
+    const sectionAngle = this.getSectionAngle(alpha);
+
+    // Flaps shift the clean panel solution's lift curve left; Fowler flaps also steepen it
+    const { zeroLiftShift, chordFactor } = this.highLift;
+    const attachedLift = this.panelSolution
+      ? PanelMethod.liftCoefficient(sectionAngle - zeroLiftShift, this.panelSolution) * chordFactor
+      : undefined;
+    const CL = LiftModel.liftCoefficient(sectionAngle, this.liftModel, attachedLift, stalledBranch);
+
+    return this.wing ? CL * this.wing.sweepFactor : CL;
+  }
+
+  /**
+   * Calculate drag coefficient at an angle of attack (default: current)
+   */
+  calculateDragCoefficient(alpha = this.angleOfAttack, stalledBranch = this.isStalledBranch(alpha)) {
+    const CL = this.calculateLiftCoefficient(alpha, stalledBranch);
+
+    // Profile drag: skin friction, laminar or turbulent depending on Reynolds number,
+    // plus the extra drag of deployed flaps and slats
+    const CD0 = Physics.profileDragCoefficient(this.reynolds, this.geometry.maxThickness) +
+      this.highLift.dragIncrement;
+
+    // Induced drag from the tip vortices; an infinite (2D) section has none
+    const CDi = this.wing ? LiftingLine.inducedDragCoefficient(CL, this.wing.aspectRatio, this.oswald) : 0;
+
+    // Separated flow acts like a flat plate: CD ≈ 2·sin²α
+    const separated = LiftModel.separatedFraction(this.getSectionAngle(alpha), this.liftModel, stalledBranch);
+    const stallDrag = separated * 2 * Math.pow(Math.sin((alpha * Math.PI) / 180), 2);
 
     return CD0 + CDi + stallDrag;
   }
 
+  /**
+   * Past the stall angle for this airfoil? (or not yet reattached, on the stalled branch)
+   */
+  isStalled(alpha = this.angleOfAttack, stalledBranch = this.isStalledBranch(alpha)) {
+    return LiftModel.isStalled(this.getSectionAngle(alpha), this.liftModel, stalledBranch);
+  }
+
   /**
    * Update animation
    */
   update(deltaTime) {
     this.time += deltaTime;
+    this.updateWake(deltaTime);
+  }
+
+  /**
+   * Move shed vortices downstream and shed new ones while the flow is separated
+   * Vortices alternate between the separation point and trailing edge (a von Kármán street)
+   * at the Strouhal frequency f = St · V / wake width
+   */
+  updateWake(deltaTime) {
+    const speed = 0.7 * this.flowRate; // Wake vortices drift slower than the freestream
+    const xMax = (this.pixelWidth - this.centerX) / this.chordLength + 0.5;
+
+    this.wakeVortices.forEach(vortex => {
+      vortex.x += speed * deltaTime;
+      vortex.age += deltaTime;
+      vortex.angle += vortex.spin * deltaTime;
+    });
+    this.wakeVortices = this.wakeVortices.filter(vortex => vortex.x < xMax);
+
+    const separation = this.getSeparation();
+    if (!separation || separation.fraction < 0.3) {
+      this.sheddingTimer = 0;
+      return;
+    }
+
+    const { separation: start, trailingEdge } = separation.wind;
+    const width = Math.max(0.1, Math.abs(start.y - trailingEdge.y));
+    const period = width / (this.strouhalNumber * this.flowRate);
+
+    this.sheddingTimer += deltaTime;
+    if (this.sheddingTimer < period / 2) return;
+
+    this.sheddingTimer = 0;
+    const fromSeparation = this.shedFromSeparation;
+    const origin = fromSeparation ? start : trailingEdge;
+    const side = separation.surface === 'upper' ? 1 : -1;
+
+    // The outer shear layer rolls up clockwise (for upper-surface separation), the trailing edge one counterclockwise
+    this.wakeVortices.push({
+      x: origin.x + 0.05,
+      y: origin.y,
+      age: 0,
+      angle: 0,
+      spin: (fromSeparation ? 4 : -4) * side,
+      strength: separation.fraction
+    });
+    this.shedFromSeparation = !fromSeparation;
   }
 
   /**
    * Draw visualization
    */
   draw() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     // Clear canvas
     this.ctx.fillStyle = '#FAFAFA';
@@ -212,154 +976,616 @@ class AirfoilVisualization {
     // Draw streamlines
     this.drawStreamlines();
 
+    // Draw the separated wake and its shed vortices
+    this.drawWake();
+
     // Draw airfoil
     this.drawAirfoil();
 
     // Draw angle of attack indicator
     this.drawAngleIndicator();
 
+    // Draw airfoil name and proportions
+    this.drawSectionInfo();
+
+    // Draw surface pressure distribution
+    this.drawPressurePlot();
+
     // Draw coefficients display
     this.drawCoefficients();
 
+    // Draw lift and drag in real units
+    this.drawForces();
+
+    // Draw the lift curve for this airfoil
+    this.drawLiftCurve();
+
     // Draw stall warning if applicable
     this.drawStallWarning();
+
+    // Shape editor instructions
+    this.drawShapeEditorHint();
   }
 
   /**
-   * Draw streamlines showing airflow
+   * Draw streamlines and particles moving at the local flow speed
    */
   drawStreamlines() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
+    const { paths } = this.getFlow();
+    const separation = this.getSeparation();
+    const inWake = point => separation !== null && this.isInWake(separation, point);
 
-    this.ctx.strokeStyle = '#90CAF9';
+    // Streamlines (the inviscid paths mean nothing inside a separated wake, so they break off there)
+    this.ctx.strokeStyle = '#BBDEFB';
+    this.ctx.lineWidth = 1.5;
+
+    paths.forEach(points => {
+      this.ctx.beginPath();
+      let drawing = false;
+      points.forEach(point => {
+        if (inWake(point)) {
+          drawing = false;
+          return;
+        }
+
+        const { x, y } = this.toCanvas(point);
+        if (!drawing) {
+          this.ctx.moveTo(x, y);
+          drawing = true;
+        } else {
+          this.ctx.lineTo(x, y);
+        }
+      });
+      this.ctx.stroke();
+    });
+
+    // Particles: evenly spaced in flow time, so they bunch up where the air slows
+    // and stretch apart where it speeds up
+    const elapsed = this.time * this.flowRate;
+    const turbulence = separation ? 0.04 * separation.fraction : 0;
+
+    paths.forEach((points, line) => {
+      const duration = points[points.length - 1].time;
+      if (duration <= 0) return;
+
+      for (let start = 0; start < duration; start += this.particleSpacing) {
+        const time = (start + elapsed) % duration;
+        const position = this.getPathPosition(points, time);
+
+        // Particles in the wake tumble about instead of following their streamline
+        if (inWake(position)) {
+          const phase = this.time * 6 + start * 5 + line;
+          position.x += turbulence * Math.sin(phase * 1.3);
+          position.y += turbulence * Math.cos(phase);
+          this.ctx.fillStyle = 'rgba(239, 108, 0, 0.6)';
+        } else {
+          this.ctx.fillStyle = '#1E88E5';
+        }
+
+        const { x, y } = this.toCanvas(position);
+
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 2, 0, Math.PI * 2);
+        this.ctx.fill();
+      }
+    });
+  }
+
+  /**
+   * Shade the separated wake between the two shear layers and draw its shed vortices
+   */
+  drawWake() {
+    const separation = this.getSeparation();
+
+    if (separation) {
+      const { separation: start, trailingEdge } = separation.wind;
+      const xMax = (this.pixelWidth - this.centerX) / this.chordLength;
+      const outer = [];
+      const inner = [];
+
+      for (let x = start.x; x <= xMax; x += 0.05) {
+        const bounds = this.getWakeBounds(separation, x);
+        outer.push(this.toCanvas({ x, y: bounds.outer }));
+        if (x >= trailingEdge.x) inner.push(this.toCanvas({ x, y: bounds.inner }));
+      }
+
+      // Region from the separation point back over the surface to the trailing edge and downstream
+      // (the airfoil itself is drawn on top)
+      const trailing = this.toCanvas(trailingEdge);
+      this.ctx.fillStyle = `rgba(255, 152, 0, ${(0.08 + 0.12 * separation.fraction).toFixed(3)})`;
+      this.ctx.beginPath();
+      outer.forEach(({ x, y }, i) => {
+        if (i === 0) {
+          this.ctx.moveTo(x, y);
+        } else {
+          this.ctx.lineTo(x, y);
+        }
+      });
+      inner.reverse().forEach(({ x, y }) => this.ctx.lineTo(x, y));
+      this.ctx.lineTo(trailing.x, trailing.y);
+      this.ctx.closePath();
+      this.ctx.fill();
+
+      // Shear layer leaving the separation point
+      this.ctx.strokeStyle = 'rgba(239, 108, 0, 0.6)';
+      this.ctx.lineWidth = 1.5;
+      this.ctx.setLineDash([4, 4]);
+      this.ctx.beginPath();
+      outer.forEach(({ x, y }, i) => {
+        if (i === 0) {
+          this.ctx.moveTo(x, y);
+        } else {
+          this.ctx.lineTo(x, y);
+        }
+      });
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+    }
+
+    // Shed vortices: spirals that grow and fade as they drift downstream
+    this.wakeVortices.forEach(vortex => {
+      const opacity = vortex.strength * Math.max(0, 1 - vortex.age / 6);
+      if (opacity <= 0.02) return;
+
+      const center = this.toCanvas(vortex);
+      const radius = Math.min(0.2, 0.05 + 0.03 * vortex.age) * this.chordLength;
+      const turns = 2.5;
+      const steps = 30;
+      const direction = Math.sign(vortex.spin);
+
+      this.ctx.strokeStyle = `rgba(239, 108, 0, ${opacity.toFixed(3)})`;
+      this.ctx.lineWidth = 1.5;
+      this.ctx.beginPath();
+      for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        const angle = vortex.angle + direction * t * turns * Math.PI * 2;
+        const x = center.x + radius * t * Math.cos(angle);
+        const y = center.y + radius * t * Math.sin(angle);
+
+        if (i === 0) {
+          this.ctx.moveTo(x, y);
+        } else {
+          this.ctx.lineTo(x, y);
+        }
+      }
+      this.ctx.stroke();
+    });
+  }
+
+  /**
+   * Mark where the boundary layer leaves the surface (call inside the airfoil's rotated frame)
+   */
+  drawSeparationPoint() {
+    const separation = this.getSeparation();
+    if (!separation) return;
+
+    const { x, y } = this.toSectionCoordinates(separation.point);
+    const labelOffset = separation.surface === 'upper' ? -14 : 22;
+
+    this.ctx.fillStyle = '#EF6C00';
+    this.ctx.strokeStyle = 'white';
+    this.ctx.lineWidth = 1.5;
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, 5, 0, Math.PI * 2);
+    this.ctx.fill();
+    this.ctx.stroke();
+
+    this.ctx.fillStyle = '#E65100';
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText(`Separation (${Math.round(separation.point.x * 100)}% chord)`, x, y + labelOffset);
+  }
+
+  /**
+   * Mark the front stagnation point, where the flow divides over and under the wing
+   * (call inside the airfoil's rotated frame)
+   */
+  drawStagnationPoint() {
+    const { stagnation } = this.getFlow();
+    if (!stagnation) return;
+
+    const { x, y } = this.toSectionCoordinates(stagnation);
+
+    this.ctx.fillStyle = '#F44336';
+    this.ctx.strokeStyle = 'white';
+    this.ctx.lineWidth = 1.5;
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, 5, 0, Math.PI * 2);
+    this.ctx.fill();
+    this.ctx.stroke();
+
+    this.ctx.fillStyle = '#C62828';
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.textAlign = 'right';
+    this.ctx.fillText('Stagnation point', x - 8, y + 32);
+  }
+
+  /**
+   * Draw airfoil shape
+   */
+  drawAirfoil() {
+    this.ctx.save();
+    this.ctx.translate(this.centerX, this.centerY);
+    this.ctx.rotate((this.angleOfAttack * Math.PI) / 180);
+
+    const { camber } = this.geometry;
+    const elements = this.getHighLiftElements();
+
+    // Fill airfoil
+    const gradient = this.ctx.createLinearGradient(0, -20, 0, 20);
+    gradient.addColorStop(0, '#4A90E2');
+    gradient.addColorStop(1, '#2E5F8F');
+
+    this.ctx.fillStyle = gradient;
+    this.ctx.strokeStyle = '#1A237E';
+    this.ctx.lineWidth = 2.5;
+
+    // Draw the main element, then any flap and slat elements
+    [elements.main, elements.flap, elements.slat].forEach(outline => {
+      if (!outline) return;
+
+      this.ctx.beginPath();
+      outline.forEach((point, i) => {
+        const { x, y } = this.toSectionCoordinates(point);
+        if (i === 0) {
+          this.ctx.moveTo(x, y);
+        } else {
+          this.ctx.lineTo(x, y);
+        }
+      });
+      this.ctx.closePath();
+      this.ctx.fill();
+      this.ctx.stroke();
+    });
+
+    // A split flap is a plate hinged down from the lower surface
+    if (elements.splitFlap) {
+      this.ctx.lineWidth = 3;
+      this.ctx.beginPath();
+      elements.splitFlap.forEach((point, i) => {
+        const { x, y } = this.toSectionCoordinates(point);
+        if (i === 0) {
+          this.ctx.moveTo(x, y);
+        } else {
+          this.ctx.lineTo(x, y);
+        }
+      });
+      this.ctx.stroke();
+    }
+
+    // Color the surface by pressure (the clean section's, between any slat and flap)
+    this.drawSurfacePressure(elements.slat ? elements.slatChord : 0, elements.flap ? elements.hinge : 1);
+
+    // Where the oncoming air splits, and where it breaks away
+    this.drawStagnationPoint();
+    this.drawSeparationPoint();
+
+    // Draw chord line
+    this.ctx.strokeStyle = '#FF9800';
     this.ctx.lineWidth = 1.5;
     this.ctx.setLineDash([5, 5]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(-this.chordLength / 2, 0);
+    this.ctx.lineTo(this.chordLength / 2, 0);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
 
-    const angleRad = (this.angleOfAttack * Math.PI) / 180;
+    // Draw mean camber line
+    this.ctx.strokeStyle = '#CE93D8';
+    this.ctx.lineWidth = 1.5;
+    this.ctx.beginPath();
+    camber.forEach((point, i) => {
+      const { x, y } = this.toSectionCoordinates(point);
+      if (i === 0) {
+        this.ctx.moveTo(x, y);
+      } else {
+        this.ctx.lineTo(x, y);
+      }
+    });
+    this.ctx.stroke();
+
+    // Control points of a custom airfoil
+    this.drawShapeEditor();
+
+    // Label leading and trailing edges
+    this.ctx.fillStyle = '#212121';
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText('Leading', -this.chordLength / 2, -25);
+    this.ctx.fillText('Edge', -this.chordLength / 2, -13);
+    this.ctx.fillText('Trailing', this.chordLength / 2, -25);
+    this.ctx.fillText('Edge', this.chordLength / 2, -13);
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw the custom airfoil's control polygons and draggable points
+   * (call inside the airfoil's rotated frame)
+   */
+  drawShapeEditor() {
+    if (!this.isEditingShape()) return;
+
+    ['upper', 'lower'].forEach(surface => {
+      const polygon = BezierAirfoil.controlPolygon(this.customShape[surface])
+        .map(point => this.toSectionCoordinates(point));
 
-    this.streamlines.forEach((streamline, index) => {
+      this.ctx.strokeStyle = '#90A4AE';
+      this.ctx.lineWidth = 1;
+      this.ctx.setLineDash([3, 3]);
       this.ctx.beginPath();
+      polygon.forEach(({ x, y }, i) => {
+        if (i === 0) {
+          this.ctx.moveTo(x, y);
+        } else {
+          this.ctx.lineTo(x, y);
+        }
+      });
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+
+      // Leading and trailing edges are fixed; only the points between them move
+      polygon.slice(1, -1).forEach(({ x, y }, index) => {
+        const dragging = this.dragHandle && this.dragHandle.surface === surface && this.dragHandle.index === index;
+
+        this.ctx.fillStyle = dragging ? '#FFB300' : 'white';
+        this.ctx.strokeStyle = '#37474F';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, this.handleRadius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+      });
+    });
+  }
 
-      const baseY = streamline.y;
-      const offset = streamline.offset + this.time * 20;
+  /**
+   * Editing instructions, or why the last drag was refused
+   */
+  drawShapeEditorHint() {
+    if (!this.isEditingShape()) return;
 
-      for (let x = 0; x < pixelWidth; x += 2) {
-        // Distance from airfoil center
-        const dx = x - this.centerX;
-        const dy = baseY - this.centerY;
+    this.ctx.font = '12px Inter, sans-serif';
+    this.ctx.textAlign = 'center';
 
-        // Smooth flow deflection around airfoil using smoother functions
-        let deflection = 0;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+    if (this.shapeError) {
+      this.ctx.fillStyle = '#C62828';
+      this.ctx.fillText(this.shapeError, this.pixelWidth / 2, 24);
+    } else {
+      this.ctx.fillStyle = '#546E7A';
+      this.ctx.fillText('Drag the white points to reshape the airfoil', this.pixelWidth / 2, 24);
+    }
+  }
 
-        // Define airfoil influence zone
-        const influenceRange = 150;
-        const chordInfluenceX = this.chordLength / 1.2;
+  /**
+   * Outlines of the main element and deployed flap and slat, in chord units
+   * Returns { main, flap, splitFlap, slat, hinge, slatChord }; absent elements are null
+   */
+  getHighLiftElements() {
+    const { upper, lower } = this.geometry;
+    const flap = HighLift.FLAPS[this.flapType] || HighLift.FLAPS.none;
+    const flapFraction = this.flapDeflection / HighLift.MAX_FLAP_DEFLECTION;
+    const slatFraction = this.slatDeflection / HighLift.MAX_SLAT_DEFLECTION;
+    const hinge = 1 - flap.chordRatio;
+    const slatChord = HighLift.SLAT.chordRatio;
+    const hingeUpper = { x: hinge, y: this.surfaceHeightAt(upper, hinge) };
+    const hingeLower = { x: hinge, y: this.surfaceHeightAt(lower, hinge) };
+
+    const elements = { main: null, flap: null, splitFlap: null, slat: null, hinge, slatChord };
+    const aheadOf = (points, x) => points.filter(point => point.x < x);
+    const behind = (points, x) => points.filter(point => point.x > x);
+    const flapOut = this.flapType !== 'none' && this.flapDeflection > 0;
+
+    // Main element surfaces, leading to trailing edge, plus the nose recess a slat leaves behind
+    let mainUpper = upper;
+    let mainLower = lower;
+    let recess = [];
+
+    if (this.slatDeflection > 0) {
+      // Crescent-shaped slat wrapped around the nose; its inner surface is the main element's recess
+      const outer = [...aheadOf(lower, 0.03).reverse(), ...aheadOf(upper, slatChord)];
+      const anchor = { x: slatChord + 0.05, y: this.surfaceHeightAt(upper, slatChord) * 0.5 };
+      recess = outer.map(point => ({
+        x: anchor.x + (point.x - anchor.x) * 0.8,
+        y: anchor.y + (point.y - anchor.y) * 0.8
+      }));
+      mainUpper = behind(upper, slatChord);
+      mainLower = behind(lower, 0.03);
+
+      // Rotated nose-down about its trailing end and pushed forward on its track
+      const tail = outer[outer.length - 1];
+      elements.slat = [...outer, ...[...recess].reverse()]
+        .map(point => this.rotateAbout(point, tail, -this.slatDeflection))
+        .map(point => ({ x: point.x - 0.06 * slatFraction, y: point.y - 0.01 * slatFraction }));
+    }
 
-        if (Math.abs(dx) < chordInfluenceX && Math.abs(dy) < influenceRange) {
-          // Calculate smooth influence factor using exponential decay
-          const verticalInfluence = Math.exp(-Math.abs(dy) / 40);
+    if (flapOut && this.flapType === 'split') {
+      // Only the lower surface hinges down
+      elements.splitFlap = [hingeLower, ...behind(lower, hinge)]
+        .map(point => this.rotateAbout(point, hingeLower, this.flapDeflection));
+    } else if (flapOut) {
+      const flapOutline = [hingeUpper, ...behind(upper, hinge), ...behind(lower, hinge).reverse(), hingeLower];
 
-          // Position relative to airfoil (0 at leading edge, 1 at trailing edge)
-          const normalizedX = (dx + this.chordLength / 2) / this.chordLength;
+      // A Fowler flap slides out of a cove under the main element's upper surface
+      if (this.flapType !== 'fowler') {
+        mainUpper = [...aheadOf(mainUpper, hinge), hingeUpper];
+      }
+      mainLower = [...aheadOf(mainLower, hinge), hingeLower];
+
+      // Plain flaps pivot inside the section; slotted ones on a hinge below it, opening a slot;
+      // Fowler flaps slide back first, then rotate about their leading edge
+      const slide = this.flapType === 'fowler' ? flap.chordExtension * flapFraction : 0;
+      const pivot = {
+        plain: { x: hinge, y: (hingeUpper.y + hingeLower.y) / 2 },
+        slotted: { x: hinge, y: hingeLower.y - 0.06 },
+        fowler: { x: hinge + slide, y: hingeLower.y }
+      }[this.flapType];
+
+      elements.flap = flapOutline
+        .map(point => ({ x: point.x + slide, y: point.y }))
+        .map(point => this.rotateAbout(point, pivot, this.flapDeflection));
+    }
 
-          // Smooth horizontal influence (peaks near middle of airfoil)
-          const horizontalInfluence = Math.sin(Math.PI * Math.max(0, Math.min(1, normalizedX)));
+    elements.main = [...recess, ...mainUpper, ...[...mainLower].reverse()];
 
-          // Combined influence strength
-          const strength = verticalInfluence * horizontalInfluence;
+    return elements;
+  }
 
-          // Direction of deflection (up or down)
-          const sign = dy > 0 ? 1 : -1;
+  /**
+   * Height of a surface (points ordered by x) at chord position x
+   */
+  surfaceHeightAt(points, x) {
+    for (let i = 1; i < points.length; i++) {
+      if (points[i].x >= x) {
+        const t = (x - points[i - 1].x) / (points[i].x - points[i - 1].x || 1);
+        return points[i - 1].y + t * (points[i].y - points[i - 1].y);
+      }
+    }
 
-          // Base deflection with smooth curve
-          deflection = sign * strength * 35;
+    return points[points.length - 1].y;
+  }
 
-          // Add angle of attack effect (more deflection at higher angles)
-          const angleEffect = 1 + (this.angleOfAttack / 20);
-          deflection *= angleEffect;
+  /**
+   * Rotate a chord-unit point about a pivot; positive degrees turn the trailing edge down
+   */
+  rotateAbout(point, pivot, degrees) {
+    const radians = (degrees * Math.PI) / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const dx = point.x - pivot.x;
+    const dy = point.y - pivot.y;
+
+    return {
+      x: pivot.x + dx * cos + dy * sin,
+      y: pivot.y - dx * sin + dy * cos
+    };
+  }
 
-          // Add asymmetry for angle of attack (more deflection above at positive angles)
-          if (this.angleOfAttack > 0 && dy < 0) {
-            deflection *= 1.3; // Airflow deflects more over the top
-          } else if (this.angleOfAttack > 0 && dy > 0) {
-            deflection *= 0.8; // Less deflection below
-          }
-        }
+  /**
+   * Color each surface panel by its pressure coefficient, between chord positions minX and maxX
+   * (call inside the airfoil's rotated frame)
+   */
+  drawSurfacePressure(minX = 0, maxX = 1) {
+    const panels = this.getSurfacePressure();
+    if (!panels) return;
 
-        const y = baseY + deflection + Math.sin((x + offset) / 30) * 2;
+    this.ctx.lineWidth = 4;
+    this.ctx.lineCap = 'round';
 
-        if (x === 0) {
-          this.ctx.moveTo(x, y);
-        } else {
-          this.ctx.lineTo(x, y);
-        }
-      }
+    panels.filter(panel => panel.x >= minX && panel.x <= maxX).forEach(panel => {
+      const start = this.toSectionCoordinates(panel.start);
+      const end = this.toSectionCoordinates(panel.end);
 
+      this.ctx.strokeStyle = this.getPressureColor(panel.cp);
+      this.ctx.beginPath();
+      this.ctx.moveTo(start.x, start.y);
+      this.ctx.lineTo(end.x, end.y);
       this.ctx.stroke();
     });
 
-    this.ctx.setLineDash([]);
+    this.ctx.lineCap = 'butt';
   }
 
   /**
-   * Draw airfoil shape
+   * Pressure coefficient to color: blue for suction (Cp < 0), red for pressure (Cp > 0)
    */
-  drawAirfoil() {
-    this.ctx.save();
-    this.ctx.translate(this.centerX, this.centerY);
-    this.ctx.rotate((this.angleOfAttack * Math.PI) / 180);
+  getPressureColor(cp) {
+    if (cp < 0) {
+      const t = Math.min(1, -cp / 2);
+      return `rgb(${Math.round(255 - 222 * t)}, ${Math.round(255 - 105 * t)}, ${Math.round(255 - 12 * t)})`;
+    }
 
-    const points = this.getAirfoilPoints();
+    const t = Math.min(1, cp);
+    return `rgb(${Math.round(255 - 11 * t)}, ${Math.round(255 - 188 * t)}, ${Math.round(255 - 201 * t)})`;
+  }
 
-    // Fill airfoil
-    const gradient = this.ctx.createLinearGradient(0, -20, 0, 20);
-    gradient.addColorStop(0, '#4A90E2');
-    gradient.addColorStop(1, '#2E5F8F');
+  /**
+   * Draw the Cp vs. x/c plot (suction plotted upward, as is conventional)
+   */
+  drawPressurePlot() {
+    const panels = this.getSurfacePressure();
 
-    this.ctx.fillStyle = gradient;
-    this.ctx.strokeStyle = '#1A237E';
-    this.ctx.lineWidth = 2.5;
+    const boxX = 20;
+    const boxY = 20;
+    const boxWidth = 220;
+    const boxHeight = 160;
 
-    // Draw upper surface
-    this.ctx.beginPath();
-    points.forEach((point, i) => {
-      if (i === 0) {
-        this.ctx.moveTo(point.x, point.upperY);
-      } else {
-        this.ctx.lineTo(point.x, point.upperY);
-      }
-    });
+    // Box background
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+    this.ctx.strokeStyle = '#E0E0E0';
+    this.ctx.lineWidth = 2;
+    this.ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+    this.ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+
+    // Title
+    this.ctx.fillStyle = '#212121';
+    this.ctx.font = 'bold 14px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText('Pressure (Cp)', boxX + 10, boxY + 20);
 
-    // Draw lower surface (reverse)
-    for (let i = points.length - 1; i >= 0; i--) {
-      this.ctx.lineTo(points[i].x, points[i].lowerY);
+    if (!panels) {
+      this.ctx.fillStyle = '#757575';
+      this.ctx.font = '12px Inter, sans-serif';
+      this.ctx.fillText('Section too thin to solve', boxX + 10, boxY + 50);
+      return;
     }
 
-    this.ctx.closePath();
-    this.ctx.fill();
-    this.ctx.stroke();
+    // Plot range: Cp from +1 (bottom) to -3 (top), clipped
+    const cpMin = -3;
+    const cpMax = 1;
+    const plot = { x: boxX + 30, y: boxY + 30, width: boxWidth - 45, height: boxHeight - 55 };
+    const toX = x => plot.x + x * plot.width;
+    const toY = cp => plot.y + ((Math.max(cpMin, Math.min(cpMax, cp)) - cpMin) / (cpMax - cpMin)) * plot.height;
 
-    // Draw chord line
-    this.ctx.strokeStyle = '#FF9800';
-    this.ctx.lineWidth = 1.5;
-    this.ctx.setLineDash([5, 5]);
+    // Axes
+    this.ctx.strokeStyle = '#BDBDBD';
+    this.ctx.lineWidth = 1;
     this.ctx.beginPath();
-    this.ctx.moveTo(-this.chordLength / 2, 0);
-    this.ctx.lineTo(this.chordLength / 2, 0);
+    this.ctx.moveTo(plot.x, toY(0));
+    this.ctx.lineTo(plot.x + plot.width, toY(0));
+    this.ctx.moveTo(plot.x, plot.y);
+    this.ctx.lineTo(plot.x, plot.y + plot.height);
     this.ctx.stroke();
-    this.ctx.setLineDash([]);
 
-    // Label leading and trailing edges
-    this.ctx.fillStyle = '#212121';
-    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = '10px Inter, sans-serif';
+    this.ctx.textAlign = 'right';
+    this.ctx.fillText(`${cpMin}`, plot.x - 4, toY(cpMin) + 8);
+    this.ctx.fillText('0', plot.x - 4, toY(0) + 3);
+    this.ctx.fillText(`${cpMax}`, plot.x - 4, toY(cpMax));
     this.ctx.textAlign = 'center';
-    this.ctx.fillText('Leading', -this.chordLength / 2, -25);
-    this.ctx.fillText('Edge', -this.chordLength / 2, -13);
-    this.ctx.fillText('Trailing', this.chordLength / 2, -25);
-    this.ctx.fillText('Edge', this.chordLength / 2, -13);
+    this.ctx.fillText('x/c', plot.x + plot.width / 2, plot.y + plot.height + 12);
 
-    this.ctx.restore();
+    // Upper and lower surfaces
+    ['upper', 'lower'].forEach(surface => {
+      this.ctx.strokeStyle = surface === 'upper' ? '#2196F3' : '#F44336';
+      this.ctx.lineWidth = 1.5;
+      this.ctx.beginPath();
+
+      panels
+        .filter(panel => panel.surface === surface)
+        .sort((a, b) => a.x - b.x)
+        .forEach((panel, i) => {
+          if (i === 0) {
+            this.ctx.moveTo(toX(panel.x), toY(panel.cp));
+          } else {
+            this.ctx.lineTo(toX(panel.x), toY(panel.cp));
+          }
+        });
+
+      this.ctx.stroke();
+    });
+
+    // Legend
+    this.ctx.font = '10px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillStyle = '#2196F3';
+    this.ctx.fillText('Upper', boxX + 10, boxY + boxHeight - 6);
+    this.ctx.fillStyle = '#F44336';
+    this.ctx.fillText('Lower', boxX + 50, boxY + boxHeight - 6);
+    this.ctx.fillStyle = '#757575';
+    this.ctx.fillText(this.isStalled() ? 'inviscid — not valid in stall' : 'inviscid panel method',
+      boxX + 92, boxY + boxHeight - 6);
   }
 
   /**
@@ -410,11 +1636,68 @@ class AirfoilVisualization {
     this.ctx.restore();
   }
 
+  /**
+   * Draw the airfoil name, its proportions and a line legend
+   */
+  drawSectionInfo() {
+    const { pixelHeight } = this;
+    const { name, maxThickness, maxCamber, maxCamberPosition } = this.geometry;
+
+    const details = this.airfoilType === 'naca'
+      ? NACA.describe(this.nacaCode)
+      : `${Math.round(maxThickness * 100)}% thick, ${(maxCamber * 100).toFixed(1)}% camber` +
+        (maxCamber > 0 ? ` at ${Math.round(maxCamberPosition * 100)}% chord` : '');
+
+    const x = 20;
+    const y = pixelHeight - 60;
+
+    this.ctx.textAlign = 'left';
+    this.ctx.fillStyle = '#212121';
+    this.ctx.font = 'bold 14px Inter, sans-serif';
+    this.ctx.fillText(name, x, y);
+
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = '12px Inter, sans-serif';
+    this.ctx.fillText(details, x, y + 18);
+
+    // High-lift configuration above the name
+    if (HighLift.isDeployed(this.flapType, this.flapDeflection, this.slatDeflection)) {
+      const devices = [];
+      if (this.flapType !== 'none' && this.flapDeflection > 0) {
+        devices.push(`${HighLift.FLAPS[this.flapType].name} flap ${this.flapDeflection}°`);
+      }
+      if (this.slatDeflection > 0) {
+        devices.push(`slat ${this.slatDeflection}°`);
+      }
+
+      this.ctx.fillStyle = '#1565C0';
+      this.ctx.fillText(devices.join(', '), x, y - 20);
+    }
+
+    // Legend
+    this.ctx.lineWidth = 1.5;
+    this.ctx.strokeStyle = '#FF9800';
+    this.ctx.setLineDash([5, 5]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(x, y + 36);
+    this.ctx.lineTo(x + 24, y + 36);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+    this.ctx.fillText('Chord line', x + 30, y + 40);
+
+    this.ctx.strokeStyle = '#CE93D8';
+    this.ctx.beginPath();
+    this.ctx.moveTo(x + 110, y + 36);
+    this.ctx.lineTo(x + 134, y + 36);
+    this.ctx.stroke();
+    this.ctx.fillText('Mean camber line', x + 140, y + 40);
+  }
+
   /**
    * Draw lift and drag coefficients
    */
   drawCoefficients() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
+    const { pixelWidth } = this;
 
     const CL = this.calculateLiftCoefficient();
     const CD = this.calculateDragCoefficient();
@@ -425,8 +1708,8 @@ class AirfoilVisualization {
     this.ctx.lineWidth = 2;
     const boxX = pixelWidth - 180;
     const boxY = 20;
-    this.ctx.fillRect(boxX, boxY, 160, 100);
-    this.ctx.strokeRect(boxX, boxY, 160, 100);
+    this.ctx.fillRect(boxX, boxY, 160, 142);
+    this.ctx.strokeRect(boxX, boxY, 160, 142);
 
     // Title
     this.ctx.fillStyle = '#212121';
@@ -458,16 +1741,258 @@ class AirfoilVisualization {
     this.ctx.fillStyle = '#212121';
     this.ctx.font = 'bold 13px Inter, sans-serif';
     this.ctx.fillText(LD.toFixed(1), boxX + 80, boxY + 92);
+
+    // Maximum lift, with the part flaps and slats add in brackets
+    const { maxLiftCoefficient } = this.getLiftLimits();
+    const increment = this.highLift.maxLiftIncrement;
+    this.ctx.fillStyle = increment > 0 ? '#1565C0' : '#757575';
+    this.ctx.font = '12px Inter, sans-serif';
+    this.ctx.fillText(
+      `CLmax ${maxLiftCoefficient.toFixed(2)}` + (increment > 0 ? ` (+${increment.toFixed(2)})` : ''),
+      boxX + 10,
+      boxY + 114
+    );
+
+    // Reynolds number and boundary layer state
+    this.ctx.fillStyle = '#757575';
+    this.ctx.fillText(
+      `Re ${this.formatReynolds(this.reynolds)} (${Physics.flowRegime(this.reynolds)})`,
+      boxX + 10,
+      boxY + 132
+    );
+  }
+
+  /**
+   * Format a Reynolds number compactly, e.g. 3.4 M or 250 k
+   */
+  formatReynolds(reynolds) {
+    if (reynolds >= 1e6) {
+      return `${(reynolds / 1e6).toFixed(1)} M`;
+    }
+
+    return `${Math.round(reynolds / 1e3)} k`;
+  }
+
+  /**
+   * Lift and drag in newtons for the current airspeed, wing area and air density
+   */
+  calculateForces() {
+    const density = this.atmosphere.density;
+    const CL = this.calculateLiftCoefficient();
+    const CD = this.calculateDragCoefficient();
+
+    return {
+      dynamicPressure: Physics.dynamicPressure(this.airspeed, density),
+      lift: Physics.calculateLift(this.airspeed, this.getReferenceArea(), CL, density),
+      drag: Physics.calculateDrag(this.airspeed, this.getReferenceArea(), CD, density)
+    };
+  }
+
+  /**
+   * Format a force as newtons with pounds-force underneath
+   */
+  formatForce(newtons) {
+    return {
+      metric: `${Math.round(newtons).toLocaleString()} N`,
+      imperial: `${Math.round(Physics.newtonsToPounds(newtons)).toLocaleString()} lbf`
+    };
+  }
+
+  /**
+   * Draw lift and drag forces below the coefficients
+   */
+  drawForces() {
+    const { pixelWidth } = this;
+    const { dynamicPressure, lift, drag } = this.calculateForces();
+    const liftText = this.formatForce(lift);
+    const dragText = this.formatForce(drag);
+
+    // Box background
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+    this.ctx.strokeStyle = '#E0E0E0';
+    this.ctx.lineWidth = 2;
+    const boxX = pixelWidth - 180;
+    const boxY = 172;
+    this.ctx.fillRect(boxX, boxY, 160, 150);
+    this.ctx.strokeRect(boxX, boxY, 160, 150);
+
+    // Title
+    this.ctx.fillStyle = '#212121';
+    this.ctx.font = 'bold 14px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText('Forces', boxX + 10, boxY + 22);
+
+    // Dynamic pressure
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = '12px Inter, sans-serif';
+    this.ctx.fillText(`q = ½ρv² = ${Math.round(dynamicPressure).toLocaleString()} Pa`, boxX + 10, boxY + 42);
+
+    // Lift
+    this.ctx.fillStyle = '#4CAF50';
+    this.ctx.font = '13px Inter, sans-serif';
+    this.ctx.fillText('Lift:', boxX + 10, boxY + 64);
+    this.ctx.fillStyle = '#212121';
+    this.ctx.font = 'bold 13px Inter, sans-serif';
+    this.ctx.fillText(liftText.metric, boxX + 55, boxY + 64);
+    this.ctx.font = '12px Inter, sans-serif';
+    this.ctx.fillText(liftText.imperial, boxX + 55, boxY + 80);
+
+    // Drag
+    this.ctx.fillStyle = '#FF9800';
+    this.ctx.font = '13px Inter, sans-serif';
+    this.ctx.fillText('Drag:', boxX + 10, boxY + 102);
+    this.ctx.fillStyle = '#212121';
+    this.ctx.font = 'bold 13px Inter, sans-serif';
+    this.ctx.fillText(dragText.metric, boxX + 55, boxY + 102);
+    this.ctx.font = '12px Inter, sans-serif';
+    this.ctx.fillText(dragText.imperial, boxX + 55, boxY + 118);
+
+    // Weight the wing can hold up (ties back to the Four Forces section)
+    const supportedMass = Math.max(0, Physics.supportedMass(lift));
+    this.ctx.fillStyle = '#2196F3';
+    this.ctx.font = '12px Inter, sans-serif';
+    this.ctx.fillText(`Supports ${Math.round(supportedMass).toLocaleString()} kg`, boxX + 10, boxY + 140);
+  }
+
+  /**
+   * Draw a small CL vs. α plot with the current operating point
+   */
+  drawLiftCurve() {
+    const { pixelWidth } = this;
+    const { zeroLiftAngle } = this.liftModel;
+    const { stallAngle, reattachAngle, maxLiftCoefficient } = this.getLiftLimits();
+
+    const boxX = pixelWidth - 180;
+    const boxY = 332;
+    const boxWidth = 160;
+    const boxHeight = 150;
+
+    // Plot range
+    const alphaMin = -10;
+    const alphaMax = 25;
+    const clMin = -1;
+    const clMax = Math.max(2, Math.ceil(maxLiftCoefficient)); // Room for flapped lift
+    const plot = { x: boxX + 30, y: boxY + 30, width: boxWidth - 40, height: boxHeight - 60 };
+    const toX = alpha => plot.x + ((alpha - alphaMin) / (alphaMax - alphaMin)) * plot.width;
+    const toY = cl => plot.y + ((clMax - cl) / (clMax - clMin)) * plot.height;
+
+    // Box background
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+    this.ctx.strokeStyle = '#E0E0E0';
+    this.ctx.lineWidth = 2;
+    this.ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+    this.ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+
+    // Title
+    this.ctx.fillStyle = '#212121';
+    this.ctx.font = 'bold 14px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText('Lift Curve', boxX + 10, boxY + 20);
+
+    // Axes through α = 0 and CL = 0
+    this.ctx.strokeStyle = '#BDBDBD';
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    this.ctx.moveTo(plot.x, toY(0));
+    this.ctx.lineTo(plot.x + plot.width, toY(0));
+    this.ctx.moveTo(toX(0), plot.y);
+    this.ctx.lineTo(toX(0), plot.y + plot.height);
+    this.ctx.stroke();
+
+    // Axis labels
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = '10px Inter, sans-serif';
+    this.ctx.textAlign = 'right';
+    this.ctx.fillText('CL', plot.x - 4, plot.y + 8);
+    this.ctx.fillText(clMax.toFixed(0), plot.x - 4, toY(clMax) + 4);
+    this.ctx.fillText(clMin.toFixed(0), plot.x - 4, toY(clMin));
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText(`${alphaMin}°`, toX(alphaMin), plot.y + plot.height + 12);
+    this.ctx.fillText(`${alphaMax}°`, toX(alphaMax), plot.y + plot.height + 12);
+    this.ctx.fillText('α', toX((alphaMin + alphaMax) / 2), plot.y + plot.height + 12);
+
+    // Curve (attached branch, as the angle increases)
+    const liftAt = (alpha, stalledBranch) =>
+      toY(Math.max(clMin, Math.min(clMax, this.calculateLiftCoefficient(alpha, stalledBranch))));
+
+    this.ctx.strokeStyle = '#4CAF50';
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    for (let alpha = alphaMin; alpha <= alphaMax; alpha += 0.5) {
+      if (alpha === alphaMin) {
+        this.ctx.moveTo(toX(alpha), liftAt(alpha, false));
+      } else {
+        this.ctx.lineTo(toX(alpha), liftAt(alpha, false));
+      }
+    }
+    this.ctx.stroke();
+
+    // Stalled branch, followed as the angle decreases until the flow reattaches
+    this.ctx.strokeStyle = '#EF6C00';
+    this.ctx.lineWidth = 1.5;
+    this.ctx.setLineDash([4, 3]);
+    this.ctx.beginPath();
+    for (let alpha = reattachAngle; alpha <= alphaMax; alpha += 0.5) {
+      if (alpha === reattachAngle) {
+        this.ctx.moveTo(toX(alpha), liftAt(alpha, true));
+      } else {
+        this.ctx.lineTo(toX(alpha), liftAt(alpha, true));
+      }
+    }
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+
+    // Stall point
+    this.ctx.strokeStyle = '#F44336';
+    this.ctx.setLineDash([3, 3]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(toX(stallAngle), plot.y);
+    this.ctx.lineTo(toX(stallAngle), plot.y + plot.height);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+
+    // Current angle of attack
+    this.ctx.fillStyle = '#FF6B35';
+    this.ctx.beginPath();
+    this.ctx.arc(toX(this.angleOfAttack), toY(this.calculateLiftCoefficient()), 4, 0, Math.PI * 2);
+    this.ctx.fill();
+
+    // Key values
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = '10px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText(
+      `α₀ ${zeroLiftAngle.toFixed(1)}°  CLmax ${maxLiftCoefficient.toFixed(2)} @ ${stallAngle.toFixed(1)}°`,
+      boxX + 8,
+      boxY + boxHeight - 6
+    );
+  }
+
+  /**
+   * Stop the animation and stop listening for shape edits
+   */
+  destroy() {
+    super.destroy();
+
+    if (this.shapeFrame !== null) {
+      cancelAnimationFrame(this.shapeFrame);
+      this.shapeFrame = null;
+    }
+
+    if (this.editorListeners) {
+      Object.keys(this.editorListeners).forEach(type => {
+        this.canvas.removeEventListener(type, this.editorListeners[type]);
+      });
+    }
   }
 
   /**
    * Draw stall warning
    */
   drawStallWarning() {
-    if (Math.abs(this.angleOfAttack) <= 15) return;
+    if (!this.isStalled()) return;
 
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     // Warning box
     this.ctx.fillStyle = 'rgba(244, 67, 54, 0.9)';
@@ -487,51 +2012,19 @@ class AirfoilVisualization {
     this.ctx.textAlign = 'center';
     this.ctx.fillText('⚠ STALL WARNING', pixelWidth / 2, boxY + 25);
     this.ctx.font = '12px Inter, sans-serif';
-    this.ctx.fillText('Angle too high - airflow separated', pixelWidth / 2, boxY + 45);
-  }
 
-  /**
-   * Start animation
-   */
-  start() {
-    if (!this.isRunning) {
-      this.isRunning = true;
-      this.lastTime = performance.now();
-      this.animate();
-    }
-  }
+    // Below the stall angle but still stalled: on the hysteresis branch, waiting to reattach
+    const { stallAngle, negativeStallAngle, reattachAngle, negativeReattachAngle } = this.getLiftLimits();
+    const alpha = this.angleOfAttack;
+    let message = 'Angle too high - airflow separated';
 
-  /**
-   * Stop animation
-   */
-  stop() {
-    this.isRunning = false;
-    if (this.animationFrame) {
-      cancelAnimationFrame(this.animationFrame);
+    if (alpha <= stallAngle && alpha >= negativeStallAngle) {
+      message = this.stallState === 'negative'
+        ? `Raise α above ${negativeReattachAngle.toFixed(1)}° to reattach`
+        : `Lower α below ${reattachAngle.toFixed(1)}° to reattach`;
     }
-  }
-
-  /**
-   * Animation loop
-   */
-  animate() {
-    if (!this.isRunning) return;
 
-    const currentTime = performance.now();
-    const deltaTime = (currentTime - this.lastTime) / 1000;
-    this.lastTime = currentTime;
-
-    this.update(deltaTime);
-    this.draw();
-
-    this.animationFrame = requestAnimationFrame(() => this.animate());
-  }
-
-  /**
-   * Clean up
-   */
-  destroy() {
-    this.stop();
+    this.ctx.fillText(message, pixelWidth / 2, boxY + 45);
   }
 }
 
@@ -0,0 +1,216 @@
+/**
+ * Visualization Base Class
+ * Shared canvas setup, animation loop and lifecycle for every module
+ */
+
+class Visualization {
+  constructor(canvasId, options = {}) {
+    this.canvas = document.getElementById(canvasId);
+    if (!this.canvas) {
+      console.error(`Canvas with id "${canvasId}" not found`);
+      return;
+    }
+
+    this.ctx = this.canvas.getContext('2d');
+    this.width = this.canvas.width;
+    this.height = this.canvas.height;
+    this.dpr = 1;
+
+    // Keep the aspect ratio given by the width/height attributes in the HTML
+    this.aspectRatio = this.canvas.height / this.canvas.width;
+    this.fitCanvas();
+
+    // Animation state
+    this.isRunning = false; // Loop has been started (and not stopped)
+    this.isPaused = false;  // Loop temporarily suspended (e.g. off screen)
+    this.animationFrame = null;
+    this.lastTime = 0;
+    this.time = 0;
+
+    // Fixed-timestep simulation (seconds per update step)
+    this.timestep = options.timestep || 1 / 60;
+    this.maxFrameTime = 0.25; // Avoid a spiral of catch-up steps after a stall
+    this.accumulator = 0;
+  }
+
+  /**
+   * Canvas width in CSS pixels (drawing units after DPR scaling)
+   */
+  get pixelWidth() {
+    return this.width / this.dpr;
+  }
+
+  /**
+   * Canvas height in CSS pixels (drawing units after DPR scaling)
+   */
+  get pixelHeight() {
+    return this.height / this.dpr;
+  }
+
+  /**
+   * Match the canvas backing store to its displayed size and pixel ratio
+   * Returns true if the size changed
+   */
+  fitCanvas() {
+    const cssWidth = this.canvas.clientWidth;
+    if (!cssWidth) return false; // Not laid out yet (e.g. hidden)
+
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round(cssWidth * dpr);
+    const height = Math.round(cssWidth * this.aspectRatio * dpr);
+
+    if (width === this.width && height === this.height && dpr === this.dpr) {
+      return false;
+    }
+
+    // Assigning canvas.width resets the context, so set the transform
+    // absolutely rather than compounding ctx.scale() on every resize
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.width = width;
+    this.height = height;
+    this.dpr = dpr;
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    return true;
+  }
+
+  /**
+   * Handle a change in displayed size
+   * Re-lays-out the module and redraws without resetting its simulation state
+   */
+  resize() {
+    const previousSize = { width: this.pixelWidth, height: this.pixelHeight };
+
+    if (!this.fitCanvas()) return;
+
+    this.layout(previousSize);
+    this.draw();
+  }
+
+  /**
+   * Recompute size-dependent positions after a resize (override in subclasses)
+   */
+  layout(previousSize) {}
+
+  /**
+   * Whether the animation loop is currently producing frames
+   */
+  get isAnimating() {
+    return this.isRunning && !this.isPaused;
+  }
+
+  /**
+   * Advance the simulation by one fixed step (override in subclasses)
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+  }
+
+  /**
+   * Render the current state (override in subclasses)
+   */
+  draw() {}
+
+  /**
+   * Redraw immediately when no animation loop will do it for us
+   */
+  redraw() {
+    if (!this.isAnimating) {
+      this.draw();
+    }
+  }
+
+  /**
+   * Start animation
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.requestFrame();
+  }
+
+  /**
+   * Stop animation
+   */
+  stop() {
+    this.isRunning = false;
+    this.cancelFrame();
+  }
+
+  /**
+   * Suspend the loop without forgetting that it should be running
+   */
+  pause() {
+    if (this.isPaused) return;
+
+    this.isPaused = true;
+    this.cancelFrame();
+  }
+
+  /**
+   * Continue a paused loop
+   */
+  resume() {
+    if (!this.isPaused) return;
+
+    this.isPaused = false;
+    this.requestFrame();
+  }
+
+  /**
+   * Schedule the next frame if the loop should be active
+   */
+  requestFrame() {
+    if (!this.isAnimating || this.animationFrame) return;
+
+    this.lastTime = performance.now();
+    this.accumulator = 0;
+    this.animationFrame = requestAnimationFrame((now) => this.animate(now));
+  }
+
+  /**
+   * Cancel any pending frame
+   */
+  cancelFrame() {
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+  }
+
+  /**
+   * Animation loop
+   * Runs update() in fixed steps so physics doesn't depend on frame rate
+   */
+  animate(currentTime) {
+    this.animationFrame = null;
+    if (!this.isAnimating) return;
+
+    const frameTime = Math.min((currentTime - this.lastTime) / 1000, this.maxFrameTime);
+    this.lastTime = currentTime;
+    this.accumulator += Math.max(0, frameTime);
+
+    while (this.accumulator >= this.timestep) {
+      this.update(this.timestep);
+      this.accumulator -= this.timestep;
+    }
+
+    this.draw();
+
+    this.animationFrame = requestAnimationFrame((now) => this.animate(now));
+  }
+
+  /**
+   * Clean up
+   */
+  destroy() {
+    this.stop();
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Visualization;
+}
@@ -2,188 +2,527 @@
  * Bernoulli's Principle Visualization
  * Demonstrates the relationship between fluid velocity and pressure
  * using a Venturi tube (converging-diverging duct)
+ * The flow is either incompressible (Bernoulli with constant density) or compressible
+ * (isentropic), where the air also cools and thins in the throat and can choke
+ * Pressures are read off bars or liquid manometers, and a Pitot-static probe turns the
+ * dynamic pressure into an airspeed the way an aircraft's airspeed indicator does
  */
 
-class BernoulliVisualization {
+class BernoulliVisualization extends Visualization {
   constructor(canvasId, options = {}) {
-    this.canvas = document.getElementById(canvasId);
-    if (!this.canvas) {
-      console.error(`Canvas with id "${canvasId}" not found`);
-      return;
-    }
+    super(canvasId, options);
+    if (!this.canvas) return;
 
-    this.ctx = this.canvas.getContext('2d');
-    this.width = this.canvas.width;
-    this.height = this.canvas.height;
-
-    // Physics constants
-    this.AIR_DENSITY = 1.225; // kg/m³ at sea level
-    this.ATMOSPHERIC_PRESSURE = 101325; // Pa (1 atm)
+    // Ambient air from the standard atmosphere (sea level unless told otherwise)
+    this.atmosphere = Atmosphere.conditionsAt(options.altitude || 0, options.isaDeviation || 0);
 
     // Configurable parameters
     this.baseVelocity = options.baseVelocity || 50; // m/s
-    this.particleCount = options.particleCount || 150;
-
-    // Venturi tube geometry (as fractions of canvas dimensions)
-    this.tubeTop = 0.3;
-    this.tubeBottom = 0.7;
-    this.throatTop = 0.4;
-    this.throatBottom = 0.6;
-    this.throatStart = 0.35;
-    this.throatEnd = 0.65;
-
-    // Animation state
-    this.isRunning = false;
-    this.animationFrame = null;
+    this.particleCount = options.particleCount || 150; // Most particles shown (fewer if frames are slow)
+    this.particleColor = options.particleColor || 'speed'; // 'speed' or 'pressure'
+    this.flowModel = options.flowModel || 'incompressible'; // 'incompressible' or 'compressible'
+    this.losses = options.losses || 'ideal'; // 'ideal' or 'viscous' (wall friction and diffuser losses)
+
+    // Venturi tube geometry: wall control points joined by a spline (see VenturiGeometry)
+    this.wallPoints = VenturiGeometry.decode(options.shape || VenturiGeometry.DEFAULT_CODE) ||
+      VenturiGeometry.decode(VenturiGeometry.DEFAULT_CODE);
+    this.wall = VenturiGeometry.spline(this.wallPoints);
+
+    // Shape editor: wall control points are dragged on the canvas while editing is on
+    this.editing = false;
+    this.onShapeChange = options.onShapeChange || null; // Called with the new shape code after each drag
+    this.dragTarget = null; // { type: 'wall' | 'port' | 'pitot', index } being dragged
+    this.shapeError = null; // Why the last drag was refused
+    this.handleRadius = 7; // pixels
+
+    // Instruments, dragged along the tube whenever they're shown
+    this.pressureGauge = options.pressureGauge || 'bars'; // 'bars', 'water' or 'mercury'
+    this.maxPorts = 5;
+    this.instrumentRange = { min: 0.05, max: 0.9 }; // Fraction of the tube length
+    this.ports = this.parsePorts(options.ports) || [0.15, 0.5, 0.85]; // Manometer tap positions
+    this.onPortsChange = options.onPortsChange || null; // Called with the new port code after each drag
+    this.pitotProbe = options.pitotProbe || false;
+    this.pitotPosition = options.pitotPosition !== undefined ? options.pitotPosition : 0.25;
+    this.onPitotMove = options.onPitotMove || null; // Called with the new probe position after each drag
+
+    // Manometer liquids, and how many millimetres of column height each pixel stands for
+    this.manometerFluids = {
+      water: { label: 'Water', density: 1000, mmPerPixel: 25, color: '#29B6F6' },
+      mercury: { label: 'Mercury', density: 13546, mmPerPixel: 2, color: '#90A4AE' }
+    };
+
+    // Pressure bars are scaled to the classic tube (entrance twice the throat) at full speed
+    this.referenceAreaRatio = 2;
+    this.referenceVelocity = 100; // m/s
+
+    // Flow state along the tube, sampled at evenly spaced stations (see updateFlow)
+    this.profileSamples = 200;
+    this.flow = null;
+
+    // Above this Mach number the constant-density assumption is more than a few percent off
+    this.compressibilityMach = 0.3;
+
+    // Real size of the tube for the viscous losses: the canvas is drawn to scale,
+    // 1 m long with each unit of half-height (a fraction of the canvas height) 0.5 m
+    this.tubeLength = 1; // m
+    this.tubeHeightScale = 0.5; // m
+
+    // Diffusers recover most of the pressure when they widen gently and less once the
+    // flow starts to separate from steeper walls
+    this.diffuserRecovery = { best: 0.9, worst: 0.3, gentleAngle: 4, steepAngle: 30 }; // degrees half-angle
+
+    // Flow particles, released at a steady rate along fixed streamlines so their spacing
+    // shows continuity: they spread out where the air is fast and bunch up where it's slow
     this.particles = [];
-    this.lastTime = performance.now();
-
+    this.laneCount = 15; // Streamlines, evenly spaced across the tube
+    this.laneTimers = []; // Seconds since each streamline last released a particle
+    this.emitInterval = null; // Seconds between particles on a streamline
+    this.minEmitInterval = null; // Interval that gives particleCount particles
+    this.entrancePixelSpeed = 150; // px/s at the entrance speed
+    this.particleSize = 2.5;
+
+    // Frame rate tracking: the particle count drops when frames are slow and recovers after
+    this.frameRate = null; // Smoothed frames per second
+    this.lastFrameTime = null;
+    this.frameRateCheck = 0; // Seconds since the particle count was last adjusted
+    this.frameRateLimits = { low: 40, high: 55 }; // fps
+    this.minParticleCount = 40;
+
+    this.updateFlow();
     this.init();
   }
 
   init() {
     this.createParticles();
+    this.setupShapeEditor();
     this.draw();
   }
 
   /**
    * Create particle system for flow visualization
+   * Each streamline is filled as if it had been releasing particles for a while already
    */
   createParticles() {
     this.particles = [];
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
-
-    for (let i = 0; i < this.particleCount; i++) {
-      // Distribute particles randomly across the tube width and height
-      const x = Math.random() * pixelWidth;
-      const { top, bottom } = this.getTubeHeightAt(x);
-      const tubeHeight = bottom - top;
-      const y = top + Math.random() * tubeHeight;
-
-      this.particles.push({
-        x: x,
-        y: y,
-        baseY: y,
-        speed: this.baseVelocity,
-        size: 2.5,
-        opacity: 0.5 + Math.random() * 0.5
-      });
+    this.laneTimers = [];
+    this.emitInterval = null;
+    this.updateEmitInterval();
+
+    const step = 1 / 60;
+    for (let i = 0; i < this.laneCount; i++) {
+      const lane = (i + 0.5) / this.laneCount; // Across the tube, 0 = top wall, 1 = bottom wall
+
+      // Staggered so the streamlines don't release in step
+      const timer = Math.random() * this.emitInterval;
+      this.laneTimers.push(timer);
+
+      // Walk the streamline from the entrance, dropping the particles released earlier
+      let x = 0;
+      let elapsed = timer;
+      while (x < this.pixelWidth) {
+        x += this.getPixelSpeed(x, lane) * step;
+        elapsed += step;
+
+        if (elapsed >= this.emitInterval) {
+          elapsed -= this.emitInterval;
+          this.particles.push(this.createParticle(x, lane));
+        }
+      }
+    }
+  }
+
+  /**
+   * Release interval that puts particleCount particles in the tube
+   * Follows the transit time as the flow changes, keeping any slowdown from trackFrameRate()
+   */
+  updateEmitInterval() {
+    this.minEmitInterval = Math.max(0.01, (this.laneCount * this.getTransitTime(0.5)) / this.particleCount);
+    this.emitInterval = Math.max(this.emitInterval || 0, this.minEmitInterval);
+  }
+
+  /**
+   * A particle on a streamline
+   */
+  createParticle(x, lane) {
+    const particle = { x, y: 0, lane, size: this.particleSize };
+    this.placeOnStreamline(particle);
+    return particle;
+  }
+
+  /**
+   * Put a particle on its streamline: the same fraction of the way across the tube at every x,
+   * so the streamlines squeeze together in the throat just like the walls
+   */
+  placeOnStreamline(particle) {
+    const { top, bottom } = this.getTubeHeightAt(particle.x);
+    particle.y = top + particle.lane * (bottom - top);
+  }
+
+  /**
+   * Particle speed in pixels per second at x on a streamline
+   * Continuity: proportional to the air speed there
+   */
+  getPixelSpeed(x, lane) {
+    return (this.getVelocityAt(x) / this.flow.entranceVelocity) * this.getProfileFactor(lane) * this.entrancePixelSpeed;
+  }
+
+  /**
+   * Seconds a particle takes to cross the canvas on a streamline
+   */
+  getTransitTime(lane) {
+    const steps = 200;
+    const stepWidth = this.pixelWidth / steps;
+    let time = 0;
+
+    for (let i = 0; i < steps; i++) {
+      time += stepWidth / this.getPixelSpeed((i + 0.5) * stepWidth, lane);
     }
+    return time;
   }
 
   /**
-   * Calculate tube height at a given x position
+   * Re-lay-out after a canvas resize
+   * Particles are moved along rather than recreated so the flow doesn't restart
+   * (their height follows from their streamline when drawn)
+   */
+  layout(previousSize) {
+    const scaleX = this.pixelWidth / previousSize.width;
+
+    this.particles.forEach(particle => {
+      particle.x *= scaleX;
+    });
+
+    // Crossing a narrower canvas takes less time: release as often relative to it
+    this.emitInterval = Math.max(0.01, this.emitInterval * scaleX);
+    this.minEmitInterval = Math.max(0.01, this.minEmitInterval * scaleX);
+  }
+
+  /**
+   * Tube walls at a given x position: { top, bottom } in pixels
    */
   getTubeHeightAt(x) {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
-    const normalizedX = x / pixelWidth;
-
-    // Three sections: entrance, throat, exit
-    if (normalizedX < this.throatStart) {
-      // Converging section
-      const t = normalizedX / this.throatStart;
-      const top = this.tubeTop + (this.throatTop - this.tubeTop) * t;
-      const bottom = this.tubeBottom - (this.tubeBottom - this.throatBottom) * t;
-      return { top: top * pixelHeight, bottom: bottom * pixelHeight };
-
-    } else if (normalizedX >= this.throatStart && normalizedX <= this.throatEnd) {
-      // Throat (narrow section)
-      return {
-        top: this.throatTop * pixelHeight,
-        bottom: this.throatBottom * pixelHeight
-      };
+    const { pixelWidth, pixelHeight } = this;
+    const halfHeight = VenturiGeometry.heightAt(this.wall, x / pixelWidth) * pixelHeight;
+
+    return { top: pixelHeight / 2 - halfHeight, bottom: pixelHeight / 2 + halfHeight };
+  }
 
+  /**
+   * Duct area at a given x relative to the entrance
+   * For the 2D tube the area is proportional to its height
+   */
+  getAreaRatioAt(x) {
+    const entrance = this.getTubeHeightAt(0);
+    const { top, bottom } = this.getTubeHeightAt(x);
+
+    return (bottom - top) / (entrance.bottom - entrance.top);
+  }
+
+  /**
+   * Recompute the flow along the tube after the speed, air or flow model changes
+   * The entrance holds the ambient air at the slider speed, unless the throat chokes
+   */
+  updateFlow() {
+    const { pressure, density, temperature, speedOfSound } = this.atmosphere;
+    const stations = [];
+    for (let i = 0; i <= this.profileSamples; i++) {
+      stations.push(this.getAreaRatioAt((i / this.profileSamples) * this.pixelWidth));
+    }
+
+    // Narrowest section relative to the entrance
+    const throatAreaRatio = Math.min(...stations);
+
+    // Middle of the narrowest stretch (a flat throat has many equally narrow stations)
+    const narrowest = stations
+      .map((areaRatio, i) => (areaRatio - throatAreaRatio < 1e-6 ? i : null))
+      .filter(index => index !== null);
+    const throatPosition = (narrowest[0] + narrowest[narrowest.length - 1]) / 2 / this.profileSamples;
+    const throatIndex = narrowest[Math.floor(narrowest.length / 2)];
+
+    let entranceVelocity = this.baseVelocity;
+    let choked = false;
+    let state;
+
+    if (this.flowModel === 'compressible') {
+      // The throat reaches Mach 1 when the entrance is this fast; beyond it no more air can get through
+      const chokingMach = Isentropic.machFromAreaRatio(1 / throatAreaRatio);
+      const entranceMach = Math.min(this.baseVelocity / speedOfSound, chokingMach);
+
+      choked = this.baseVelocity / speedOfSound >= chokingMach;
+      entranceVelocity = entranceMach * speedOfSound;
+
+      // Stagnation conditions and sonic area, the same all along the tube
+      const entrance = Isentropic.ratios(entranceMach);
+      const stagnationPressure = pressure / entrance.pressure;
+      const stagnationDensity = density / entrance.density;
+      const stagnationTemperature = temperature / entrance.temperature;
+      const entranceSonicRatio = Isentropic.areaRatio(entranceMach);
+
+      // Subsonic all the way: the diverging part slows the air again
+      // Losses lower the stagnation pressure, which widens the sonic area A* (ρ₀·a₀·A* stays the
+      // same) and so speeds up the air for the same duct area; it can't pass Mach 1, though
+      state = (areaRatio, totalPressureRatio = 1) => {
+        const mach = Isentropic.machFromAreaRatio(entranceSonicRatio * areaRatio * totalPressureRatio);
+        const ratios = Isentropic.ratios(mach);
+        const localTemperature = stagnationTemperature * ratios.temperature;
+        const localDensity = stagnationDensity * totalPressureRatio * ratios.density;
+        const velocity = mach * Math.sqrt(Atmosphere.GAMMA * Atmosphere.GAS_CONSTANT * localTemperature);
+
+        // ½·ρ·v² no longer adds up to the total pressure exactly: the difference is the compression
+        return {
+          mach,
+          velocity,
+          pressure: stagnationPressure * totalPressureRatio * ratios.pressure,
+          dynamicPressure: 0.5 * localDensity * velocity * velocity,
+          totalPressure: stagnationPressure * totalPressureRatio,
+          density: localDensity,
+          temperature: localTemperature
+        };
+      };
     } else {
-      // Diverging section
-      const t = (normalizedX - this.throatEnd) / (1 - this.throatEnd);
-      const top = this.throatTop + (this.tubeTop - this.throatTop) * t;
-      const bottom = this.throatBottom + (this.tubeBottom - this.throatBottom) * t;
-      return { top: top * pixelHeight, bottom: bottom * pixelHeight };
+      // Continuity A₁·v₁ = A₂·v₂ and Bernoulli P + ½·ρ·v² = constant, density unchanged
+      // (losses only take away total pressure: the speed is set by the area alone)
+      const entranceTotalPressure = pressure + 0.5 * density * Math.pow(this.baseVelocity, 2);
+
+      state = (areaRatio, totalPressureRatio = 1) => {
+        const velocity = this.baseVelocity / areaRatio;
+        const totalPressure = entranceTotalPressure * totalPressureRatio;
+
+        return {
+          mach: velocity / speedOfSound,
+          velocity,
+          pressure: totalPressure - 0.5 * density * Math.pow(velocity, 2),
+          dynamicPressure: 0.5 * density * Math.pow(velocity, 2),
+          totalPressure,
+          density,
+          temperature
+        };
+      };
+    }
+
+    const { profile, losses } = this.losses === 'viscous'
+      ? this.marchWithLosses(stations, state)
+      : { profile: stations.map(areaRatio => state(areaRatio)), losses: null };
+
+    // Incompressible flow past Mach 1 would need negative absolute pressures, so once the air
+    // gets there nothing reads pressures off it (the compressible model chokes instead)
+    const pressuresValid = profile.every(flow => flow.pressure > 0) &&
+      (this.flowModel === 'compressible' || profile.every(flow => flow.mach < 1));
+
+    this.flow = {
+      entranceVelocity,
+      choked,
+      throatAreaRatio,
+      throatPosition,
+      throat: profile[throatIndex],
+      profile,
+      losses,
+      pressuresValid
+    };
+
+    // A new shape or flow model changes how long particles take to cross the tube
+    if (this.emitInterval !== null) {
+      this.updateEmitInterval();
     }
   }
 
   /**
-   * Calculate velocity at a given x position using continuity equation
-   * A1·v1 = A2·v2 (conservation of mass)
+   * Follow the air down the tube, taking away the total pressure lost on the way:
+   * wall friction (Darcy-Weisbach, Δp = f · (Δx/D) · ½ρv²) and, wherever the tube widens,
+   * the part of the ideal pressure rise the diffuser fails to recover
+   * Each section is treated as a round pipe as wide as the tube
+   * Returns { profile, losses: { friction, diffuser, total, reynolds } } (pressures in Pa,
+   * Reynolds number at the entrance)
    */
-  getVelocityAt(x) {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+  marchWithLosses(stations, state) {
+    const viscosity = this.atmosphere.dynamicViscosity;
+    const stepLength = this.tubeLength / this.profileSamples;
+    const diameterAt = i => 2 * VenturiGeometry.heightAt(this.wall, i / this.profileSamples) * this.tubeHeightScale;
+    const reynoldsAt = (flow, i) => (flow.density * flow.velocity * diameterAt(i)) / viscosity;
+
+    const profile = [state(stations[0])];
+    const entranceTotalPressure = profile[0].totalPressure;
+    let friction = 0;
+    let diffuser = 0;
+
+    for (let i = 1; i < stations.length; i++) {
+      const previous = profile[i - 1];
+      const totalPressureRatio = previous.totalPressure / entranceTotalPressure;
+      const lossless = state(stations[i], totalPressureRatio);
+
+      const frictionLoss = Physics.darcyFrictionFactor(reynoldsAt(previous, i - 1)) *
+        (stepLength / diameterAt(i - 1)) * previous.dynamicPressure;
+
+      // Widening walls: only part of the dynamic pressure given up comes back as static pressure
+      const recovered = previous.dynamicPressure - lossless.dynamicPressure;
+      const halfAngle = Math.atan((diameterAt(i) - diameterAt(i - 1)) / 2 / stepLength) * 180 / Math.PI;
+      const diffuserLoss = recovered > 0 && halfAngle > 0
+        ? (1 - this.diffuserEfficiency(halfAngle)) * recovered
+        : 0;
+
+      friction += frictionLoss;
+      diffuser += diffuserLoss;
+      profile.push(state(stations[i], totalPressureRatio - (frictionLoss + diffuserLoss) / entranceTotalPressure));
+    }
 
-    // Reference area (entrance)
-    const entranceHeight = (this.tubeBottom - this.tubeTop) * pixelHeight;
+    return {
+      profile,
+      losses: {
+        friction,
+        diffuser,
+        total: entranceTotalPressure - profile[profile.length - 1].totalPressure,
+        reynolds: reynoldsAt(profile[0], 0)
+      }
+    };
+  }
 
-    // Current area
-    const { top, bottom } = this.getTubeHeightAt(x);
-    const currentHeight = bottom - top;
+  /**
+   * Share of the ideal pressure rise a diffuser recovers, for its wall half-angle in degrees
+   */
+  diffuserEfficiency(halfAngle) {
+    const { best, worst, gentleAngle, steepAngle } = this.diffuserRecovery;
+    const steepness = Math.max(0, Math.min(1, (halfAngle - gentleAngle) / (steepAngle - gentleAngle)));
+
+    return best - steepness * (best - worst);
+  }
+
+  /**
+   * Speed of a particle relative to the mean speed, for its lane across the tube
+   * With viscous losses the air sticks to the walls, so particles near them lag the core
+   */
+  getProfileFactor(lane) {
+    if (!this.flow.losses) return 1;
+
+    return Physics.pipeVelocityProfile((lane - 0.5) * 2, this.flow.losses.reynolds);
+  }
+
+  /**
+   * Flow state at a position along the tube (0 = entrance, 1 = exit):
+   * { mach, velocity, pressure, dynamicPressure, totalPressure, density, temperature }
+   * Interpolated between the stations computed by updateFlow()
+   */
+  getFlowAtPosition(position) {
+    const { profile } = this.flow;
+    const station = Math.max(0, Math.min(1, position)) * this.profileSamples;
+    const index = Math.min(Math.floor(station), this.profileSamples - 1);
+    const t = station - index;
+    const a = profile[index];
+    const b = profile[index + 1];
+
+    const flow = {};
+    Object.keys(a).forEach(key => {
+      flow[key] = a[key] + t * (b[key] - a[key]);
+    });
+    return flow;
+  }
+
+  /**
+   * Flow state at a given x position in pixels, see getFlowAtPosition()
+   */
+  getFlowAt(x) {
+    return this.getFlowAtPosition(x / this.pixelWidth);
+  }
 
-    // From continuity: v2 = v1 * (A1 / A2)
-    // For 2D visualization: v2 = v1 * (h1 / h2)
-    return this.baseVelocity * (entranceHeight / currentHeight);
+  /**
+   * Velocity at a given x position
+   * Continuity keeps the mass flow ρ·A·v the same through every section
+   */
+  getVelocityAt(x) {
+    return this.getFlowAt(x).velocity;
   }
 
   /**
-   * Calculate pressure using Bernoulli's equation
-   * P + ½·ρ·v² = constant
+   * Static pressure at a given x position
+   * Bernoulli's equation P + ½·ρ·v² = constant (or its isentropic form when compressible),
+   * less the total pressure lost upstream when the flow is viscous
    */
   getPressureAt(x) {
-    const velocity = this.getVelocityAt(x);
+    return this.getFlowAt(x).pressure;
+  }
 
-    // Total pressure (constant along streamline)
-    const totalPressure = this.ATMOSPHERIC_PRESSURE +
-                          0.5 * this.AIR_DENSITY * Math.pow(this.baseVelocity, 2);
+  /**
+   * How far the incompressible throat pressure drop is from the isentropic one, as a fraction,
+   * when the throat runs at the given Mach number (negative: Bernoulli underestimates it)
+   */
+  incompressibleErrorAt(throatMach) {
+    const throatAreaRatio = this.flow.throatAreaRatio;
+    const entranceMach = Isentropic.machFromAreaRatio(Isentropic.areaRatio(throatMach) / throatAreaRatio);
 
-    // Static pressure at this point
-    const staticPressure = totalPressure -
-                           0.5 * this.AIR_DENSITY * Math.pow(velocity, 2);
+    // Both drops relative to the entrance static pressure
+    const isentropicDrop = 1 - Isentropic.ratios(throatMach).pressure / Isentropic.ratios(entranceMach).pressure;
+    const incompressibleDrop = (Atmosphere.GAMMA / 2) * entranceMach * entranceMach *
+      (1 / (throatAreaRatio * throatAreaRatio) - 1);
 
-    return staticPressure;
+    return incompressibleDrop / isentropicDrop - 1;
   }
 
   /**
    * Update particle positions
+   * Particles move along their streamlines; each streamline releases a new one at the
+   * entrance every emitInterval seconds, so the same amount of air crosses every section
    */
   update(deltaTime) {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth } = this;
 
     this.particles.forEach(particle => {
-      // Get local velocity based on position
-      const localVelocity = this.getVelocityAt(particle.x);
-
-      // Update position (scale velocity to pixels per second)
-      const pixelsPerSecond = (localVelocity / this.baseVelocity) * 150;
-      particle.x += pixelsPerSecond * deltaTime;
-
-      // Wrap around when particle exits
-      if (particle.x > pixelWidth) {
-        particle.x = 0;
-        // Randomize y position slightly
-        const { top, bottom } = this.getTubeHeightAt(0);
-        const tubeHeight = bottom - top;
-        particle.y = top + Math.random() * tubeHeight;
-      }
+      particle.x += this.getPixelSpeed(particle.x, particle.lane) * deltaTime;
+    });
+
+    // Particles leave at the exit
+    this.particles = this.particles.filter(particle => particle.x <= pixelWidth);
 
-      // Keep particle within tube bounds
-      const { top, bottom } = this.getTubeHeightAt(particle.x);
-      const tubeHeight = bottom - top;
+    this.laneTimers = this.laneTimers.map((timer, i) => {
+      let elapsed = timer + deltaTime;
 
-      // Adjust y position to stay centered with slight variation
-      const centerY = (top + bottom) / 2;
-      const offset = (particle.baseY - pixelHeight * this.tubeTop) /
-                     (pixelHeight * (this.tubeBottom - this.tubeTop));
-      particle.y = centerY + (offset - 0.5) * tubeHeight * 0.8;
+      while (elapsed >= this.emitInterval) {
+        elapsed -= this.emitInterval;
+
+        // Already on its way for the time since it was due
+        const lane = (i + 0.5) / this.laneCount;
+        this.particles.push(this.createParticle(elapsed * this.getPixelSpeed(0, lane), lane));
+      }
+      return elapsed;
     });
   }
 
+  /**
+   * Track the frame rate and adapt the particle count to it
+   */
+  animate(currentTime) {
+    this.trackFrameRate(currentTime);
+    super.animate(currentTime);
+  }
+
+  /**
+   * Smooth the frame rate, and every couple of seconds release particles less often if
+   * frames are slow, or more often again (up to particleCount) once they're quick
+   */
+  trackFrameRate(currentTime) {
+    const frameSeconds = this.lastFrameTime === null ? null : (currentTime - this.lastFrameTime) / 1000;
+    this.lastFrameTime = currentTime;
+
+    // Skip the first frame and stalls (hidden tab, resumed loop)
+    if (frameSeconds === null || frameSeconds <= 0 || frameSeconds > this.maxFrameTime) return;
+
+    const frameRate = 1 / frameSeconds;
+    this.frameRate = this.frameRate === null ? frameRate : 0.95 * this.frameRate + 0.05 * frameRate;
+
+    this.frameRateCheck += frameSeconds;
+    if (this.frameRateCheck < 2) return;
+    this.frameRateCheck = 0;
+
+    if (this.frameRate < this.frameRateLimits.low && this.particles.length > this.minParticleCount) {
+      this.emitInterval *= 1.25;
+    } else if (this.frameRate > this.frameRateLimits.high && this.emitInterval > this.minEmitInterval) {
+      this.emitInterval = Math.max(this.minEmitInterval, this.emitInterval / 1.1);
+    }
+  }
+
   /**
    * Draw the visualization
    */
   draw() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     // Clear canvas
     this.ctx.fillStyle = '#FAFAFA';
@@ -195,6 +534,10 @@ class BernoulliVisualization {
     // Draw particles
     this.drawParticles();
 
+    if (this.pitotProbe) {
+      this.drawPitotProbe();
+    }
+
     // Draw pressure indicators
     this.drawPressureIndicators();
 
@@ -209,8 +552,7 @@ class BernoulliVisualization {
    * Draw the Venturi tube shape
    */
   drawTube() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth } = this;
 
     this.ctx.strokeStyle = '#546E7A';
     this.ctx.lineWidth = 3;
@@ -218,7 +560,7 @@ class BernoulliVisualization {
 
     // Draw top surface
     this.ctx.beginPath();
-    this.ctx.moveTo(0, pixelHeight * this.tubeTop);
+    this.ctx.moveTo(0, this.getTubeHeightAt(0).top);
 
     for (let x = 0; x <= pixelWidth; x += 2) {
       const { top } = this.getTubeHeightAt(x);
@@ -240,42 +582,87 @@ class BernoulliVisualization {
    * Draw flow particles
    */
   drawParticles() {
+    const colorAt = this.getParticleColorScale();
+
     this.particles.forEach(particle => {
-      this.ctx.fillStyle = `rgba(33, 150, 243, ${particle.opacity})`;
+      // Follows the walls, also while they're being dragged with the animation paused
+      this.placeOnStreamline(particle);
+
+      this.ctx.fillStyle = colorAt(particle);
       this.ctx.beginPath();
       this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
       this.ctx.fill();
     });
   }
 
+  /**
+   * Particle color for the local speed or pressure, from blue (slowest or lowest in the tube)
+   * to red (fastest or highest)
+   * Returns a function of a particle
+   */
+  getParticleColorScale() {
+    const stops = [[30, 136, 229], [38, 166, 154], [255, 179, 0], [229, 57, 53]];
+    const key = this.particleColor === 'pressure' ? 'pressure' : 'velocity';
+    const values = this.flow.profile.map(flow => flow[key]);
+
+    // Speeds also spread across the tube when the air sticks to the walls
+    const edgeFactor = key === 'velocity' ? this.getProfileFactor(0.5 / this.laneCount) : 1;
+    const coreFactor = key === 'velocity' ? this.getProfileFactor(0.5) : 1;
+    const low = Math.min(...values) * edgeFactor;
+    const range = Math.max(...values) * coreFactor - low;
+
+    return particle => {
+      let value = this.getFlowAt(particle.x)[key];
+      if (key === 'velocity') value *= this.getProfileFactor(particle.lane);
+
+      // A straight tube has no variation to show
+      const t = range > 1e-6 ? Math.max(0, Math.min(1, (value - low) / range)) : 0.5;
+      const position = t * (stops.length - 1);
+      const i = Math.min(Math.floor(position), stops.length - 2);
+      const mix = position - i;
+      const [r, g, b] = stops[i].map((channel, c) => Math.round(channel + mix * (stops[i + 1][c] - channel)));
+
+      return `rgba(${r}, ${g}, ${b}, 0.85)`;
+    };
+  }
+
   /**
    * Draw pressure indicators at three points
    * Bars shrink from bottom towards bottom to show pressure decrease
    */
   drawPressureIndicators() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    if (!this.flow.pressuresValid) {
+      this.drawPressuresUnavailable();
+      return;
+    }
+
+    if (this.pressureGauge !== 'bars') {
+      this.drawManometers();
+      return;
+    }
+
+    const { pixelWidth, pixelHeight } = this;
 
     const positions = [
       { x: pixelWidth * 0.15, label: 'Entrance' },
-      { x: pixelWidth * 0.5, label: 'Throat' },
+      { x: pixelWidth * this.getThroatPosition(), label: 'Throat' },
       { x: pixelWidth * 0.85, label: 'Exit' }
     ];
 
-    const { bottom } = this.getTubeHeightAt(pixelWidth * 0.5);
+    // Bars sit under the classic tube's throat, so they stay put while the walls are dragged
     const maxBarHeight = 80;
     const barWidth = 35;
-    const barBottomY = bottom + 30 + maxBarHeight; // Bottom of bar area
+    const barBottomY = pixelHeight * 0.6 + 30 + maxBarHeight; // Bottom of bar area
 
     // Use a FIXED maximum pressure drop for consistent scaling
-    // Based on velocity at 100 m/s (max slider value)
-    const referenceVelocity = 100;
-    const referenceThroatVelocity = referenceVelocity *
-      ((this.tubeBottom - this.tubeTop) / (this.throatBottom - this.throatTop));
-    const maxPossibleDrop = 0.5 * this.AIR_DENSITY *
+    // Based on the classic tube at 100 m/s in sea-level air,
+    // so thinner air at altitude visibly produces a smaller drop
+    const { referenceVelocity } = this;
+    const referenceThroatVelocity = referenceVelocity * this.referenceAreaRatio;
+    const maxPossibleDrop = 0.5 * Atmosphere.SEA_LEVEL_DENSITY *
                            (Math.pow(referenceThroatVelocity, 2) - Math.pow(referenceVelocity, 2));
 
-    const entrancePressure = this.getPressureAt(pixelWidth * 0.15);
+    const entrancePressure = this.getPressureAt(0);
 
     positions.forEach(pos => {
       const pressure = this.getPressureAt(pos.x);
@@ -342,16 +729,248 @@ class BernoulliVisualization {
     this.ctx.fillText('Pressure Level', pixelWidth / 2, barBottomY - maxBarHeight - 22);
   }
 
+  /**
+   * In place of the gauges when the incompressible model has no meaningful pressures
+   */
+  drawPressuresUnavailable() {
+    const { pixelWidth, pixelHeight } = this;
+    const y = pixelHeight * 0.6 + 70;
+
+    this.ctx.textAlign = 'center';
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = 'bold 12px Inter, sans-serif';
+    this.ctx.fillText('No pressure readings', pixelWidth / 2, y);
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.fillText(
+      'Bernoulli\'s equation would give negative pressures beyond Mach 1: switch to Compressible',
+      pixelWidth / 2, y + 16
+    );
+  }
+
+  /**
+   * U-tube manometers, one per port in the bottom wall
+   * The open leg feels the ambient air (the entrance pressure), so the liquid is pushed
+   * Δh = Δp / (ρ_liquid · g) further up the leg on the side where the pressure is lower
+   */
+  drawManometers() {
+    const { pixelWidth, pixelHeight } = this;
+    const fluid = this.manometerFluids[this.pressureGauge];
+    const ambientPressure = this.atmosphere.pressure;
+
+    // Same area as the pressure bars
+    const legTop = pixelHeight * 0.6 + 30;
+    const legHeight = 90;
+    const bend = 11; // Radius of the U, also half the gap between the legs
+    const bendTop = legTop + legHeight - bend;
+    const restLevel = (legTop + bendTop) / 2;
+    const maxSwing = (bendTop - legTop) / 2 - 4;
+
+    this.ports.forEach((port, index) => {
+      const x = port * pixelWidth;
+      const wallBottom = this.getTubeHeightAt(x).bottom;
+      const pressureDrop = ambientPressure - this.getPressureAt(x);
+      const heightDifference = Physics.manometerHeight(pressureDrop, fluid.density) * 1000; // mm
+
+      // Each leg moves half the difference; past the ends of the glass the reading is off scale
+      const swing = heightDifference / fluid.mmPerPixel / 2;
+      const offScale = Math.abs(swing) > maxSwing;
+      const shownSwing = Math.max(-maxSwing, Math.min(maxSwing, swing));
+
+      const uTube = (fromY, toY) => {
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, fromY);
+        this.ctx.lineTo(x, bendTop);
+        this.ctx.arc(x + bend, bendTop, bend, Math.PI, 0, true);
+        this.ctx.lineTo(x + 2 * bend, toY);
+        this.ctx.stroke();
+      };
+
+      // Glass, running up into the tube's wall on the port side
+      this.ctx.strokeStyle = '#90A4AE';
+      this.ctx.lineWidth = 9;
+      uTube(wallBottom, legTop);
+      this.ctx.strokeStyle = 'white';
+      this.ctx.lineWidth = 5;
+      uTube(wallBottom, legTop);
+
+      // Liquid
+      this.ctx.strokeStyle = fluid.color;
+      uTube(restLevel - shownSwing, restLevel + shownSwing);
+
+      // Level with no pressure difference
+      this.ctx.strokeStyle = '#757575';
+      this.ctx.lineWidth = 1;
+      this.ctx.beginPath();
+      this.ctx.moveTo(x - 8, restLevel);
+      this.ctx.lineTo(x + 2 * bend + 8, restLevel);
+      this.ctx.stroke();
+
+      // Port, dragged along the wall
+      this.ctx.fillStyle = this.isDragging('port', index) ? '#FFB300' : 'white';
+      this.ctx.strokeStyle = '#37474F';
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+      this.ctx.arc(x, wallBottom, 5, 0, Math.PI * 2);
+      this.ctx.fill();
+      this.ctx.stroke();
+
+      // Reading below the U
+      this.ctx.textAlign = 'center';
+      this.ctx.font = 'bold 11px Inter, sans-serif';
+      this.ctx.fillStyle = offScale ? '#D32F2F' : '#212121';
+      this.ctx.fillText(
+        `Δh ${heightDifference.toFixed(0)} mm${offScale ? ' (off scale)' : ''}`,
+        x + bend, legTop + legHeight + 15
+      );
+
+      this.ctx.font = '11px Inter, sans-serif';
+      this.ctx.fillStyle = '#424242';
+      this.ctx.fillText(`${(pressureDrop / 1000).toFixed(2)} kPa`, x + bend, legTop + legHeight + 28);
+    });
+
+    this.ctx.fillStyle = '#424242';
+    this.ctx.font = 'bold 12px Inter, sans-serif';
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText(`${fluid.label} Manometers`, pixelWidth / 2, legTop - 22);
+  }
+
+  /**
+   * Where the Pitot-static probe's nose is, on the centerline facing the flow
+   */
+  getPitotNose() {
+    return { x: this.pitotPosition * this.pixelWidth, y: this.pixelHeight / 2 };
+  }
+
+  /**
+   * What the Pitot-static probe measures: the total pressure at its nose less the static
+   * pressure at its side holes, and the airspeed an indicator calibrated for sea-level air
+   * shows for it (the compressible calibration when the flow is compressible)
+   */
+  getPitotReading() {
+    const flow = this.getFlowAtPosition(this.pitotPosition);
+    const impactPressure = flow.totalPressure - flow.pressure;
+
+    const indicatedAirspeed = this.flowModel === 'compressible'
+      ? Isentropic.calibratedAirspeed(impactPressure)
+      : Physics.indicatedAirspeed(impactPressure);
+
+    return { impactPressure, indicatedAirspeed, trueAirspeed: flow.velocity };
+  }
+
+  /**
+   * Draw the Pitot-static probe: an L-shaped tube pointing upstream, held from the top wall
+   */
+  drawPitotProbe() {
+    const nose = this.getPitotNose();
+    const bodyLength = 36;
+    const stemX = nose.x + bodyLength;
+    const { top } = this.getTubeHeightAt(stemX);
+
+    this.ctx.strokeStyle = '#37474F';
+    this.ctx.lineWidth = 4;
+    this.ctx.beginPath();
+    this.ctx.moveTo(nose.x, nose.y);
+    this.ctx.lineTo(stemX, nose.y);
+    this.ctx.lineTo(stemX, top - 14);
+    this.ctx.stroke();
+
+    // Static holes along the side of the body
+    this.ctx.fillStyle = '#FAFAFA';
+    [14, 20].forEach(offset => {
+      this.ctx.fillRect(nose.x + offset, nose.y - 1, 2, 2);
+    });
+
+    // Nose, dragged along the tube
+    this.ctx.fillStyle = this.isDragging('pitot', 0) ? '#FFB300' : 'white';
+    this.ctx.strokeStyle = '#37474F';
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.arc(nose.x, nose.y, 5, 0, Math.PI * 2);
+    this.ctx.fill();
+    this.ctx.stroke();
+  }
+
+  /**
+   * Airspeed indicator dial showing the probe's reading, next to the true speed of the air there
+   */
+  drawAirspeedIndicator() {
+    const { impactPressure, indicatedAirspeed, trueAirspeed } = this.getPitotReading();
+    const center = { x: 50, y: this.pixelHeight - 76 };
+    const radius = 36;
+    const maxSpeed = 250; // m/s at the end of the scale
+
+    // 270° sweep clockwise from the lower left, like a cockpit dial
+    const toAngle = speed => 0.75 * Math.PI + 1.5 * Math.PI * Math.min(1, speed / maxSpeed);
+
+    this.ctx.fillStyle = 'white';
+    this.ctx.strokeStyle = '#37474F';
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+    this.ctx.fill();
+    this.ctx.stroke();
+
+    // Ticks every 50 m/s, numbered every 100
+    this.ctx.lineWidth = 1;
+    this.ctx.fillStyle = '#424242';
+    this.ctx.font = '9px Inter, sans-serif';
+    this.ctx.textAlign = 'center';
+
+    for (let speed = 0; speed <= maxSpeed; speed += 50) {
+      const angle = toAngle(speed);
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+
+      this.ctx.beginPath();
+      this.ctx.moveTo(center.x + (radius - 6) * cos, center.y + (radius - 6) * sin);
+      this.ctx.lineTo(center.x + radius * cos, center.y + radius * sin);
+      this.ctx.stroke();
+
+      if (speed % 100 === 0) {
+        this.ctx.fillText(String(speed), center.x + (radius - 14) * cos, center.y + (radius - 14) * sin + 3);
+      }
+    }
+
+    // No reading without meaningful pressures (see updateFlow)
+    const { pressuresValid } = this.flow;
+
+    if (pressuresValid) {
+      this.ctx.fillText(`q ${(impactPressure / 1000).toFixed(2)} kPa`, center.x, center.y + 22);
+
+      // Needle
+      const angle = toAngle(indicatedAirspeed);
+      this.ctx.strokeStyle = '#D32F2F';
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+      this.ctx.moveTo(center.x, center.y);
+      this.ctx.lineTo(center.x + (radius - 8) * Math.cos(angle), center.y + (radius - 8) * Math.sin(angle));
+      this.ctx.stroke();
+    }
+
+    this.ctx.fillStyle = '#37474F';
+    this.ctx.beginPath();
+    this.ctx.arc(center.x, center.y, 3, 0, Math.PI * 2);
+    this.ctx.fill();
+
+    // Readings below the dial
+    this.ctx.textAlign = 'left';
+    this.ctx.font = 'bold 11px Inter, sans-serif';
+    this.ctx.fillStyle = '#212121';
+    this.ctx.fillText(pressuresValid ? `IAS ${indicatedAirspeed.toFixed(1)} m/s` : 'IAS —', 10, center.y + radius + 14);
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.fillStyle = '#424242';
+    this.ctx.fillText(`TAS ${trueAirspeed.toFixed(1)} m/s`, 10, center.y + radius + 28);
+  }
+
   /**
    * Draw velocity indicators
    */
   drawVelocityIndicators() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     const positions = [
       pixelWidth * 0.15,
-      pixelWidth * 0.5,
+      pixelWidth * this.getThroatPosition(),
       pixelWidth * 0.85
     ];
 
@@ -360,7 +979,7 @@ class BernoulliVisualization {
       const { top } = this.getTubeHeightAt(x);
 
       // Draw velocity arrow
-      const arrowLength = (velocity / this.baseVelocity) * 40;
+      const arrowLength = (velocity / this.flow.entranceVelocity) * 40;
 
       this.ctx.strokeStyle = '#2196F3';
       this.ctx.fillStyle = '#2196F3';
@@ -393,7 +1012,7 @@ class BernoulliVisualization {
    * Draw section labels
    */
   drawLabels() {
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelHeight } = this;
 
     this.ctx.fillStyle = '#757575';
     this.ctx.font = 'bold 14px Inter, sans-serif';
@@ -401,63 +1020,637 @@ class BernoulliVisualization {
 
     const labelY = pixelHeight * 0.15;
 
-    this.ctx.fillText('Velocity →', this.width / (window.devicePixelRatio || 1) / 2, labelY);
+    this.ctx.fillText('Velocity →', this.pixelWidth / 2, labelY);
+
+    this.drawAtmosphereInfo();
+    this.drawAreaRatio();
+    this.drawThroatConditions(labelY + 20);
+
+    if (this.flow.losses) {
+      if (this.flow.pressuresValid) this.drawLosses();
+      this.drawVelocityProfile();
+    }
+
+    // A tube that never narrows has no throat pressure drop to compare
+    if (this.flowModel === 'compressible' && this.flow.throatAreaRatio < 0.98) {
+      this.drawErrorChart();
+    }
+
+    if (this.pitotProbe) {
+      this.drawAirspeedIndicator();
+    }
+
+    this.drawShapeEditor();
+    this.drawShapeEditorHint();
   }
 
   /**
-   * Set base velocity (called from slider)
+   * Throat area against the entrance, which sets how much the air speeds up
    */
-  setVelocity(velocity) {
-    this.baseVelocity = velocity;
-    // Redraw immediately to show changes
-    if (!this.isRunning) {
-      this.draw();
+  drawAreaRatio() {
+    const { throatAreaRatio } = this.flow;
+
+    this.ctx.fillStyle = '#424242';
+    this.ctx.font = 'bold 11px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText(
+      `Throat area: ${Math.round(throatAreaRatio * 100)}% of entrance (A₁/A₂ = ${(1 / throatAreaRatio).toFixed(2)})`,
+      10, 46
+    );
+  }
+
+  /**
+   * Total pressure lost between the entrance and the exit, and where it went
+   */
+  drawLosses() {
+    const { friction, diffuser, total } = this.flow.losses;
+    const throatDrop = this.flow.profile[0].pressure - this.flow.throat.pressure;
+
+    this.ctx.fillStyle = '#C62828';
+    this.ctx.font = 'bold 11px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+
+    // Venturi meters quote their permanent loss against the throat pressure drop
+    const share = throatDrop > 1 ? ` (${Math.round((total / throatDrop) * 100)}% of the throat drop)` : '';
+    this.ctx.fillText(`Pressure not recovered: ${(total / 1000).toFixed(2)} kPa${share}`, 10, 60);
+
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = '10px Inter, sans-serif';
+    this.ctx.fillText(
+      `friction ${(friction / 1000).toFixed(2)} + diffuser ${(diffuser / 1000).toFixed(2)} kPa`,
+      10, 74
+    );
+  }
+
+  /**
+   * Velocity profile across the entrance: slow at the walls, fastest in the core
+   */
+  drawVelocityProfile() {
+    const x = 8;
+    const maxLength = 26;
+    const { top, bottom } = this.getTubeHeightAt(x);
+    const peak = Physics.pipeVelocityProfile(0, this.flow.losses.reynolds);
+
+    this.ctx.strokeStyle = '#1565C0';
+    this.ctx.lineWidth = 1.5;
+
+    // Arrows
+    for (let i = 1; i < 10; i++) {
+      const y = top + (i / 10) * (bottom - top);
+      const length = (Physics.pipeVelocityProfile(i / 5 - 1, this.flow.losses.reynolds) / peak) * maxLength;
+
+      this.ctx.beginPath();
+      this.ctx.moveTo(x, y);
+      this.ctx.lineTo(x + length, y);
+      this.ctx.lineTo(x + length - 4, y - 3);
+      this.ctx.moveTo(x + length, y);
+      this.ctx.lineTo(x + length - 4, y + 3);
+      this.ctx.stroke();
+    }
+
+    // Envelope
+    this.ctx.beginPath();
+    for (let i = 0; i <= 40; i++) {
+      const y = top + (i / 40) * (bottom - top);
+      const length = (Physics.pipeVelocityProfile(i / 20 - 1, this.flow.losses.reynolds) / peak) * maxLength;
+
+      if (i === 0) {
+        this.ctx.moveTo(x + length, y);
+      } else {
+        this.ctx.lineTo(x + length, y);
+      }
     }
+    this.ctx.stroke();
   }
 
   /**
-   * Start animation
+   * Mach number in the throat, and how the air there has cooled and thinned
    */
-  start() {
-    if (!this.isRunning) {
-      this.isRunning = true;
-      this.lastTime = performance.now();
-      this.animate();
+  drawThroatConditions(y) {
+    const { throat, choked, entranceVelocity } = this.flow;
+    const { temperature, density } = this.atmosphere;
+    const centerX = this.pixelWidth / 2;
+
+    this.ctx.textAlign = 'center';
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.fillStyle = '#424242';
+
+    if (this.flowModel === 'compressible') {
+      const temperatureChange = throat.temperature - temperature;
+      const densityChange = (throat.density / density - 1) * 100;
+
+      this.ctx.fillText(
+        `Throat: Mach ${throat.mach.toFixed(2)}   T ${(throat.temperature - 273.15).toFixed(1)} °C ` +
+        `(${temperatureChange.toFixed(1)} K)   ρ ${throat.density.toFixed(3)} kg/m³ (${densityChange.toFixed(1)}%)`,
+        centerX, y
+      );
+
+      if (choked) {
+        this.ctx.fillStyle = '#D32F2F';
+        this.ctx.font = 'bold 12px Inter, sans-serif';
+        this.ctx.fillText(
+          `CHOKED: the throat is at Mach 1, so the entrance can't flow faster than ${entranceVelocity.toFixed(0)} m/s`,
+          centerX, y + 16
+        );
+      }
+      return;
+    }
+
+    this.ctx.fillText(`Throat: Mach ${throat.mach.toFixed(2)}   density assumed constant`, centerX, y);
+
+    if (throat.mach >= 1) {
+      this.ctx.fillStyle = '#D32F2F';
+      this.ctx.font = 'bold 12px Inter, sans-serif';
+      this.ctx.fillText('Faster than sound in the throat: this tube would choke (try Compressible)', centerX, y + 16);
+    } else if (throat.mach > this.compressibilityMach) {
+      this.ctx.fillStyle = '#E65100';
+      this.ctx.font = 'bold 12px Inter, sans-serif';
+      this.ctx.fillText(`Above Mach ${this.compressibilityMach} the air compresses noticeably (try Compressible)`, centerX, y + 16);
     }
   }
 
   /**
-   * Stop animation
+   * Error of the incompressible throat pressure drop against throat Mach number
    */
-  stop() {
-    this.isRunning = false;
-    if (this.animationFrame) {
-      cancelAnimationFrame(this.animationFrame);
+  drawErrorChart() {
+    const { pixelWidth } = this;
+    const chart = { x: pixelWidth - 190, y: 24, width: 170, height: 56 };
+
+    // The error grows fastest near Mach 1, so scale to the value there
+    const points = [];
+    for (let i = 1; i <= 40; i++) {
+      const mach = i / 40;
+      points.push({ mach, error: -this.incompressibleErrorAt(mach) * 100 });
     }
+    const maxError = Math.max(10, Math.ceil(points[points.length - 1].error / 10) * 10);
+    const toX = mach => chart.x + mach * chart.width;
+    const toY = error => chart.y + chart.height - (error / maxError) * chart.height;
+
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText('Bernoulli underestimates Δp by', chart.x, chart.y - 8);
+
+    // Axes
+    this.ctx.strokeStyle = '#BDBDBD';
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    this.ctx.moveTo(chart.x, chart.y);
+    this.ctx.lineTo(chart.x, chart.y + chart.height);
+    this.ctx.lineTo(chart.x + chart.width, chart.y + chart.height);
+    this.ctx.stroke();
+
+    this.ctx.font = '10px Inter, sans-serif';
+    this.ctx.textAlign = 'right';
+    this.ctx.fillText(`${maxError}%`, chart.x - 4, chart.y + 4);
+    this.ctx.fillText('0', chart.x - 4, chart.y + chart.height + 3);
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText('throat Mach 1', chart.x + chart.width - 20, chart.y + chart.height + 12);
+
+    // Error curve
+    this.ctx.strokeStyle = '#E65100';
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.moveTo(toX(0), toY(0));
+    points.forEach(point => this.ctx.lineTo(toX(point.mach), toY(point.error)));
+    this.ctx.stroke();
+
+    // Current throat Mach number
+    const mach = this.flow.throat.mach;
+    const error = -this.incompressibleErrorAt(mach) * 100;
+
+    this.ctx.fillStyle = '#E65100';
+    this.ctx.beginPath();
+    this.ctx.arc(toX(mach), toY(error), 4, 0, Math.PI * 2);
+    this.ctx.fill();
+
+    this.ctx.fillStyle = '#212121';
+    this.ctx.font = 'bold 11px Inter, sans-serif';
+    this.ctx.textAlign = mach > 0.6 ? 'right' : 'left';
+    this.ctx.fillText(`${error.toFixed(1)}%`, toX(mach) + (mach > 0.6 ? -8 : 8), toY(error) - 4);
   }
 
   /**
-   * Animation loop
+   * Draw ambient air conditions used in the calculations
    */
-  animate() {
-    if (!this.isRunning) return;
+  drawAtmosphereInfo() {
+    const { altitude, temperatureCelsius, pressure, density } = this.atmosphere;
 
-    const currentTime = performance.now();
-    const deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
-    this.lastTime = currentTime;
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
 
-    this.update(deltaTime);
-    this.draw();
+    const x = 10;
+    const y = 18;
+    const lineHeight = 14;
+
+    this.ctx.fillText(`Altitude: ${Math.round(altitude)} m   T: ${temperatureCelsius.toFixed(1)} °C`, x, y);
+    this.ctx.fillText(`p: ${(pressure / 1000).toFixed(1)} kPa   ρ: ${density.toFixed(3)} kg/m³`, x, y + lineHeight);
+  }
+
+  /**
+   * Where the tube is narrowest, as a fraction of its length
+   * Kept clear of the entrance and exit readouts so the labels don't overlap
+   */
+  getThroatPosition() {
+    return Math.max(0.3, Math.min(0.7, this.flow.throatPosition));
+  }
+
+  /**
+   * Listen for drags on the wall control points and the instruments
+   */
+  setupShapeEditor() {
+    this.editorListeners = {
+      pointerdown: event => this.handlePointerDown(event),
+      pointermove: event => this.handlePointerMove(event),
+      pointerup: event => this.handlePointerUp(event),
+      pointercancel: event => this.handlePointerUp(event)
+    };
+
+    Object.keys(this.editorListeners).forEach(type => {
+      this.canvas.addEventListener(type, this.editorListeners[type]);
+    });
+
+    this.updatePointerMode();
+  }
+
+  /**
+   * While editing, touch drags move control points instead of scrolling the page;
+   * with instruments shown, sideways touch drags move them
+   */
+  updatePointerMode() {
+    const instruments = this.pressureGauge !== 'bars' || this.pitotProbe;
+
+    this.canvas.style.touchAction = this.editing ? 'none' : (instruments ? 'pan-y' : '');
+    this.canvas.style.cursor = '';
+    this.dragTarget = null;
+    this.shapeError = null;
+  }
+
+  /**
+   * Pointer position in canvas pixels
+   */
+  eventToCanvas(event) {
+    const rect = this.canvas.getBoundingClientRect();
+
+    return {
+      x: ((event.clientX - rect.left) * this.pixelWidth) / rect.width,
+      y: ((event.clientY - rect.top) * this.pixelHeight) / rect.height
+    };
+  }
+
+  /**
+   * Pointer position along the tube: x from 0 to 1, h the distance from the centerline
+   * (either wall moves the point, the tube being symmetric)
+   */
+  eventToTube(event) {
+    const { x, y } = this.eventToCanvas(event);
+
+    return {
+      x: x / this.pixelWidth,
+      h: Math.abs(y / this.pixelHeight - 0.5)
+    };
+  }
+
+  /**
+   * What's under the pointer: { type: 'wall' | 'port' | 'pitot', index }, or null
+   * Wall control points only while editing, the instruments whenever they're shown
+   */
+  findTarget(event) {
+    if (this.editing) {
+      const handle = this.findHandle(this.eventToTube(event));
+      if (handle !== null) return { type: 'wall', index: handle };
+    }
+
+    const pointer = this.eventToCanvas(event);
+    const isNear = (x, y) => Math.hypot(x - pointer.x, y - pointer.y) < 1.5 * this.handleRadius;
+
+    if (this.pitotProbe) {
+      const nose = this.getPitotNose();
+      if (isNear(nose.x, nose.y)) return { type: 'pitot', index: 0 };
+    }
+
+    if (this.pressureGauge !== 'bars') {
+      const index = this.ports.findIndex(port => {
+        const x = port * this.pixelWidth;
+        return isNear(x, this.getTubeHeightAt(x).bottom);
+      });
+      if (index !== -1) return { type: 'port', index };
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether this control point or instrument is being dragged
+   */
+  isDragging(type, index) {
+    return this.dragTarget !== null && this.dragTarget.type === type && this.dragTarget.index === index;
+  }
+
+  /**
+   * Index of the control point under a tube position, or null
+   */
+  findHandle(point) {
+    let nearest = null;
+    let nearestDistance = 1.5 * this.handleRadius;
+
+    this.wallPoints.forEach((handle, index) => {
+      const distance = Math.hypot(
+        (handle.x - point.x) * this.pixelWidth,
+        (handle.h - point.h) * this.pixelHeight
+      );
+
+      if (distance < nearestDistance) {
+        nearest = index;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Start dragging a control point or an instrument
+   */
+  handlePointerDown(event) {
+    const target = this.findTarget(event);
+    if (target === null) return;
+
+    this.dragTarget = target;
+    this.canvas.style.cursor = 'grabbing';
+    this.canvas.setPointerCapture(event.pointerId);
+    event.preventDefault();
+    this.redraw();
+  }
+
+  /**
+   * Drag the active control point or instrument, or show a grab cursor over one
+   */
+  handlePointerMove(event) {
+    if (this.dragTarget === null) {
+      this.canvas.style.cursor = this.findTarget(event) !== null ? 'grab' : '';
+      return;
+    }
+
+    if (this.dragTarget.type === 'wall') {
+      this.moveHandle(this.dragTarget.index, this.eventToTube(event));
+    } else {
+      this.moveInstrument(this.dragTarget, this.eventToTube(event).x);
+    }
+  }
+
+  /**
+   * Finish a drag
+   */
+  handlePointerUp(event) {
+    if (this.dragTarget === null) return;
+
+    this.dragTarget = null;
+    this.shapeError = null;
+    this.canvas.style.cursor = '';
+
+    if (this.canvas.hasPointerCapture(event.pointerId)) {
+      this.canvas.releasePointerCapture(event.pointerId);
+    }
+
+    this.redraw();
+  }
+
+  /**
+   * Move one control point, refusing positions that make an invalid tube
+   * The entrance and exit points only move up and down; the rest stay between their neighbours
+   */
+  moveHandle(index, point) {
+    const points = this.wallPoints;
+    const round = value => Math.round(value * 1000) / 1000; // The precision of a shape code
+    const last = points.length - 1;
+    const gap = VenturiGeometry.MIN_POINT_GAP;
+
+    let x = points[index].x;
+    if (index > 0 && index < last) {
+      x = round(Math.max(points[index - 1].x + gap, Math.min(points[index + 1].x - gap, point.x)));
+    }
+
+    const moved = [...points];
+    moved[index] = {
+      x,
+      h: round(Math.max(VenturiGeometry.MIN_HALF_HEIGHT, Math.min(VenturiGeometry.MAX_HALF_HEIGHT, point.h)))
+    };
+
+    this.shapeError = VenturiGeometry.validate(moved);
+    if (!this.shapeError) {
+      this.setWallPoints(moved);
+
+      if (this.onShapeChange) {
+        this.onShapeChange(VenturiGeometry.encode(moved));
+      }
+    }
+
+    this.redraw();
+  }
+
+  /**
+   * Slide a manometer port or the Pitot probe to a position along the tube
+   */
+  moveInstrument(target, position) {
+    const { min, max } = this.instrumentRange;
+    const moved = Math.round(Math.max(min, Math.min(max, position)) * 1000) / 1000;
+
+    if (target.type === 'pitot') {
+      this.pitotPosition = moved;
+      if (this.onPitotMove) this.onPitotMove(moved);
+    } else {
+      this.ports[target.index] = moved;
+      if (this.onPortsChange) this.onPortsChange(this.encodePorts());
+    }
+
+    this.redraw();
+  }
+
+  /**
+   * Manometer port positions to compact text, for the app state and URL
+   * Thousandths of the tube length, e.g. '150_500_850'
+   */
+  encodePorts(ports = this.ports) {
+    return ports.map(port => Math.round(port * 1000)).join('_');
+  }
+
+  /**
+   * Read a port code, keeping the ports where they can be dragged
+   * Returns the positions, or null if malformed
+   */
+  parsePorts(code) {
+    if (typeof code !== 'string' || !/^\d+(_\d+)*$/.test(code)) return null;
+
+    const { min, max } = this.instrumentRange;
+    const ports = code.split('_').map(value => Math.max(min, Math.min(max, Number(value) / 1000)));
+
+    return ports.length <= this.maxPorts ? ports : null;
+  }
+
+  /**
+   * Use new wall control points and recompute the flow through them
+   */
+  setWallPoints(points) {
+    this.wallPoints = points;
+    this.wall = VenturiGeometry.spline(points);
+    this.updateFlow();
+  }
+
+  /**
+   * Draw the control points on both walls
+   */
+  drawShapeEditor() {
+    if (!this.editing) return;
+
+    const { pixelWidth, pixelHeight } = this;
+
+    this.wallPoints.forEach((point, index) => {
+      const x = Math.max(this.handleRadius, Math.min(pixelWidth - this.handleRadius, point.x * pixelWidth));
+      const offset = point.h * pixelHeight;
+
+      [pixelHeight / 2 - offset, pixelHeight / 2 + offset].forEach(y => {
+        this.ctx.fillStyle = this.isDragging('wall', index) ? '#FFB300' : 'white';
+        this.ctx.strokeStyle = '#37474F';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, this.handleRadius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+      });
+    });
+  }
+
+  /**
+   * Editing instructions, or why the last drag was refused
+   */
+  drawShapeEditorHint() {
+    if (!this.editing) return;
 
-    this.animationFrame = requestAnimationFrame(() => this.animate());
+    this.ctx.font = '12px Inter, sans-serif';
+    this.ctx.textAlign = 'center';
+
+    if (this.shapeError) {
+      this.ctx.fillStyle = '#C62828';
+      this.ctx.fillText(this.shapeError, this.pixelWidth / 2, this.pixelHeight - 6);
+    } else {
+      this.ctx.fillStyle = '#546E7A';
+      this.ctx.fillText('Drag the white points to reshape the tube', this.pixelWidth / 2, this.pixelHeight - 6);
+    }
+  }
+
+  /**
+   * Set the tube shape from a shape code (see VenturiGeometry.encode)
+   */
+  setShape(code) {
+    const points = VenturiGeometry.decode(code);
+    if (!points || VenturiGeometry.encode(points) === VenturiGeometry.encode(this.wallPoints)) return;
+
+    this.setWallPoints(points);
+    this.redraw();
+  }
+
+  /**
+   * Turn the shape editor on or off
+   */
+  setEditing(editing) {
+    this.editing = editing;
+    this.updatePointerMode();
+    this.redraw();
+  }
+
+  /**
+   * Show the pressures as bars, or on water or mercury manometers
+   */
+  setPressureGauge(pressureGauge) {
+    this.pressureGauge = pressureGauge;
+    this.updatePointerMode();
+    this.redraw();
+  }
+
+  /**
+   * Set the manometer port positions from a port code (see encodePorts)
+   */
+  setPorts(code) {
+    const ports = this.parsePorts(code);
+    if (!ports || this.encodePorts(ports) === this.encodePorts()) return;
+
+    this.ports = ports;
+    this.redraw();
+  }
+
+  /**
+   * Show or hide the Pitot-static probe, and place it along the tube
+   */
+  setPitot(pitotProbe, pitotPosition) {
+    // Dragging the probe only moves it; resetting the pointer mode would end the drag
+    if (pitotProbe !== this.pitotProbe) {
+      this.pitotProbe = pitotProbe;
+      this.updatePointerMode();
+    }
+
+    this.pitotPosition = pitotPosition;
+    this.redraw();
+  }
+
+  /**
+   * Set base velocity (called from slider)
+   */
+  setVelocity(velocity) {
+    this.baseVelocity = velocity;
+    this.updateFlow();
+    // Redraw immediately to show changes
+    this.redraw();
+  }
+
+  /**
+   * Set ambient conditions from the standard atmosphere
+   */
+  setAtmosphere(altitude, isaDeviation) {
+    this.atmosphere = Atmosphere.conditionsAt(altitude, isaDeviation);
+    this.updateFlow();
+    this.redraw();
+  }
+
+  /**
+   * Switch between incompressible and compressible (isentropic) flow
+   */
+  setFlowModel(flowModel) {
+    this.flowModel = flowModel;
+    this.updateFlow();
+    this.redraw();
+  }
+
+  /**
+   * Color the particles by speed or by pressure
+   */
+  setParticleColor(particleColor) {
+    this.particleColor = particleColor;
+    this.redraw();
+  }
+
+  /**
+   * Switch between ideal flow and flow with viscous (friction and diffuser) losses
+   */
+  setLosses(losses) {
+    this.losses = losses;
+    this.updateFlow();
+    this.redraw();
   }
 
   /**
    * Clean up resources
    */
   destroy() {
-    this.stop();
+    super.destroy();
     this.particles = [];
+
+    if (this.editorListeners) {
+      Object.keys(this.editorListeners).forEach(type => {
+        this.canvas.removeEventListener(type, this.editorListeners[type]);
+      });
+    }
   }
 }
 
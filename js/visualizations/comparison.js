@@ -0,0 +1,358 @@
+/**
+ * Airfoil Comparison
+ * Two or three airfoils at the same angle of attack, airspeed and wing settings:
+ * overlaid profiles, lift curves on one chart and a coefficient box for each
+ */
+
+class AirfoilComparisonVisualization extends Visualization {
+  constructor(canvasId, options = {}) {
+    super(canvasId, options);
+    if (!this.canvas) return;
+
+    // The Wing Design airfoil; the others are variants of it (see AirfoilVisualization.createVariant)
+    this.airfoil = options.airfoil;
+    this.comparisonTypes = options.comparisonTypes || []; // Airfoil types to compare with the main one
+    this.sections = []; // Main airfoil first, then its variants
+
+    // One color per section, in order
+    this.colors = ['#1565C0', '#E65100', '#2E7D32'];
+
+    // Lift curve range (matches the angle slider)
+    this.alphaMin = -10;
+    this.alphaMax = 25;
+
+    this.init();
+  }
+
+  init() {
+    this.buildSections();
+    this.draw();
+  }
+
+  /**
+   * Create a variant of the main airfoil for each compared type
+   * Variants already shown are kept, with their solution and stall state
+   */
+  buildSections() {
+    const types = this.comparisonTypes.filter(type => type && type !== 'none');
+    const previous = this.sections.slice(1);
+
+    this.sections = [this.airfoil, ...types.map(type => {
+      const index = previous.findIndex(section => section.airfoilType === type);
+      return index !== -1 ? previous.splice(index, 1)[0] : this.airfoil.createVariant(type);
+    })];
+  }
+
+  /**
+   * Choose the airfoil types to compare with ('none' entries are skipped)
+   */
+  setComparisons(types) {
+    this.comparisonTypes = types;
+    this.buildSections();
+    this.redraw();
+  }
+
+  /**
+   * Is there anything to compare?
+   */
+  hasComparisons() {
+    return this.sections.length > 1;
+  }
+
+  /**
+   * Re-solve the compared sections of these types after the shape they follow changes
+   * ('naca' the NACA designation, 'custom' the custom shape); the others are left alone
+   */
+  refreshShapes(types) {
+    this.sections.slice(1)
+      .filter(section => types.includes(section.airfoilType))
+      .forEach(section => section.updateGeometry());
+    this.redraw();
+  }
+
+  /**
+   * Update the compared sections after the flight conditions, planform or flaps change
+   */
+  refresh() {
+    this.sections.slice(1).forEach(section => section.updateLiftModel());
+    this.redraw();
+  }
+
+  /**
+   * Follow the angle of attack (the variants read it from the main airfoil)
+   */
+  setAngleOfAttack() {
+    this.sections.slice(1).forEach(section => section.updateStallState());
+    this.redraw();
+  }
+
+  /**
+   * Draw visualization
+   */
+  draw() {
+    const { pixelWidth, pixelHeight } = this;
+
+    // Clear canvas
+    this.ctx.fillStyle = '#FAFAFA';
+    this.ctx.fillRect(0, 0, pixelWidth, pixelHeight);
+
+    const chartHeight = pixelHeight * 0.62;
+
+    this.drawProfiles({ x: 0, y: 0, width: pixelWidth / 2, height: chartHeight });
+    this.drawLiftCurves({ x: pixelWidth / 2, y: 0, width: pixelWidth / 2, height: chartHeight });
+    this.drawCoefficientBoxes({ x: 0, y: chartHeight, width: pixelWidth, height: pixelHeight - chartHeight });
+  }
+
+  /**
+   * Outlines of every section, overlaid at the current angle of attack
+   */
+  drawProfiles(area) {
+    const alpha = this.airfoil.angleOfAttack;
+    const chord = area.width * 0.7;
+
+    // Title
+    this.ctx.fillStyle = '#212121';
+    this.ctx.font = 'bold 13px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText(`Profiles at α = ${alpha}°`, area.x + 12, area.y + 20);
+
+    // Relative wind
+    const arrowY = area.y + area.height - 20;
+    this.ctx.strokeStyle = '#90A4AE';
+    this.ctx.fillStyle = '#90A4AE';
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.moveTo(area.x + 20, arrowY);
+    this.ctx.lineTo(area.x + 70, arrowY);
+    this.ctx.stroke();
+    this.ctx.beginPath();
+    this.ctx.moveTo(area.x + 76, arrowY);
+    this.ctx.lineTo(area.x + 68, arrowY - 5);
+    this.ctx.lineTo(area.x + 68, arrowY + 5);
+    this.ctx.closePath();
+    this.ctx.fill();
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.fillText('Relative wind', area.x + 84, arrowY + 4);
+
+    this.ctx.save();
+    this.ctx.translate(area.x + area.width / 2, area.y + area.height / 2 + 5);
+    this.ctx.rotate((alpha * Math.PI) / 180);
+
+    this.sections.forEach((section, i) => {
+      const { upper, lower } = section.geometry;
+      const outline = [...upper, ...lower.slice().reverse()];
+
+      this.ctx.beginPath();
+      outline.forEach((point, j) => {
+        const x = (point.x - 0.5) * chord;
+        const y = -point.y * chord;
+        if (j === 0) {
+          this.ctx.moveTo(x, y);
+        } else {
+          this.ctx.lineTo(x, y);
+        }
+      });
+      this.ctx.closePath();
+
+      this.ctx.globalAlpha = 0.12;
+      this.ctx.fillStyle = this.colors[i];
+      this.ctx.fill();
+      this.ctx.globalAlpha = 1;
+      this.ctx.strokeStyle = this.colors[i];
+      this.ctx.lineWidth = 2;
+      this.ctx.stroke();
+    });
+
+    this.ctx.restore();
+
+    // Legend
+    this.ctx.font = '12px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.sections.forEach((section, i) => {
+      const y = area.y + 40 + i * 18;
+
+      this.ctx.strokeStyle = this.colors[i];
+      this.ctx.lineWidth = 3;
+      this.ctx.beginPath();
+      this.ctx.moveTo(area.x + 14, y - 4);
+      this.ctx.lineTo(area.x + 34, y - 4);
+      this.ctx.stroke();
+
+      this.ctx.fillStyle = '#424242';
+      this.ctx.fillText(section.geometry.name, area.x + 40, y);
+    });
+  }
+
+  /**
+   * CL vs α for every section, with each one's current point and stall angle
+   */
+  drawLiftCurves(area) {
+    const curves = this.sections.map(section => {
+      const points = [];
+      for (let alpha = this.alphaMin; alpha <= this.alphaMax; alpha += 0.5) {
+        points.push({ alpha, cl: section.calculateLiftCoefficient(alpha, false) });
+      }
+      return points;
+    });
+
+    // Round the CL range out to half units
+    const lifts = curves.flat().map(point => point.cl);
+    const clMin = Math.min(-0.5, Math.floor(Math.min(...lifts) * 2) / 2);
+    const clMax = Math.max(1, Math.ceil(Math.max(...lifts) * 2) / 2);
+
+    const plot = { x: area.x + 45, y: area.y + 34, width: area.width - 65, height: area.height - 70 };
+    const toX = alpha => plot.x + ((alpha - this.alphaMin) / (this.alphaMax - this.alphaMin)) * plot.width;
+    const toY = cl => plot.y + ((clMax - cl) / (clMax - clMin)) * plot.height;
+
+    // Title
+    this.ctx.fillStyle = '#212121';
+    this.ctx.font = 'bold 13px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText('Lift Curves', area.x + 12, area.y + 20);
+
+    // Grid every 5° and every 0.5 in CL
+    this.ctx.strokeStyle = '#EEEEEE';
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    for (let alpha = this.alphaMin; alpha <= this.alphaMax; alpha += 5) {
+      this.ctx.moveTo(toX(alpha), plot.y);
+      this.ctx.lineTo(toX(alpha), plot.y + plot.height);
+    }
+    for (let cl = clMin; cl <= clMax + 1e-9; cl += 0.5) {
+      this.ctx.moveTo(plot.x, toY(cl));
+      this.ctx.lineTo(plot.x + plot.width, toY(cl));
+    }
+    this.ctx.stroke();
+
+    // Axes through α = 0 and CL = 0
+    this.ctx.strokeStyle = '#BDBDBD';
+    this.ctx.beginPath();
+    this.ctx.moveTo(plot.x, toY(0));
+    this.ctx.lineTo(plot.x + plot.width, toY(0));
+    this.ctx.moveTo(toX(0), plot.y);
+    this.ctx.lineTo(toX(0), plot.y + plot.height);
+    this.ctx.stroke();
+
+    // Tick labels
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = '10px Inter, sans-serif';
+    this.ctx.textAlign = 'center';
+    for (let alpha = this.alphaMin; alpha <= this.alphaMax; alpha += 5) {
+      this.ctx.fillText(`${alpha}°`, toX(alpha), plot.y + plot.height + 14);
+    }
+    this.ctx.fillText('α', plot.x + plot.width / 2, plot.y + plot.height + 28);
+    this.ctx.textAlign = 'right';
+    for (let cl = clMin; cl <= clMax + 1e-9; cl += 0.5) {
+      this.ctx.fillText(cl.toFixed(1), plot.x - 6, toY(cl) + 3);
+    }
+    this.ctx.fillText('CL', plot.x - 6, plot.y - 10);
+
+    this.sections.forEach((section, i) => {
+      const color = this.colors[i];
+
+      // Stall angle
+      const { stallAngle } = section.getLiftLimits();
+      if (stallAngle <= this.alphaMax) {
+        this.ctx.strokeStyle = color;
+        this.ctx.globalAlpha = 0.5;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([3, 3]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(toX(stallAngle), plot.y);
+        this.ctx.lineTo(toX(stallAngle), plot.y + plot.height);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        this.ctx.globalAlpha = 1;
+      }
+
+      // Curve
+      this.ctx.strokeStyle = color;
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+      curves[i].forEach((point, j) => {
+        if (j === 0) {
+          this.ctx.moveTo(toX(point.alpha), toY(point.cl));
+        } else {
+          this.ctx.lineTo(toX(point.alpha), toY(point.cl));
+        }
+      });
+      this.ctx.stroke();
+
+      // Current angle of attack (on whichever stall branch the section is on)
+      this.ctx.fillStyle = color;
+      this.ctx.strokeStyle = 'white';
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+      this.ctx.arc(toX(section.angleOfAttack), toY(section.calculateLiftCoefficient()), 5, 0, Math.PI * 2);
+      this.ctx.fill();
+      this.ctx.stroke();
+    });
+  }
+
+  /**
+   * A coefficient box per section, side by side
+   */
+  drawCoefficientBoxes(area) {
+    const gap = 12;
+    const boxWidth = (area.width - gap * (this.sections.length + 1)) / this.sections.length;
+    const boxHeight = area.height - gap;
+
+    this.sections.forEach((section, i) => {
+      const x = area.x + gap + i * (boxWidth + gap);
+      const y = area.y;
+      const color = this.colors[i];
+
+      const CL = section.calculateLiftCoefficient();
+      const CD = section.calculateDragCoefficient();
+      const { lift, drag } = section.calculateForces();
+      const { maxLiftCoefficient, stallAngle } = section.getLiftLimits();
+
+      // Box with a colored header stripe
+      this.ctx.fillStyle = 'white';
+      this.ctx.strokeStyle = '#E0E0E0';
+      this.ctx.lineWidth = 2;
+      this.ctx.fillRect(x, y, boxWidth, boxHeight);
+      this.ctx.strokeRect(x, y, boxWidth, boxHeight);
+      this.ctx.fillStyle = color;
+      this.ctx.fillRect(x, y, boxWidth, 5);
+
+      this.ctx.textAlign = 'left';
+      this.ctx.font = 'bold 13px Inter, sans-serif';
+      this.ctx.fillText(section.geometry.name, x + 10, y + 24);
+
+      if (section.isStalled()) {
+        this.ctx.fillStyle = '#F44336';
+        this.ctx.font = 'bold 11px Inter, sans-serif';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText('STALLED', x + boxWidth - 10, y + 24);
+        this.ctx.textAlign = 'left';
+      }
+
+      const rows = [
+        ['CL', CL.toFixed(3)],
+        ['CD', CD.toFixed(3)],
+        ['L/D', (CL / CD).toFixed(1)],
+        ['Lift', section.formatForce(lift).metric],
+        ['Drag', section.formatForce(drag).metric],
+        ['CLmax', `${maxLiftCoefficient.toFixed(2)} at ${stallAngle.toFixed(1)}°`]
+      ];
+
+      rows.forEach(([label, value], row) => {
+        const rowY = y + 44 + row * 16;
+        if (rowY > y + boxHeight - 6) return; // Short canvases show fewer rows
+
+        this.ctx.fillStyle = '#757575';
+        this.ctx.font = '12px Inter, sans-serif';
+        this.ctx.fillText(label, x + 10, rowY);
+        this.ctx.fillStyle = '#212121';
+        this.ctx.font = 'bold 12px Inter, sans-serif';
+        this.ctx.fillText(value, x + 60, rowY);
+      });
+    });
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AirfoilComparisonVisualization;
+}
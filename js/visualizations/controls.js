@@ -3,17 +3,10 @@
  * Demonstrates how ailerons, elevator, and rudder control aircraft rotation
  */
 
-class ControlSurfacesVisualization {
+class ControlSurfacesVisualization extends Visualization {
   constructor(canvasId, options = {}) {
-    this.canvas = document.getElementById(canvasId);
-    if (!this.canvas) {
-      console.error(`Canvas with id "${canvasId}" not found`);
-      return;
-    }
-
-    this.ctx = this.canvas.getContext('2d');
-    this.width = this.canvas.width;
-    this.height = this.canvas.height;
+    super(canvasId, options);
+    if (!this.canvas) return;
 
     // Control surface deflections (degrees)
     this.aileronDeflection = options.aileronDeflection || 0;
@@ -34,20 +27,27 @@ class ControlSurfacesVisualization {
 
   init() {
     this.resetPosition();
-    this.draw();
+    // Derive the rotation indicators from the initial deflections
+    this.setControls(this.aileronDeflection, this.elevatorDeflection, this.rudderDeflection);
   }
 
   /**
    * Reset airplane to center
    */
   resetPosition() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     this.centerX = pixelWidth / 2;
     this.centerY = pixelHeight / 2;
   }
 
+  /**
+   * Re-lay-out after a canvas resize
+   */
+  layout() {
+    this.resetPosition();
+  }
+
   /**
    * Set control surface deflections
    */
@@ -61,7 +61,7 @@ class ControlSurfacesVisualization {
     this.pitchAngle = -elevator * 0.5; // Elevator causes pitch
     this.yawAngle = rudder * 0.6; // Rudder causes yaw
 
-    this.draw();
+    this.redraw();
   }
 
   /**
@@ -74,15 +74,14 @@ class ControlSurfacesVisualization {
     this.rollAngle = 0;
     this.pitchAngle = 0;
     this.yawAngle = 0;
-    this.draw();
+    this.redraw();
   }
 
   /**
    * Draw visualization
    */
   draw() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     // Clear canvas
     this.ctx.fillStyle = '#FAFAFA';
@@ -340,8 +339,7 @@ class ControlSurfacesVisualization {
    * Draw rotation indicators
    */
   drawRotationIndicators() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     // Info box
     this.ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
@@ -404,7 +402,7 @@ class ControlSurfacesVisualization {
    * Draw axis labels
    */
   drawLabels() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
+    const { pixelWidth } = this;
 
     // Roll axis label
     this.ctx.fillStyle = '#4CAF50';
@@ -424,13 +422,6 @@ class ControlSurfacesVisualization {
     this.ctx.fillText('Yaw Axis (out of page) ⊙', 0, 0);
     this.ctx.restore();
   }
-
-  /**
-   * Destroy and clean up
-   */
-  destroy() {
-    // Cleanup if needed
-  }
 }
 
 // Export
@@ -3,23 +3,17 @@
  * Demonstrates lift, weight, thrust, and drag forces acting on an aircraft
  */
 
-class ForcesVisualization {
+class ForcesVisualization extends Visualization {
   constructor(canvasId, options = {}) {
-    this.canvas = document.getElementById(canvasId);
-    if (!this.canvas) {
-      console.error(`Canvas with id "${canvasId}" not found`);
-      return;
-    }
-
-    this.ctx = this.canvas.getContext('2d');
-    this.width = this.canvas.width;
-    this.height = this.canvas.height;
+    super(canvasId, options);
+    if (!this.canvas) return;
 
     // Force values (0-100 from sliders, we'll scale them)
-    this.lift = options.lift || 50;
-    this.weight = options.weight || 50;
-    this.thrust = options.thrust || 50;
-    this.drag = options.drag || 50;
+    // (0 is a valid force, so only fall back when an option is missing)
+    this.lift = options.lift !== undefined ? options.lift : 50;
+    this.weight = options.weight !== undefined ? options.weight : 50;
+    this.thrust = options.thrust !== undefined ? options.thrust : 50;
+    this.drag = options.drag !== undefined ? options.drag : 50;
 
     // Airplane position and state
     this.planeX = 0;
@@ -28,11 +22,6 @@ class ForcesVisualization {
     this.verticalVelocity = 0;
     this.horizontalVelocity = 0;
 
-    // Animation state
-    this.isRunning = false;
-    this.animationFrame = null;
-    this.lastTime = performance.now();
-
     // Visual settings
     this.maxArrowLength = 100; // pixels
 
@@ -48,8 +37,7 @@ class ForcesVisualization {
    * Reset airplane to center position
    */
   resetPlanePosition() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     this.planeX = pixelWidth / 2;
     this.planeY = pixelHeight / 2;
@@ -58,6 +46,15 @@ class ForcesVisualization {
     this.horizontalVelocity = 0;
   }
 
+  /**
+   * Re-lay-out after a canvas resize
+   * Keeps the airplane at the same relative position and velocity
+   */
+  layout(previousSize) {
+    this.planeX *= this.pixelWidth / previousSize.width;
+    this.planeY *= this.pixelHeight / previousSize.height;
+  }
+
   /**
    * Reset everything to level flight
    */
@@ -68,9 +65,7 @@ class ForcesVisualization {
     this.drag = 50;
     this.resetPlanePosition();
 
-    if (!this.isRunning) {
-      this.draw();
-    }
+    this.redraw();
   }
 
   /**
@@ -83,17 +78,14 @@ class ForcesVisualization {
     this.drag = drag;
 
     // Redraw immediately
-    if (!this.isRunning) {
-      this.draw();
-    }
+    this.redraw();
   }
 
   /**
    * Calculate net forces and update airplane state
    */
   update(deltaTime) {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     // Calculate net forces
     const netVertical = this.lift - this.weight;
@@ -127,8 +119,7 @@ class ForcesVisualization {
    * Draw the visualization
    */
   draw() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     // Clear canvas
     this.ctx.fillStyle = '#FAFAFA';
@@ -154,8 +145,7 @@ class ForcesVisualization {
    * Draw subtle grid
    */
   drawGrid() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     this.ctx.strokeStyle = '#E0E0E0';
     this.ctx.lineWidth = 1;
@@ -425,7 +415,7 @@ class ForcesVisualization {
    * Draw force values
    */
   drawForceValues() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
+    const { pixelWidth } = this;
 
     this.ctx.fillStyle = '#212121';
     this.ctx.font = '13px Inter, sans-serif';
@@ -452,7 +442,7 @@ class ForcesVisualization {
    * Draw flight state information
    */
   drawFlightState() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
+    const { pixelWidth } = this;
 
     const netVertical = this.lift - this.weight;
     const netHorizontal = this.thrust - this.drag;
@@ -503,50 +493,6 @@ class ForcesVisualization {
     this.ctx.fillStyle = '#2196F3';
     this.ctx.fillText(horizontalState, boxX + 10, boxY + 58);
   }
-
-  /**
-   * Start animation
-   */
-  start() {
-    if (!this.isRunning) {
-      this.isRunning = true;
-      this.lastTime = performance.now();
-      this.animate();
-    }
-  }
-
-  /**
-   * Stop animation
-   */
-  stop() {
-    this.isRunning = false;
-    if (this.animationFrame) {
-      cancelAnimationFrame(this.animationFrame);
-    }
-  }
-
-  /**
-   * Animation loop
-   */
-  animate() {
-    if (!this.isRunning) return;
-
-    const currentTime = performance.now();
-    const deltaTime = (currentTime - this.lastTime) / 1000;
-    this.lastTime = currentTime;
-
-    this.update(deltaTime);
-    this.draw();
-
-    this.animationFrame = requestAnimationFrame(() => this.animate());
-  }
-
-  /**
-   * Clean up resources
-   */
-  destroy() {
-    this.stop();
-  }
 }
 
 // Export for use in other modules
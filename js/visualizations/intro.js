@@ -3,23 +3,10 @@
  * A simple looping animation showing takeoff with four forces
  */
 
-class IntroVisualization {
+class IntroVisualization extends Visualization {
   constructor(canvasId, options = {}) {
-    this.canvas = document.getElementById(canvasId);
-    if (!this.canvas) {
-      console.error(`Canvas with id "${canvasId}" not found`);
-      return;
-    }
-
-    this.ctx = this.canvas.getContext('2d');
-    this.width = this.canvas.width;
-    this.height = this.canvas.height;
-
-    // Animation state
-    this.isRunning = false;
-    this.animationFrame = null;
-    this.lastTime = 0;
-    this.time = 0;
+    super(canvasId, options);
+    if (!this.canvas) return;
 
     // Airplane position and state
     this.airplane = {
@@ -47,8 +34,7 @@ class IntroVisualization {
    * Calculate responsive dimensions
    */
   resetDimensions() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     this.groundLevel = pixelHeight - 60;
     this.airplane.x = pixelWidth * 0.2;
@@ -56,42 +42,10 @@ class IntroVisualization {
   }
 
   /**
-   * Start animation
-   */
-  start() {
-    if (!this.isRunning) {
-      this.isRunning = true;
-      this.lastTime = performance.now();
-      this.time = 0;
-      this.animate();
-    }
-  }
-
-  /**
-   * Stop animation
-   */
-  stop() {
-    this.isRunning = false;
-    if (this.animationFrame) {
-      cancelAnimationFrame(this.animationFrame);
-      this.animationFrame = null;
-    }
-  }
-
-  /**
-   * Animation loop
+   * Re-lay-out after a canvas resize
    */
-  animate() {
-    if (!this.isRunning) return;
-
-    const currentTime = performance.now();
-    const deltaTime = (currentTime - this.lastTime) / 1000;
-    this.lastTime = currentTime;
-
-    this.update(deltaTime);
-    this.draw();
-
-    this.animationFrame = requestAnimationFrame(() => this.animate());
+  layout() {
+    this.resetDimensions();
   }
 
   /**
@@ -100,8 +54,7 @@ class IntroVisualization {
   update(deltaTime) {
     this.time += deltaTime;
 
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth } = this;
 
     // Loop duration: 6 seconds
     const loopDuration = 6;
@@ -146,8 +99,7 @@ class IntroVisualization {
    * Draw visualization
    */
   draw() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     // Clear canvas - sky gradient
     const skyGradient = this.ctx.createLinearGradient(0, 0, 0, pixelHeight);
@@ -181,7 +133,7 @@ class IntroVisualization {
    * Draw simple clouds
    */
   drawClouds() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
+    const { pixelWidth } = this;
 
     this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
 
@@ -210,8 +162,7 @@ class IntroVisualization {
    * Draw ground
    */
   drawGround() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     const groundGradient = this.ctx.createLinearGradient(0, this.groundLevel, 0, pixelHeight);
     groundGradient.addColorStop(0, '#8BC34A');
@@ -233,7 +184,7 @@ class IntroVisualization {
    * Draw runway
    */
   drawRunway() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
+    const { pixelWidth } = this;
     const runwayY = this.groundLevel - 10;
 
     // Runway surface
@@ -407,19 +358,12 @@ class IntroVisualization {
    * Draw title text
    */
   drawTitle() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
+    const { pixelWidth } = this;
 
     this.ctx.fillStyle = '#212121';
     this.ctx.font = 'bold 14px Inter, sans-serif';
     this.ctx.textAlign = 'center';
   }
-
-  /**
-   * Clean up
-   */
-  destroy() {
-    this.stop();
-  }
 }
 
 // Export
@@ -3,25 +3,13 @@
  * Demonstrates the different phases of flight with animations
  */
 
-class FlightPhasesVisualization {
+class FlightPhasesVisualization extends Visualization {
   constructor(canvasId, options = {}) {
-    this.canvas = document.getElementById(canvasId);
-    if (!this.canvas) {
-      console.error(`Canvas with id "${canvasId}" not found`);
-      return;
-    }
-
-    this.ctx = this.canvas.getContext('2d');
-    this.width = this.canvas.width;
-    this.height = this.canvas.height;
-
-    // Animation state
-    this.isPlaying = false;
-    this.animationFrame = null;
-    this.lastTime = 0;
+    super(canvasId, options);
+    if (!this.canvas) return;
 
     // Current phase
-    this.currentPhase = 'cruise';
+    this.currentPhase = options.phase || 'cruise';
     this.phaseProgress = 0; // 0 to 1 for animations within a phase
 
     // Airplane state
@@ -36,6 +24,10 @@ class FlightPhasesVisualization {
       targetVelocity: 0
     };
 
+    // Airfield conditions (elevation in metres, temperature vs. standard day)
+    this.fieldElevation = options.altitude || 0;
+    this.isaDeviation = options.isaDeviation || 0;
+
     // Ground level
     this.groundLevel = 0;
     this.runwayStart = 0;
@@ -44,16 +36,17 @@ class FlightPhasesVisualization {
     // Auto-play sequence
     this.autoPlayEnabled = false;
     this.phaseSequence = ['takeoff', 'climb', 'cruise', 'descent', 'landing'];
-    this.currentPhaseIndex = 2; // Start at cruise
-    this.phaseDuration = 3000; // 3 seconds per phase
+    this.currentPhaseIndex = Math.max(0, this.phaseSequence.indexOf(this.currentPhase));
+    this.phaseDuration = 3; // seconds per phase
     this.phaseStartTime = 0;
+    this.onPhaseChange = options.onPhaseChange || null; // Called with the new phase when auto-play moves on
 
     this.init();
   }
 
   init() {
     this.resetDimensions();
-    this.setPhase('cruise');
+    this.setPhase(this.currentPhase);
     this.draw();
   }
 
@@ -61,27 +54,50 @@ class FlightPhasesVisualization {
    * Calculate responsive dimensions
    */
   resetDimensions() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     this.groundLevel = pixelHeight - 80;
     this.runwayStart = 50;
     this.runwayEnd = pixelWidth - 50;
   }
 
+  /**
+   * Re-lay-out after a canvas resize
+   * Keeps the current phase and progress, only moving the targets
+   */
+  layout(previousSize) {
+    this.resetDimensions();
+    this.airplane.x *= this.pixelWidth / previousSize.width;
+    this.airplane.y *= this.pixelHeight / previousSize.height;
+    this.updatePhaseTargets();
+  }
+
   /**
    * Set current phase
    */
   setPhase(phase) {
     this.currentPhase = phase;
     this.phaseProgress = 0;
-    this.phaseStartTime = performance.now();
+    this.phaseStartTime = this.time;
+
+    this.updatePhaseTargets();
+
+    // Immediately set position if this is first initialization
+    if (this.airplane.x === 0 && this.airplane.y === 0) {
+      this.airplane.x = this.airplane.targetX;
+      this.airplane.y = this.airplane.targetY;
+      this.airplane.rotation = this.airplane.targetRotation;
+      this.airplane.velocity = this.airplane.targetVelocity;
+    }
+  }
 
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+  /**
+   * Set airplane target position and rotation for the current phase
+   */
+  updatePhaseTargets() {
+    const { pixelWidth, pixelHeight } = this;
 
-    // Set airplane position and rotation for each phase
-    switch (phase) {
+    switch (this.currentPhase) {
       case 'takeoff':
         this.airplane.targetX = pixelWidth * 0.2;
         this.airplane.targetY = this.groundLevel - 20; // On runway
@@ -117,36 +133,32 @@ class FlightPhasesVisualization {
         this.airplane.targetVelocity = 50;
         break;
     }
+  }
 
-    // Immediately set position if this is first initialization
-    if (this.airplane.x === 0 && this.airplane.y === 0) {
-      this.airplane.x = this.airplane.targetX;
-      this.airplane.y = this.airplane.targetY;
-      this.airplane.rotation = this.airplane.targetRotation;
-      this.airplane.velocity = this.airplane.targetVelocity;
-    }
+  /**
+   * Set airfield elevation (m) and ISA temperature deviation (°C)
+   */
+  setAtmosphere(altitude, isaDeviation) {
+    this.fieldElevation = altitude;
+    this.isaDeviation = isaDeviation;
+    this.redraw();
   }
 
   /**
-   * Start animation
+   * Height above the airfield in feet, from the airplane's screen position
    */
-  start() {
-    if (!this.isPlaying) {
-      this.isPlaying = true;
-      this.lastTime = performance.now();
-      this.animate();
-    }
+  getHeightAboveGround() {
+    const maxAltitude = 10000; // feet at the top of the canvas
+    const altitudeFraction = 1 - (this.airplane.y / this.groundLevel);
+    return Math.max(0, altitudeFraction * maxAltitude);
   }
 
   /**
-   * Stop animation
+   * Air properties at the airplane's current altitude
    */
-  stop() {
-    this.isPlaying = false;
-    if (this.animationFrame) {
-      cancelAnimationFrame(this.animationFrame);
-      this.animationFrame = null;
-    }
+  getAirConditions() {
+    const altitudeMeters = this.fieldElevation + this.getHeightAboveGround() * 0.3048;
+    return Atmosphere.conditionsAt(altitudeMeters, this.isaDeviation);
   }
 
   /**
@@ -155,43 +167,33 @@ class FlightPhasesVisualization {
   toggleAutoPlay() {
     this.autoPlayEnabled = !this.autoPlayEnabled;
     if (this.autoPlayEnabled) {
-      this.phaseStartTime = performance.now();
+      this.phaseStartTime = this.time;
       this.start();
     }
     return this.autoPlayEnabled;
   }
 
-  /**
-   * Animation loop
-   */
-  animate() {
-    if (!this.isPlaying) return;
-
-    const currentTime = performance.now();
-    const deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
-    this.lastTime = currentTime;
-
-    this.update(deltaTime);
-    this.draw();
-
-    this.animationFrame = requestAnimationFrame(() => this.animate());
-  }
-
   /**
    * Update animation state
    */
   update(deltaTime) {
-    // Auto-play: advance through phases
+    this.time += deltaTime;
+
+    // Auto-play: advance through phases (simulation time, so pausing doesn't skip phases)
     if (this.autoPlayEnabled) {
-      const elapsed = performance.now() - this.phaseStartTime;
+      const elapsed = this.time - this.phaseStartTime;
       if (elapsed >= this.phaseDuration) {
         // Move to next phase
         this.currentPhaseIndex = (this.currentPhaseIndex + 1) % this.phaseSequence.length;
         this.setPhase(this.phaseSequence[this.currentPhaseIndex]);
+
+        if (this.onPhaseChange) {
+          this.onPhaseChange(this.currentPhase);
+        }
       }
 
       // Update progress (0 to 1) within current phase
-      this.phaseProgress = Math.min((performance.now() - this.phaseStartTime) / this.phaseDuration, 1);
+      this.phaseProgress = Math.min((this.time - this.phaseStartTime) / this.phaseDuration, 1);
     }
 
     // Smooth interpolation to target position
@@ -206,8 +208,7 @@ class FlightPhasesVisualization {
    * Draw visualization
    */
   draw() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     // Clear canvas
     this.ctx.fillStyle = '#E3F2FD'; // Sky blue
@@ -238,8 +239,7 @@ class FlightPhasesVisualization {
    * Draw ground
    */
   drawGround() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     // Ground
     const groundGradient = this.ctx.createLinearGradient(0, this.groundLevel, 0, pixelHeight);
@@ -283,12 +283,11 @@ class FlightPhasesVisualization {
    * Draw altitude indicator
    */
   drawAltitudeIndicator() {
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelHeight } = this;
 
-    // Calculate altitude (0 at ground, max at top)
-    const maxAltitude = 10000; // feet
+    // Calculate altitude above the field (0 at ground, max at top)
     const altitudeFraction = 1 - (this.airplane.y / this.groundLevel);
-    const altitude = Math.max(0, Math.round(altitudeFraction * maxAltitude));
+    const altitude = Math.round(this.getHeightAboveGround());
 
     // Altitude bar
     const barX = 20;
@@ -408,7 +407,7 @@ class FlightPhasesVisualization {
    * Draw phase info box
    */
   drawPhaseInfo() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
+    const { pixelWidth } = this;
 
     // Info box
     this.ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
@@ -417,7 +416,7 @@ class FlightPhasesVisualization {
     const boxX = pixelWidth - 220;
     const boxY = 20;
     const boxWidth = 200;
-    const boxHeight = 100;
+    const boxHeight = 135;
     this.ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
     this.ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
 
@@ -428,18 +427,31 @@ class FlightPhasesVisualization {
     const phaseName = this.currentPhase.charAt(0).toUpperCase() + this.currentPhase.slice(1);
     this.ctx.fillText(`Phase: ${phaseName}`, boxX + 10, boxY + 25);
 
-    // Velocity
+    // Velocity: the phase speeds are indicated airspeed; thinner air
+    // (altitude, hot day) means a higher true airspeed for the same lift
+    const air = this.getAirConditions();
+    const trueAirspeed = this.airplane.velocity / Math.sqrt(air.densityRatio);
+
     this.ctx.font = '12px Inter, sans-serif';
     this.ctx.fillStyle = '#2196F3';
-    this.ctx.fillText(`Speed: ${Math.round(this.airplane.velocity)} m/s`, boxX + 10, boxY + 50);
+    this.ctx.fillText(`Speed: ${Math.round(this.airplane.velocity)} m/s IAS`, boxX + 10, boxY + 50);
+    this.ctx.fillText(`True: ${Math.round(trueAirspeed)} m/s TAS`, boxX + 10, boxY + 68);
 
     // Pitch angle
     this.ctx.fillStyle = '#4CAF50';
-    this.ctx.fillText(`Pitch: ${this.airplane.rotation.toFixed(1)}°`, boxX + 10, boxY + 70);
+    this.ctx.fillText(`Pitch: ${this.airplane.rotation.toFixed(1)}°`, boxX + 10, boxY + 86);
+
+    // Outside air
+    this.ctx.fillStyle = '#757575';
+    this.ctx.fillText(
+      `OAT: ${air.temperatureCelsius.toFixed(0)} °C   ρ: ${air.density.toFixed(3)} kg/m³`,
+      boxX + 10,
+      boxY + 104
+    );
 
     // Progress bar (for auto-play)
     if (this.autoPlayEnabled) {
-      const progressBarY = boxY + 85;
+      const progressBarY = boxY + 120;
       const progressBarWidth = boxWidth - 20;
 
       // Background
@@ -456,8 +468,7 @@ class FlightPhasesVisualization {
    * Draw force indicators for current phase
    */
   drawForceIndicators() {
-    const pixelWidth = this.width / (window.devicePixelRatio || 1);
-    const pixelHeight = this.height / (window.devicePixelRatio || 1);
+    const { pixelWidth, pixelHeight } = this;
 
     // Get force values for current phase
     const forces = this.getPhaseForces();
@@ -559,13 +570,6 @@ class FlightPhasesVisualization {
         };
     }
   }
-
-  /**
-   * Clean up
-   */
-  destroy() {
-    this.stop();
-  }
 }
 
 // Export
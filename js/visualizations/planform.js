@@ -0,0 +1,350 @@
+/**
+ * Finite Wing Planform Visualization
+ * Top-down view of the wing in the Wing Design module's finite wing mode:
+ * planform shape, spanwise lift distribution and the trailing wingtip vortices
+ */
+
+class WingPlanformVisualization extends Visualization {
+  constructor(canvasId, options = {}) {
+    super(canvasId, options);
+    if (!this.canvas) return;
+
+    // Source of the wing geometry and lifting-line solution
+    this.airfoil = options.airfoil;
+
+    // Tip vortex particles
+    this.vortexParticles = [];
+    this.emitInterval = 0.05; // seconds between particles at each tip
+    this.emitTimer = 0;
+    this.trailSpeed = 70; // pixels per second downstream
+    this.vortexRadius = 10; // pixels
+
+    this.init();
+  }
+
+  init() {
+    this.draw();
+  }
+
+  /**
+   * Re-lay-out after a canvas resize
+   * Particles are positioned from their age, so only the trail is restarted
+   */
+  layout() {
+    this.vortexParticles = [];
+  }
+
+  /**
+   * Redraw after the wing or flight conditions change
+   */
+  refresh() {
+    this.redraw();
+  }
+
+  /**
+   * Pixel layout for the current planform
+   * The wing is drawn to scale, nose up, with the root leading edge at (centerX, top)
+   */
+  getLayout() {
+    const { pixelWidth, pixelHeight } = this;
+    const { span, chord: rootChord, taperRatio, sweep } = this.airfoil;
+    const sweepOffset = (span / 2) * Math.tan((sweep * Math.PI) / 180);
+
+    // Fit half the canvas width to the span and leave room below for the vortex trails
+    const scale = Math.min((pixelWidth * 0.5) / span, (pixelHeight * 0.35) / (sweepOffset + rootChord));
+
+    return {
+      scale,
+      centerX: pixelWidth / 2,
+      top: 115,
+      halfSpan: (span / 2) * scale,
+      rootChord: rootChord * scale,
+      tipChord: rootChord * taperRatio * scale,
+
+      // Quarter-chord line is swept, so the tips sit this far behind the root quarter chord
+      tipOffset: sweepOffset * scale + (rootChord - rootChord * taperRatio) * scale * 0.25
+    };
+  }
+
+  /**
+   * Vortex spin rate in radians per second, proportional to the wing's circulation
+   */
+  getSpinRate() {
+    const CL = this.airfoil.calculateLiftCoefficient();
+    return Math.max(-12, Math.min(12, 8 * CL));
+  }
+
+  /**
+   * Update animation
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+
+    if (!this.airfoil.wing) {
+      this.vortexParticles = [];
+      return;
+    }
+
+    // Emit a particle at each tip
+    this.emitTimer += deltaTime;
+    while (this.emitTimer >= this.emitInterval) {
+      this.emitTimer -= this.emitInterval;
+      [-1, 1].forEach(side => {
+        this.vortexParticles.push({ side, age: 0, phase: 0 });
+      });
+    }
+
+    const spin = this.getSpinRate();
+    const { pixelHeight } = this;
+    const { top, tipOffset, tipChord } = this.getLayout();
+    const maxDistance = pixelHeight - (top + tipOffset + tipChord);
+
+    this.vortexParticles.forEach(particle => {
+      particle.age += deltaTime;
+      particle.phase += spin * deltaTime;
+    });
+
+    this.vortexParticles = this.vortexParticles.filter(particle => particle.age * this.trailSpeed < maxDistance);
+  }
+
+  /**
+   * Draw visualization
+   */
+  draw() {
+    const { pixelWidth, pixelHeight } = this;
+
+    // Clear canvas
+    this.ctx.fillStyle = '#FAFAFA';
+    this.ctx.fillRect(0, 0, pixelWidth, pixelHeight);
+
+    if (!this.airfoil || !this.airfoil.wing) {
+      this.ctx.fillStyle = '#757575';
+      this.ctx.font = '14px Inter, sans-serif';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText('Choose "Finite Wing" to see the planform', pixelWidth / 2, pixelHeight / 2);
+      return;
+    }
+
+    const layout = this.getLayout();
+
+    // Draw spanwise lift distribution above the wing
+    this.drawLiftDistribution(layout);
+
+    // Draw tip vortices behind the wing, then the wing over them
+    this.drawVortices(layout, false);
+    this.drawPlanform(layout);
+    this.drawVortices(layout, true);
+
+    // Draw flight direction
+    this.drawFlightDirection();
+
+    // Draw wing numbers
+    this.drawWingInfo();
+  }
+
+  /**
+   * Draw the wing outline and quarter-chord line
+   */
+  drawPlanform({ centerX, top, halfSpan, rootChord, tipChord, tipOffset }) {
+    const corners = [
+      { x: centerX, y: top },
+      { x: centerX + halfSpan, y: top + tipOffset },
+      { x: centerX + halfSpan, y: top + tipOffset + tipChord },
+      { x: centerX, y: top + rootChord },
+      { x: centerX - halfSpan, y: top + tipOffset + tipChord },
+      { x: centerX - halfSpan, y: top + tipOffset }
+    ];
+
+    this.ctx.fillStyle = '#90A4AE';
+    this.ctx.strokeStyle = '#37474F';
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    corners.forEach((corner, i) => {
+      if (i === 0) {
+        this.ctx.moveTo(corner.x, corner.y);
+      } else {
+        this.ctx.lineTo(corner.x, corner.y);
+      }
+    });
+    this.ctx.closePath();
+    this.ctx.fill();
+    this.ctx.stroke();
+
+    // Quarter-chord line (the sweep angle is measured here)
+    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([4, 4]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(centerX - halfSpan, top + tipOffset + tipChord * 0.25);
+    this.ctx.lineTo(centerX, top + rootChord * 0.25);
+    this.ctx.lineTo(centerX + halfSpan, top + tipOffset + tipChord * 0.25);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+  }
+
+  /**
+   * Draw the spanwise lift distribution with an elliptical one of equal total lift
+   */
+  drawLiftDistribution({ centerX, halfSpan }) {
+    const { distribution } = this.airfoil.wing;
+    const baseY = 95;
+    const height = 60;
+
+    // Elliptical distribution with the same area: Γ₀ = (4/π) ∫ Γ dη
+    let area = 0;
+    for (let i = 1; i < distribution.length; i++) {
+      const step = distribution[i].station - distribution[i - 1].station;
+      area += ((distribution[i].lift + distribution[i - 1].lift) / 2) * step;
+    }
+    const ellipticRoot = (4 / Math.PI) * area;
+    const peak = Math.max(1, ellipticRoot);
+
+    // Both halves of a curve, from the left tip to the right tip
+    const traceCurve = liftAt => {
+      this.ctx.beginPath();
+      [...distribution].reverse().forEach((point, i) => {
+        const x = centerX - point.station * halfSpan;
+        const y = baseY - (liftAt(point) / peak) * height;
+        if (i === 0) {
+          this.ctx.moveTo(x, y);
+        } else {
+          this.ctx.lineTo(x, y);
+        }
+      });
+      distribution.forEach(point => {
+        this.ctx.lineTo(centerX + point.station * halfSpan, baseY - (liftAt(point) / peak) * height);
+      });
+      this.ctx.stroke();
+    };
+
+    // Baseline
+    this.ctx.strokeStyle = '#BDBDBD';
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    this.ctx.moveTo(centerX - halfSpan, baseY);
+    this.ctx.lineTo(centerX + halfSpan, baseY);
+    this.ctx.stroke();
+
+    // Elliptical reference
+    this.ctx.strokeStyle = '#9E9E9E';
+    this.ctx.setLineDash([4, 4]);
+    traceCurve(point => ellipticRoot * Math.sqrt(Math.max(0, 1 - point.station * point.station)));
+    this.ctx.setLineDash([]);
+
+    // This wing
+    this.ctx.strokeStyle = '#4CAF50';
+    this.ctx.lineWidth = 2;
+    traceCurve(point => point.lift);
+
+    // Labels
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText('Spanwise lift', centerX + halfSpan + 8, baseY - height + 10);
+    this.ctx.fillStyle = '#4CAF50';
+    this.ctx.fillText('— this wing', centerX + halfSpan + 8, baseY - height + 26);
+    this.ctx.fillStyle = '#9E9E9E';
+    this.ctx.fillText('- - elliptical', centerX + halfSpan + 8, baseY - height + 42);
+  }
+
+  /**
+   * Draw tip vortex particles spiralling downstream from each wingtip
+   * Viewed from above, the spiral shows as a side-to-side wave; `front` picks the
+   * half of each turn that is above the wing (drawn over it)
+   */
+  drawVortices({ centerX, top, halfSpan, tipChord, tipOffset }, front) {
+    const startY = top + tipOffset + tipChord;
+
+    this.vortexParticles.forEach(particle => {
+      const depth = Math.sin(particle.phase);
+      if ((depth >= 0) !== front) return;
+
+      const distance = particle.age * this.trailSpeed;
+      const radius = this.vortexRadius * (1 + distance / 400);
+
+      // Vortex cores roll up slightly inboard of the tips
+      const coreX = centerX + particle.side * halfSpan * 0.95;
+      const x = coreX + particle.side * radius * Math.cos(particle.phase);
+      const y = startY + distance;
+      const fade = Math.max(0, 1 - distance / (this.pixelHeight - startY));
+
+      this.ctx.fillStyle = `rgba(33, 150, 243, ${(0.35 + 0.45 * (depth + 1) / 2) * fade})`;
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, 1.5 + depth + 1, 0, Math.PI * 2);
+      this.ctx.fill();
+    });
+  }
+
+  /**
+   * Draw the flight direction arrow
+   */
+  drawFlightDirection() {
+    const { pixelWidth, pixelHeight } = this;
+    const x = pixelWidth - 40;
+    const y = pixelHeight - 30;
+
+    this.ctx.strokeStyle = '#757575';
+    this.ctx.fillStyle = '#757575';
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.moveTo(x, y);
+    this.ctx.lineTo(x, y - 40);
+    this.ctx.stroke();
+    this.ctx.beginPath();
+    this.ctx.moveTo(x, y - 46);
+    this.ctx.lineTo(x - 5, y - 38);
+    this.ctx.lineTo(x + 5, y - 38);
+    this.ctx.closePath();
+    this.ctx.fill();
+
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.textAlign = 'right';
+    this.ctx.fillText('Flight', x - 10, y - 20);
+  }
+
+  /**
+   * Draw span, area, aspect ratio, lift slope and induced drag
+   */
+  drawWingInfo() {
+    const airfoil = this.airfoil;
+    const { area, aspectRatio, liftCurveSlope, spanEfficiency } = airfoil.wing;
+    const sectionSlope = airfoil.liftModel.liftCurveSlope * 180 / Math.PI;
+    const CL = airfoil.calculateLiftCoefficient();
+    const CDi = LiftingLine.inducedDragCoefficient(CL, aspectRatio, airfoil.oswald);
+
+    const lines = [
+      { text: `Span ${airfoil.span.toFixed(1)} m, area ${area.toFixed(1)} m²`, color: '#212121' },
+      { text: `Aspect ratio b²/S = ${aspectRatio.toFixed(1)}`, color: '#212121' },
+      { text: `CLα ${liftCurveSlope.toFixed(2)}/rad (2D ${sectionSlope.toFixed(2)})`, color: '#4CAF50' },
+      { text: `Span efficiency ${spanEfficiency.toFixed(2)} (e ${airfoil.oswald.toFixed(2)})`, color: '#757575' },
+      { text: `CDi = CL²/(πeAR) = ${CDi.toFixed(4)}`, color: '#FF9800' }
+    ];
+
+    const boxX = 10;
+    const boxY = 10;
+    const boxWidth = 190;
+    const boxHeight = 36 + lines.length * 17;
+
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+    this.ctx.strokeStyle = '#E0E0E0';
+    this.ctx.lineWidth = 2;
+    this.ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+    this.ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+
+    this.ctx.fillStyle = '#212121';
+    this.ctx.font = 'bold 14px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText('Finite Wing', boxX + 10, boxY + 22);
+
+    this.ctx.font = '11px Inter, sans-serif';
+    lines.forEach((line, i) => {
+      this.ctx.fillStyle = line.color;
+      this.ctx.fillText(line.text, boxX + 10, boxY + 42 + i * 17);
+    });
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WingPlanformVisualization;
+}
@@ -0,0 +1,416 @@
+/**
+ * Airfoil Polar Charts
+ * CL vs α, CD vs α, the drag polar and L/D vs α for the airfoil shown in the Wing Design module
+ */
+
+class PolarChartsVisualization extends Visualization {
+  constructor(canvasId, options = {}) {
+    super(canvasId, options);
+    if (!this.canvas) return;
+
+    // Source of the aerodynamic coefficients
+    this.airfoil = options.airfoil;
+    this.angleOfAttack = options.angleOfAttack !== undefined ? options.angleOfAttack : 5; // degrees
+
+    // Angle sweep (matches the angle slider)
+    this.alphaMin = -10;
+    this.alphaMax = 25;
+    this.alphaStep = 0.25;
+
+    // Sampled polar, see updatePolar()
+    this.polar = null;
+
+    this.init();
+  }
+
+  init() {
+    this.updatePolar();
+    this.draw();
+  }
+
+  /**
+   * Set the angle of attack marker
+   */
+  setAngleOfAttack(angle) {
+    this.angleOfAttack = angle;
+    this.redraw();
+  }
+
+  /**
+   * Resample after the airfoil or flow conditions change
+   */
+  refresh() {
+    this.updatePolar();
+    this.redraw();
+  }
+
+  /**
+   * Sample CL, CD and L/D across the angle range
+   */
+  updatePolar() {
+    const points = [];
+
+    for (let alpha = this.alphaMin; alpha <= this.alphaMax + 1e-9; alpha += this.alphaStep) {
+      points.push(this.getPoint(alpha));
+    }
+
+    // Best glide ratio among positive-lift points
+    const best = points.reduce((top, point) => (point.ld > top.ld ? point : top), points[0]);
+
+    const { stallAngle, negativeStallAngle, reattachAngle } = this.airfoil.getLiftLimits();
+
+    // Stalled branch of the hysteresis loop, between reattachment and stall
+    const hysteresis = [];
+    for (let alpha = reattachAngle; alpha <= Math.min(stallAngle, this.alphaMax); alpha += this.alphaStep) {
+      hysteresis.push(this.getPoint(alpha, true));
+    }
+
+    this.polar = { points, best, hysteresis, stallAngle, negativeStallAngle };
+  }
+
+  /**
+   * Coefficients at one angle of attack (on the attached branch unless stalledBranch)
+   */
+  getPoint(alpha, stalledBranch = false) {
+    const cl = this.airfoil.calculateLiftCoefficient(alpha, stalledBranch);
+    const cd = this.airfoil.calculateDragCoefficient(alpha, stalledBranch);
+
+    return {
+      alpha,
+      cl,
+      cd,
+      ld: cl / cd,
+      stalled: this.airfoil.isStalled(alpha, stalledBranch)
+    };
+  }
+
+  /**
+   * Coefficients at the current angle, on whichever branch the wing is on
+   */
+  getCurrentPoint() {
+    const alpha = this.angleOfAttack;
+    return this.getPoint(alpha, this.airfoil.isStalledBranch(alpha));
+  }
+
+  /**
+   * Round an axis range out to tidy tick values
+   */
+  getNiceScale(min, max, tickCount = 5) {
+    const span = max - min || 1;
+    const rawStep = span / tickCount;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(value => value >= rawStep);
+
+    return {
+      min: Math.floor(min / step) * step,
+      max: Math.ceil(max / step) * step,
+      step
+    };
+  }
+
+  /**
+   * Number of decimals needed to print ticks of a given step
+   */
+  getTickDecimals(step) {
+    return Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+  }
+
+  /**
+   * Draw visualization
+   */
+  draw() {
+    const { pixelWidth, pixelHeight } = this;
+
+    // Clear canvas
+    this.ctx.fillStyle = '#FAFAFA';
+    this.ctx.fillRect(0, 0, pixelWidth, pixelHeight);
+
+    if (!this.polar) return;
+
+    const chartWidth = pixelWidth / 2;
+    const chartHeight = pixelHeight / 2;
+    const areaAt = (column, row) => ({
+      x: column * chartWidth,
+      y: row * chartHeight,
+      width: chartWidth,
+      height: chartHeight
+    });
+
+    this.drawLiftChart(areaAt(0, 0));
+    this.drawDragChart(areaAt(1, 0));
+    this.drawDragPolar(areaAt(0, 1));
+    this.drawGlideChart(areaAt(1, 1));
+  }
+
+  /**
+   * CL vs α
+   */
+  drawLiftChart(area) {
+    const { points, hysteresis } = this.polar;
+    const values = points.map(point => point.cl);
+
+    const { toX, toY } = this.drawChart(area, {
+      title: 'Lift Curve',
+      xLabel: 'α (°)',
+      yLabel: 'CL',
+      color: '#4CAF50',
+      points: points.map(point => ({ x: point.alpha, y: point.cl })),
+      xScale: this.getNiceScale(this.alphaMin, this.alphaMax, 7),
+      yScale: this.getNiceScale(Math.min(0, ...values), Math.max(...values)),
+      shadeStall: true,
+      marker: { x: this.angleOfAttack, y: this.getCurrentPoint().cl }
+    });
+
+    // Hysteresis: coming back down from a stall, lift stays low until the flow reattaches
+    if (hysteresis.length > 1) {
+      this.ctx.strokeStyle = '#EF6C00';
+      this.ctx.lineWidth = 1.5;
+      this.ctx.setLineDash([4, 3]);
+      this.ctx.beginPath();
+      hysteresis.forEach((point, i) => {
+        if (i === 0) {
+          this.ctx.moveTo(toX(point.alpha), toY(point.cl));
+        } else {
+          this.ctx.lineTo(toX(point.alpha), toY(point.cl));
+        }
+      });
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+
+      // Redraw the marker on top when it sits on the stalled branch
+      if (this.airfoil.isStalledBranch(this.angleOfAttack)) {
+        const current = this.getCurrentPoint();
+        this.ctx.fillStyle = '#FF6B35';
+        this.ctx.strokeStyle = 'white';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(toX(current.alpha), toY(current.cl), 5, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+      }
+    }
+  }
+
+  /**
+   * CD vs α
+   */
+  drawDragChart(area) {
+    const { points } = this.polar;
+
+    this.drawChart(area, {
+      title: 'Drag Curve',
+      xLabel: 'α (°)',
+      yLabel: 'CD',
+      color: '#FF9800',
+      points: points.map(point => ({ x: point.alpha, y: point.cd })),
+      xScale: this.getNiceScale(this.alphaMin, this.alphaMax, 7),
+      yScale: this.getNiceScale(0, Math.max(...points.map(point => point.cd))),
+      shadeStall: true,
+      marker: { x: this.angleOfAttack, y: this.getCurrentPoint().cd }
+    });
+  }
+
+  /**
+   * CL vs CD, with the tangent from the origin that touches the best-L/D point
+   */
+  drawDragPolar(area) {
+    const { points, best } = this.polar;
+    const lifts = points.map(point => point.cl);
+    const current = this.getCurrentPoint();
+
+    const { toX, toY, xScale } = this.drawChart(area, {
+      title: 'Drag Polar',
+      xLabel: 'CD',
+      yLabel: 'CL',
+      color: '#2196F3',
+      points: points.map(point => ({ x: point.cd, y: point.cl, stalled: point.stalled })),
+      xScale: this.getNiceScale(0, Math.max(...points.map(point => point.cd)), 4),
+      yScale: this.getNiceScale(Math.min(0, ...lifts), Math.max(...lifts)),
+      marker: { x: current.cd, y: current.cl }
+    });
+
+    // Line from the origin through the best L/D point
+    if (best.ld > 0) {
+      const endX = Math.min(xScale.max, best.cd * 1.6);
+
+      this.ctx.strokeStyle = '#9E9E9E';
+      this.ctx.lineWidth = 1;
+      this.ctx.setLineDash([4, 3]);
+      this.ctx.beginPath();
+      this.ctx.moveTo(toX(0), toY(0));
+      this.ctx.lineTo(toX(endX), toY(endX * best.ld));
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+
+      this.drawBestPoint(toX(best.cd), toY(best.cl), `Best L/D ${best.ld.toFixed(0)}`);
+    }
+  }
+
+  /**
+   * L/D vs α
+   */
+  drawGlideChart(area) {
+    const { points, best } = this.polar;
+    const values = points.map(point => point.ld);
+    const current = this.getCurrentPoint();
+
+    const { toX, toY } = this.drawChart(area, {
+      title: 'Lift-to-Drag Ratio',
+      xLabel: 'α (°)',
+      yLabel: 'L/D',
+      color: '#9C27B0',
+      points: points.map(point => ({ x: point.alpha, y: point.ld })),
+      xScale: this.getNiceScale(this.alphaMin, this.alphaMax, 7),
+      yScale: this.getNiceScale(Math.min(0, ...values), Math.max(...values)),
+      shadeStall: true,
+      marker: { x: this.angleOfAttack, y: current.ld }
+    });
+
+    this.drawBestPoint(
+      toX(best.alpha),
+      toY(best.ld),
+      `Best L/D ${best.ld.toFixed(1)} at ${best.alpha.toFixed(1)}°`
+    );
+  }
+
+  /**
+   * Highlight the best-L/D point with a label
+   */
+  drawBestPoint(x, y, label) {
+    this.ctx.strokeStyle = '#212121';
+    this.ctx.lineWidth = 1.5;
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, 5, 0, Math.PI * 2);
+    this.ctx.stroke();
+
+    this.ctx.fillStyle = '#212121';
+    this.ctx.font = 'bold 11px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText(label, x + 8, y - 8);
+  }
+
+  /**
+   * Draw one chart: frame, grid, stall shading, curve and current-angle marker
+   * Returns the axis mappings so callers can add annotations
+   */
+  drawChart(area, chart) {
+    const { xScale, yScale } = chart;
+    const plot = {
+      x: area.x + 50,
+      y: area.y + 30,
+      width: area.width - 65,
+      height: area.height - 62
+    };
+
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+    const toX = value => plot.x + ((value - xScale.min) / (xScale.max - xScale.min)) * plot.width;
+    const toY = value => plot.y + ((yScale.max - clamp(value, yScale.min, yScale.max)) / (yScale.max - yScale.min)) * plot.height;
+
+    // Title
+    this.ctx.fillStyle = '#212121';
+    this.ctx.font = 'bold 13px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText(chart.title, area.x + 12, area.y + 18);
+
+    // Stall regions (charts plotted against α)
+    if (chart.shadeStall) {
+      const { stallAngle, negativeStallAngle } = this.polar;
+
+      this.ctx.fillStyle = 'rgba(244, 67, 54, 0.1)';
+      if (stallAngle < xScale.max) {
+        this.ctx.fillRect(toX(stallAngle), plot.y, toX(xScale.max) - toX(stallAngle), plot.height);
+      }
+      if (negativeStallAngle > xScale.min) {
+        this.ctx.fillRect(toX(xScale.min), plot.y, toX(negativeStallAngle) - toX(xScale.min), plot.height);
+      }
+
+      this.ctx.fillStyle = '#E57373';
+      this.ctx.font = '10px Inter, sans-serif';
+      this.ctx.textAlign = 'right';
+      this.ctx.fillText('Stall', toX(xScale.max) - 4, plot.y + 12);
+    }
+
+    // Grid and tick labels
+    this.ctx.strokeStyle = '#EEEEEE';
+    this.ctx.lineWidth = 1;
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = '10px Inter, sans-serif';
+
+    const xDecimals = this.getTickDecimals(xScale.step);
+    this.ctx.textAlign = 'center';
+    for (let value = xScale.min; value <= xScale.max + 1e-9; value += xScale.step) {
+      this.ctx.beginPath();
+      this.ctx.moveTo(toX(value), plot.y);
+      this.ctx.lineTo(toX(value), plot.y + plot.height);
+      this.ctx.stroke();
+      this.ctx.fillText(value.toFixed(xDecimals), toX(value), plot.y + plot.height + 12);
+    }
+
+    const yDecimals = this.getTickDecimals(yScale.step);
+    this.ctx.textAlign = 'right';
+    for (let value = yScale.min; value <= yScale.max + 1e-9; value += yScale.step) {
+      this.ctx.beginPath();
+      this.ctx.moveTo(plot.x, toY(value));
+      this.ctx.lineTo(plot.x + plot.width, toY(value));
+      this.ctx.stroke();
+      this.ctx.fillText(value.toFixed(yDecimals), plot.x - 5, toY(value) + 3);
+    }
+
+    // Zero lines
+    this.ctx.strokeStyle = '#BDBDBD';
+    this.ctx.beginPath();
+    if (yScale.min < 0 && yScale.max > 0) {
+      this.ctx.moveTo(plot.x, toY(0));
+      this.ctx.lineTo(plot.x + plot.width, toY(0));
+    }
+    if (xScale.min < 0 && xScale.max > 0) {
+      this.ctx.moveTo(toX(0), plot.y);
+      this.ctx.lineTo(toX(0), plot.y + plot.height);
+    }
+    this.ctx.stroke();
+
+    // Axis labels
+    this.ctx.fillStyle = '#424242';
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText(chart.xLabel, plot.x + plot.width / 2, plot.y + plot.height + 26);
+    this.ctx.save();
+    this.ctx.translate(area.x + 14, plot.y + plot.height / 2);
+    this.ctx.rotate(-Math.PI / 2);
+    this.ctx.fillText(chart.yLabel, 0, 0);
+    this.ctx.restore();
+
+    // Curve (stalled segments dashed in red where the x axis isn't α)
+    this.ctx.lineWidth = 2;
+    for (let i = 1; i < chart.points.length; i++) {
+      const a = chart.points[i - 1];
+      const b = chart.points[i];
+      const stalled = a.stalled && b.stalled;
+
+      this.ctx.strokeStyle = stalled ? '#E57373' : chart.color;
+      this.ctx.setLineDash(stalled ? [4, 3] : []);
+      this.ctx.beginPath();
+      this.ctx.moveTo(toX(a.x), toY(a.y));
+      this.ctx.lineTo(toX(b.x), toY(b.y));
+      this.ctx.stroke();
+    }
+    this.ctx.setLineDash([]);
+
+    // Current angle of attack
+    const { marker } = chart;
+    this.ctx.fillStyle = '#FF6B35';
+    this.ctx.strokeStyle = 'white';
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.arc(toX(marker.x), toY(marker.y), 5, 0, Math.PI * 2);
+    this.ctx.fill();
+    this.ctx.stroke();
+
+    return { toX, toY, xScale, yScale, plot };
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PolarChartsVisualization;
+}
@@ -0,0 +1,476 @@
+/**
+ * Venturi Pressure and Velocity Plot
+ * Static, dynamic and total pressure and the velocity along the whole Venturi tube shown in the
+ * Bernoulli module, with a probe line that can be dragged to read the values anywhere
+ */
+
+class VenturiPlotVisualization extends Visualization {
+  constructor(canvasId, options = {}) {
+    super(canvasId, options);
+    if (!this.canvas) return;
+
+    // Source of the flow along the tube
+    this.venturi = options.venturi;
+
+    // Probe position along the tube (0 = entrance, 1 = exit)
+    this.probePosition = options.probePosition !== undefined ? options.probePosition : 0.5;
+    this.draggingProbe = false;
+
+    // Samples per curve
+    this.sampleCount = 200;
+
+    // One color per quantity
+    this.colors = {
+      pressure: '#D32F2F',
+      dynamicPressure: '#FF9800',
+      totalPressure: '#6A1B9A',
+      velocity: '#2196F3'
+    };
+
+    this.init();
+  }
+
+  init() {
+    this.setupProbe();
+    this.draw();
+  }
+
+  /**
+   * Redraw after the tube, speed, air or flow model changes
+   */
+  refresh() {
+    this.redraw();
+  }
+
+  /**
+   * Chart areas for the current canvas size: the tube outline strip and the plot below it
+   */
+  getLayout() {
+    const { pixelWidth, pixelHeight } = this;
+    const left = 64;
+    const width = pixelWidth - left - 64;
+
+    return {
+      tube: { x: left, y: 34, width, height: 44 },
+      plot: { x: left, y: 92, width, height: pixelHeight - 92 - 36 }
+    };
+  }
+
+  /**
+   * Listen for drags of the probe line
+   * Horizontal drags move the probe; vertical swipes still scroll the page on touch screens
+   */
+  setupProbe() {
+    this.probeListeners = {
+      pointerdown: event => this.handlePointerDown(event),
+      pointermove: event => this.handlePointerMove(event),
+      pointerup: event => this.handlePointerUp(event),
+      pointercancel: event => this.handlePointerUp(event)
+    };
+
+    Object.keys(this.probeListeners).forEach(type => {
+      this.canvas.addEventListener(type, this.probeListeners[type]);
+    });
+
+    this.canvas.style.touchAction = 'pan-y';
+  }
+
+  /**
+   * Pointer position as a position along the tube, or null outside the charts
+   */
+  eventToPosition(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) * this.pixelWidth) / rect.width;
+    const { plot } = this.getLayout();
+
+    if (x < plot.x - 10 || x > plot.x + plot.width + 10) return null;
+    return Math.max(0, Math.min(1, (x - plot.x) / plot.width));
+  }
+
+  /**
+   * Jump the probe to the pointer and start dragging it
+   */
+  handlePointerDown(event) {
+    const position = this.eventToPosition(event);
+    if (position === null) return;
+
+    this.draggingProbe = true;
+    this.probePosition = position;
+    this.canvas.style.cursor = 'ew-resize';
+    this.canvas.setPointerCapture(event.pointerId);
+    event.preventDefault();
+    this.redraw();
+  }
+
+  /**
+   * Drag the probe, or show a resize cursor over the charts
+   */
+  handlePointerMove(event) {
+    const position = this.eventToPosition(event);
+
+    if (!this.draggingProbe) {
+      this.canvas.style.cursor = position !== null ? 'ew-resize' : '';
+      return;
+    }
+
+    if (position !== null) {
+      this.probePosition = position;
+      this.redraw();
+    }
+  }
+
+  /**
+   * Finish a drag
+   */
+  handlePointerUp(event) {
+    if (!this.draggingProbe) return;
+
+    this.draggingProbe = false;
+
+    if (this.canvas.hasPointerCapture(event.pointerId)) {
+      this.canvas.releasePointerCapture(event.pointerId);
+    }
+  }
+
+  /**
+   * Round a range out to a "nice" step (1, 2 or 5 × 10ⁿ) for the axis ticks
+   */
+  niceStep(range, tickCount) {
+    const rough = range / tickCount;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const normalized = rough / magnitude;
+
+    if (normalized <= 1) return magnitude;
+    if (normalized <= 2) return 2 * magnitude;
+    if (normalized <= 5) return 5 * magnitude;
+    return 10 * magnitude;
+  }
+
+  /**
+   * Draw visualization
+   */
+  draw() {
+    const { pixelWidth, pixelHeight } = this;
+
+    // Clear canvas
+    this.ctx.fillStyle = '#FAFAFA';
+    this.ctx.fillRect(0, 0, pixelWidth, pixelHeight);
+
+    // Pressures are shown relative to the outside air, in kPa
+    const ambient = this.venturi.atmosphere.pressure;
+    const samples = [];
+    for (let i = 0; i <= this.sampleCount; i++) {
+      const position = i / this.sampleCount;
+      const flow = this.venturi.getFlowAtPosition(position);
+
+      samples.push({
+        position,
+        pressure: (flow.pressure - ambient) / 1000,
+        dynamicPressure: flow.dynamicPressure / 1000,
+        totalPressure: (flow.totalPressure - ambient) / 1000,
+        velocity: flow.velocity
+      });
+    }
+
+    const layout = this.getLayout();
+
+    this.drawTitle();
+    this.drawTubeOutline(layout.tube);
+    const scales = this.drawCurves(layout.plot, samples);
+    this.drawProbe(layout, scales);
+  }
+
+  /**
+   * Title and legend
+   */
+  drawTitle() {
+    this.ctx.fillStyle = '#212121';
+    this.ctx.font = 'bold 13px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText('Along the Tube', 12, 20);
+
+    const entries = [
+      ['pressure', 'Static'],
+      ['dynamicPressure', 'Dynamic'],
+      ['totalPressure', 'Total'],
+      ['velocity', 'Velocity']
+    ];
+
+    this.ctx.font = '12px Inter, sans-serif';
+    let x = this.pixelWidth - 340;
+    entries.forEach(([key, label]) => {
+      this.ctx.strokeStyle = this.colors[key];
+      this.ctx.lineWidth = 3;
+      this.ctx.setLineDash(key === 'velocity' ? [6, 4] : []);
+      this.ctx.beginPath();
+      this.ctx.moveTo(x, 16);
+      this.ctx.lineTo(x + 18, 16);
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+
+      this.ctx.fillStyle = '#424242';
+      this.ctx.fillText(label, x + 24, 20);
+      x += 85;
+    });
+  }
+
+  /**
+   * The tube's walls, squeezed into a strip so the plot lines up with the shape
+   */
+  drawTubeOutline(area) {
+    const maxHalfHeight = VenturiGeometry.MAX_HALF_HEIGHT;
+    const centerY = area.y + area.height / 2;
+    const scale = area.height / 2 / maxHalfHeight;
+    const top = [];
+
+    for (let i = 0; i <= this.sampleCount; i++) {
+      const position = i / this.sampleCount;
+      const halfHeight = VenturiGeometry.heightAt(this.venturi.wall, position) * scale;
+      top.push({ x: area.x + position * area.width, halfHeight });
+    }
+
+    this.ctx.fillStyle = 'rgba(74, 144, 226, 0.12)';
+    this.ctx.strokeStyle = '#546E7A';
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    top.forEach(({ x, halfHeight }, i) => {
+      if (i === 0) {
+        this.ctx.moveTo(x, centerY - halfHeight);
+      } else {
+        this.ctx.lineTo(x, centerY - halfHeight);
+      }
+    });
+    top.slice().reverse().forEach(({ x, halfHeight }) => {
+      this.ctx.lineTo(x, centerY + halfHeight);
+    });
+    this.ctx.closePath();
+    this.ctx.fill();
+    this.ctx.stroke();
+
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.textAlign = 'right';
+    this.ctx.fillText('Tube', area.x - 8, centerY + 4);
+  }
+
+  /**
+   * Pressures on the left axis and velocity on the right, against position
+   * Returns the scales, for the probe markers
+   */
+  drawCurves(plot, samples) {
+    // Past Mach 1 the incompressible model has no meaningful pressures: only the velocity is plotted
+    const { pressuresValid } = this.venturi.flow;
+
+    // Pressure range always includes zero (the outside air)
+    const pressures = pressuresValid
+      ? samples.flatMap(sample => [sample.pressure, sample.dynamicPressure, sample.totalPressure])
+      : [0];
+    const pressureStep = this.niceStep(Math.max(...pressures) - Math.min(0, ...pressures) || 1, 5);
+    const pressureMin = Math.floor(Math.min(0, ...pressures) / pressureStep) * pressureStep;
+    const pressureMax = Math.ceil(Math.max(...pressures) / pressureStep) * pressureStep || pressureStep;
+
+    const velocityStep = this.niceStep(Math.max(...samples.map(sample => sample.velocity)), 5);
+    const velocityMax = Math.ceil(Math.max(...samples.map(sample => sample.velocity)) / velocityStep) * velocityStep;
+
+    const toX = position => plot.x + position * plot.width;
+    const toPressureY = kPa => plot.y + ((pressureMax - kPa) / (pressureMax - pressureMin)) * plot.height;
+    const toVelocityY = velocity => plot.y + ((velocityMax - velocity) / velocityMax) * plot.height;
+
+    // Grid and pressure ticks
+    this.ctx.strokeStyle = '#EEEEEE';
+    this.ctx.lineWidth = 1;
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = '10px Inter, sans-serif';
+    this.ctx.textAlign = 'right';
+    for (let kPa = pressureMin; kPa <= pressureMax + 1e-9; kPa += pressureStep) {
+      const y = toPressureY(kPa);
+      this.ctx.beginPath();
+      this.ctx.moveTo(plot.x, y);
+      this.ctx.lineTo(plot.x + plot.width, y);
+      this.ctx.stroke();
+      this.ctx.fillText(Number(kPa.toPrecision(6)).toString(), plot.x - 6, y + 3);
+    }
+
+    // Velocity ticks
+    this.ctx.textAlign = 'left';
+    this.ctx.fillStyle = this.colors.velocity;
+    for (let velocity = 0; velocity <= velocityMax + 1e-9; velocity += velocityStep) {
+      this.ctx.fillText(`${Number(velocity.toPrecision(6))}`, plot.x + plot.width + 6, toVelocityY(velocity) + 3);
+    }
+
+    // Outside air pressure
+    this.ctx.strokeStyle = '#9E9E9E';
+    this.ctx.beginPath();
+    this.ctx.moveTo(plot.x, toPressureY(0));
+    this.ctx.lineTo(plot.x + plot.width, toPressureY(0));
+    this.ctx.stroke();
+
+    // Axis titles
+    this.ctx.fillStyle = '#757575';
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText('Position along the tube', plot.x + plot.width / 2, plot.y + plot.height + 28);
+    this.ctx.fillText('Entrance', plot.x, plot.y + plot.height + 14);
+    this.ctx.fillText('Exit', plot.x + plot.width, plot.y + plot.height + 14);
+
+    this.ctx.save();
+    this.ctx.translate(16, plot.y + plot.height / 2);
+    this.ctx.rotate(-Math.PI / 2);
+    this.ctx.fillText('kPa vs. outside air', 0, 0);
+    this.ctx.restore();
+
+    this.ctx.save();
+    this.ctx.translate(this.pixelWidth - 14, plot.y + plot.height / 2);
+    this.ctx.rotate(Math.PI / 2);
+    this.ctx.fillStyle = this.colors.velocity;
+    this.ctx.fillText('m/s', 0, 0);
+    this.ctx.restore();
+
+    // Curves
+    const curve = (key, toY, dash = []) => {
+      this.ctx.strokeStyle = this.colors[key];
+      this.ctx.lineWidth = 2;
+      this.ctx.setLineDash(dash);
+      this.ctx.beginPath();
+      samples.forEach((sample, i) => {
+        if (i === 0) {
+          this.ctx.moveTo(toX(sample.position), toY(sample[key]));
+        } else {
+          this.ctx.lineTo(toX(sample.position), toY(sample[key]));
+        }
+      });
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+    };
+
+    curve('velocity', toVelocityY, [6, 4]);
+
+    if (pressuresValid) {
+      curve('dynamicPressure', toPressureY);
+      curve('pressure', toPressureY);
+      curve('totalPressure', toPressureY);
+    } else {
+      this.ctx.fillStyle = '#757575';
+      this.ctx.font = 'bold 12px Inter, sans-serif';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText('No pressures beyond Mach 1 in incompressible flow', plot.x + plot.width / 2, plot.y + plot.height - 12);
+    }
+
+    return { toX, toPressureY, toVelocityY };
+  }
+
+  /**
+   * Probe line across both charts, with the values where it crosses the tube
+   */
+  drawProbe({ tube, plot }, { toX, toPressureY, toVelocityY }) {
+    const flow = this.venturi.getFlowAtPosition(this.probePosition);
+    const ambient = this.venturi.atmosphere.pressure;
+    const x = toX(this.probePosition);
+
+    const values = {
+      pressure: (flow.pressure - ambient) / 1000,
+      dynamicPressure: flow.dynamicPressure / 1000,
+      totalPressure: (flow.totalPressure - ambient) / 1000
+    };
+
+    // Line with a grip on the tube strip
+    this.ctx.strokeStyle = '#37474F';
+    this.ctx.lineWidth = 1.5;
+    this.ctx.setLineDash([4, 3]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(x, tube.y);
+    this.ctx.lineTo(x, plot.y + plot.height);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+
+    this.ctx.fillStyle = this.draggingProbe ? '#FFB300' : 'white';
+    this.ctx.strokeStyle = '#37474F';
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.arc(x, tube.y + tube.height / 2, 6, 0, Math.PI * 2);
+    this.ctx.fill();
+    this.ctx.stroke();
+
+    // Where the probe crosses each curve
+    const { pressuresValid } = this.venturi.flow;
+    const markers = [['velocity', toVelocityY(flow.velocity)]];
+    if (pressuresValid) {
+      markers.push(
+        ['pressure', toPressureY(values.pressure)],
+        ['dynamicPressure', toPressureY(values.dynamicPressure)],
+        ['totalPressure', toPressureY(values.totalPressure)]
+      );
+    }
+    markers.forEach(([key, y]) => {
+      this.ctx.fillStyle = this.colors[key];
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, 4, 0, Math.PI * 2);
+      this.ctx.fill();
+    });
+
+    // Readout on whichever side of the line has room
+    const lines = [
+      [`${Math.round(this.probePosition * 100)}% along the tube`, '#212121'],
+      [`Velocity ${flow.velocity.toFixed(1)} m/s (Mach ${flow.mach.toFixed(2)})`, this.colors.velocity]
+    ];
+
+    if (pressuresValid) {
+      lines.push(
+        [`Static ${this.formatPressure(values.pressure)}`, this.colors.pressure],
+        [`Dynamic ${this.formatPressure(values.dynamicPressure)}`, this.colors.dynamicPressure],
+        [`Total ${this.formatPressure(values.totalPressure)}`, this.colors.totalPressure]
+      );
+    } else {
+      lines.push(['No pressures past Mach 1 (incompressible)', '#757575']);
+    }
+
+    // Compressed air stores some of its energy, so static + dynamic falls short of the total
+    if (this.venturi.flowModel === 'compressible') {
+      lines.push([`Static + dynamic ${this.formatPressure(values.pressure + values.dynamicPressure)}`, '#757575']);
+    }
+
+    const boxWidth = 200;
+    const boxHeight = lines.length * 15 + 10;
+    const boxX = x + 12 + boxWidth > plot.x + plot.width ? x - 12 - boxWidth : x + 12;
+    const boxY = plot.y + 6;
+
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+    this.ctx.strokeStyle = '#E0E0E0';
+    this.ctx.lineWidth = 1;
+    this.ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+    this.ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+
+    this.ctx.textAlign = 'left';
+    lines.forEach(([text, color], i) => {
+      this.ctx.fillStyle = color;
+      this.ctx.font = i === 0 ? 'bold 11px Inter, sans-serif' : '11px Inter, sans-serif';
+      this.ctx.fillText(text, boxX + 8, boxY + 17 + i * 15);
+    });
+  }
+
+  /**
+   * Gauge pressure in kPa with its sign
+   */
+  formatPressure(kPa) {
+    const sign = kPa > 0.0005 ? '+' : '';
+    return `${sign}${kPa.toFixed(3)} kPa`;
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    super.destroy();
+
+    if (this.probeListeners) {
+      Object.keys(this.probeListeners).forEach(type => {
+        this.canvas.removeEventListener(type, this.probeListeners[type]);
+      });
+    }
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VenturiPlotVisualization;
+}